@@ -113,6 +113,24 @@ program
     debug(`Directories ${initDir} and ${contractSrcDir} removed.`)
   })
 
+program
+  .command('rollback <height>')
+  .description('roll back application state to a block height, tendermint replays later blocks on next start')
+  .option('-n, --network <network>', 'network', 'private')
+  .action(async (height, { network }) => {
+    network = getNetwork(network)
+    const initDir = `${homedir}/.icetea/${network}`
+    const app = require('../icetea/app/app')
+    try {
+      await app.loadState(`${initDir}/state`)
+      const block = await app.rollback(Number(height))
+      debug(`State rolled back to height ${block.number}.`)
+    } catch (err) {
+      debug(String(err))
+      process.exitCode = 1
+    }
+  })
+
 program.parse(process.argv)
 
 process.on('SIGINT', () => {
@@ -1,10 +1,30 @@
-const { getBlock, getTx, replyQuery } = require('../helper/abci')
+const {
+  getBlock,
+  getValidatorActivity,
+  getTx,
+  getTxAccounts,
+  decodeTx,
+  replyQuery,
+  replyProvedQuery,
+  replyTxError,
+  replyQueryError
+} = require('../helper/abci')
 const { codec } = require('@iceteachain/common')
 const app = require('./app')
 const utils = require('../helper/utils')
 const debug = require('debug')('icetea:abci')
 const config = require('../config')
-const { merge } = require('lodash')
+const forks = require('../helper/forks')
+const { GenericCode } = require('../helper/errors')
+const pruning = require('../state/pruning')
+const { merge, isPlainObject } = require('lodash')
+
+// query paths which could reply a merkle proof of the account state
+const PROVABLE_PATHS = ['balance', 'account_info', 'storage']
+
+// query paths which are evaluated against the state of a past block when height is specified
+const STATE_AT_HEIGHT_PATHS = ['metadata', 'account_info', 'contract_src', 'storage', 'storageKeys', 'invokeView', 'invokePure']
+const HISTORICAL_PATHS = ['balance', 'state', 'validators', ...STATE_AT_HEIGHT_PATHS]
 
 // turn on logging state diff to console
 if (utils.isDevMode() && utils.envEnabled('PRINT_STATE_DIFF')) {
@@ -22,6 +42,8 @@ exports.startup = extraConfig => {
   }
   // no more change to config from now on
   utils.deepFreeze(config)
+  forks.validate()
+  pruning.validate()
 
   return app.loadState(config.state.path).then(() => handler)
 }
@@ -39,66 +61,92 @@ exports.startupWith = ({ path, freeGasLimit }) => exports.startup(cfg => {
 const handler = {
 
   initChain (args) {
-    app.installSystemContracts(args)
+    const appState = (args.appStateBytes && args.appStateBytes.length) ? JSON.parse(args.appStateBytes.toString()) : null
+    if (!app.importGenesis(appState, args)) {
+      app.installSystemContracts(args)
+    }
     app.initValidators()
     return args // return same consensusParams and validators as defined in consensus.json
   },
 
   async info () {
+    const lastState = await app.activate()
     return Object.assign({
       data: 'icetea',
       version: '0.0.1',
-      appVerion: '0.0.1'
-    }, await app.activate())
+      appVersion: forks.versionAt(lastState.lastBlockHeight)
+    }, lastState)
   },
 
   checkTx (req) {
-    let tx
-    try {
-      tx = getTx(req)
-      app.checkTx(tx)
-      return {}
-    } catch (err) {
-      debug('TX checking error. Transaction data: ', tx || req)
-      debug(err)
-      return { code: 1, log: String(err) }
-    }
+    // accounts are read from the state trie on demand, see StateManager.prefetch
+    return app.prefetch(() => {
+      let tx
+      try {
+        tx = getTx(req)
+        app.checkTx(tx)
+        return {}
+      } catch (err) {
+        debug('TX checking error. Transaction data: ', tx || req)
+        debug(err)
+        return replyTxError(err, GenericCode.CHECK_TX)
+      }
+    })
   },
 
   beginBlock (req) {
-    // TODO: distribute awards and punish byzantine validators
-
     app.setBlock(getBlock(req))
-    return {}
+    const activity = getValidatorActivity(req)
+    return app.execute(() => {
+      // parameter changes take effect before anything else in the block
+      const events = app.processGovernance()
+        .concat(app.punishValidators(activity))
+        .concat(app.runScheduledCalls())
+      return { events }
+    })
   },
 
   endBlock (req) {
     const height = Number(req.height.toString())
-    return utils.envEnabled('FIXED_VALIDATORS') ? {} : app.endBlock(height)
+    return app.execute(() => {
+      // rewards go to the validator set of this block, before it is updated
+      const events = app.distributeRewards()
+      const result = utils.envEnabled('FIXED_VALIDATORS') ? {} : app.endBlock(height)
+      return Object.assign(result, { events })
+    })
   },
 
   deliverTx (req) {
-    let tx
-    try {
-      tx = getTx(req)
+    return app.execute(() => {
+      let tx
+      try {
+        tx = getTx(req)
 
-      const events = []
-      const data = app.execTx(tx, events)
+        const events = []
+        const data = app.execTx(tx, events)
+        app.addReceipt(req.tx, { data, events })
 
-      const result = {}
-      if (typeof data !== 'undefined') {
-        result.data = utils.serialize(data)
-      }
-      result.events = events
+        const result = {}
+        if (typeof data !== 'undefined') {
+          result.data = utils.serialize(data)
+        }
+        result.events = events
 
-      return result
-    } catch (err) {
-      debug('TX execution error. Transaction data: ', tx || req)
-      debug(err)
+        return result
+      } catch (err) {
+        debug('TX execution error. Transaction data: ', tx || req)
+        debug(err)
 
-      const events = utils.emitTx(null, tx.from, tx.to, tx.payer, 0)
-      return { code: 2, events, info: err.code, log: String(err) }
-    }
+        const events = tx ? utils.emitTx(null, tx.from, tx.to, tx.payer, 0) : []
+        app.addReceipt(req.tx, { events, error: err })
+        const reply = replyTxError(err, GenericCode.DELIVER_TX)
+        if (!forks.isActive('errorCodes', app.getBlock().number)) {
+          // code and data are hashed into the next block, so those of the catalogue are replied from the fork
+          return { code: GenericCode.DELIVER_TX, events, info: reply.info, log: reply.log }
+        }
+        return Object.assign(reply, { events })
+      }
+    }, getTxAccounts(req))
   },
 
   async commit () {
@@ -106,59 +154,118 @@ const handler = {
     return { data } // return the block stateRoot
   },
 
-  async query (req) {
-    let path, data, height, prove
+  async listSnapshots () {
+    try {
+      return { snapshots: await app.listSnapshots() }
+    } catch (err) {
+      debug(err)
+      return { snapshots: [] }
+    }
+  },
+
+  async loadSnapshotChunk (req) {
     try {
-      // TODO: handle replying merkle proof to client if requested
+      const height = Number(req.height.toString())
+      return { chunk: await app.loadSnapshotChunk({ height, format: req.format, chunk: req.chunk }) }
+    } catch (err) {
+      debug(err)
+      return { chunk: Buffer.alloc(0) }
+    }
+  },
 
-      prove = !!req.prove
-      if (prove) {
-        return { code: 4, info: 'Prove not yet supported.' }
-      }
+  offerSnapshot (req) {
+    const snapshot = req.snapshot && Object.assign({}, req.snapshot, { height: Number(req.snapshot.height.toString()) })
+    return { result: app.offerSnapshot({ snapshot, appHash: req.appHash }) }
+  },
 
-      path = req.path
-      height = Number(req.height)
-      if (height && !['balance', 'state', 'validators'].includes(path)) {
-        return { code: 2, info: 'Height is not supported for this path.' }
-      }
+  applySnapshotChunk (req) {
+    return app.applySnapshotChunk({ index: req.index, chunk: req.chunk, sender: req.sender })
+  },
+
+  query (req) {
+    // reruns after loading the accounts it read, so it must not change state
+    return app.prefetch(async () => {
+      let path, data, height, prove
+      try {
+        path = req.path
+        const json = path.startsWith('json_')
+        if (json) path = path.slice(5)
 
-      const json = path.startsWith('json_')
-      if (json) path = path.slice(5)
-
-      data = (req.data && req.data.length) ? (json ? JSON.parse(req.data.toString()) : codec.decode(req.data)) : req.data
-
-      switch (path) {
-        case 'balance':
-          return replyQuery({
-            balance: await app.balanceOf(data, height)
-          })
-        case 'state':
-          return replyQuery(await app.debugState(height))
-        case 'validators':
-          return replyQuery(await app.getValidators(height))
-        case 'contracts':
-          return replyQuery(app.getContractAddresses(data))
-        case 'metadata': {
-          return replyQuery(app.getMetadata(data))
+        prove = !!req.prove
+        if (prove && !PROVABLE_PATHS.includes(path)) {
+          return { code: 4, info: 'Prove is not supported for this path.' }
         }
-        case 'account_info': {
-          return replyQuery(app.getAccountInfo(data))
+
+        height = Number(req.height)
+        if (height && !prove && !HISTORICAL_PATHS.includes(path)) {
+          return { code: 2, info: 'Height is not supported for this path.' }
         }
-        case 'contract_src': {
-          return replyQuery(app.getContractSource(data))
+
+        data = (req.data && req.data.length) ? (json ? JSON.parse(req.data.toString()) : codec.decode(req.data)) : req.data
+
+        if (prove) {
+          const { value, ...proofInfo } = await app.proveQuery(path, data, height)
+          return replyProvedQuery(value, proofInfo)
         }
-        case 'invokeView':
-        case 'invokePure': {
-          const result = app[path](data.address, data.name, data.params, data.options)
-          return replyQuery(result, json)
+
+        // undefined means current state
+        const state = (height && STATE_AT_HEIGHT_PATHS.includes(path)) ? await app.getStateAt(height) : undefined
+
+        switch (path) {
+          case 'balance':
+            return replyQuery({
+              balance: await app.balanceOf(data, height)
+            })
+          case 'state':
+            return replyQuery(await app.debugState(height, data))
+          case 'validators':
+            return replyQuery(await app.getValidators(height))
+          case 'contracts':
+            // options ask for a page of contracts, otherwise all addresses are returned
+            return replyQuery(await (isPlainObject(data) ? app.listContracts(data) : app.getContractAddresses(data)))
+          case 'metadata': {
+            return replyQuery(app.getMetadata(data, state))
+          }
+          case 'account_info': {
+            return replyQuery(app.getAccountInfo(data, state))
+          }
+          case 'contract_src': {
+            return replyQuery(app.getContractSource(data, state))
+          }
+          case 'storage': {
+            return replyQuery(app.getStorage(data, state))
+          }
+          case 'storageKeys': {
+            return replyQuery(app.listStorageKeys(data, state))
+          }
+          case 'invokeView':
+          case 'invokePure': {
+            const result = app[path](data.address, data.name, data.params, data.options, state)
+            return replyQuery(result, json)
+          }
+          case 'simulateTx': {
+            return replyQuery(app.simulateTx(decodeTx(data)))
+          }
+          case 'estimateGas': {
+            return replyQuery(app.estimateGas(decodeTx(data)))
+          }
+          case 'predictContractAddress': {
+            return replyQuery(app.predictContractAddress(data))
+          }
+          case 'receipt': {
+            return replyQuery(await app.getReceipt(data))
+          }
+          case 'events': {
+            return replyQuery(await app.queryEvents(data))
+          }
         }
-      }
 
-      return { code: 1, info: 'Path not supported.' }
-    } catch (error) {
-      debug('ABCI Query error. Path: ', path, ', data: ', data, ', height: ', height, ', prove: ', prove)
-      debug(error)
-      return { code: 3, info: String(error), log: error.stack }
-    }
+        return { code: 1, info: 'Path not supported.' }
+      } catch (error) {
+        debug('ABCI Query error. Path: ', path, ', data: ', data, ', height: ', height, ', prove: ', prove)
+        debug(error)
+        return replyQueryError(error)
+      }
+    })
   }
 }
@@ -1,17 +1,29 @@
 const { verifyTxSignature } = require('@iceteachain/common/src/utils')
+const { createHash } = require('crypto')
 const utils = require('../helper/utils')
 const sysContracts = require('../syscon')
 const invoker = require('../invoker/contractinvoker')
 const did = require('../syscon/did')
 const election = require('../syscon/election')
-const { ecc, codec, AccountType } = require('@iceteachain/common')
+const { ecc, codec, AccountType, Tx } = require('@iceteachain/common')
 const config = require('../config')
 const sizeof = require('object-sizeof')
+const _ = require('lodash')
+const { encodeProofOp, encodeStorageProofOp } = require('../helper/proof')
+const txop = require('../helper/txop')
+const { TxOp } = txop
 const debug = require('debug')('icetea:app')
 
-const { minStateGas, gasPerByte, minTxGas, maxTxGas } = config.gas
+const params = require('../helper/params')
+const errors = require('../helper/errors')
+const paging = require('../helper/paging')
+const forks = require('../helper/forks')
 
+const { Scheduler: SCHEDULER_ADDR, Election: ELECTION_ADDR, Governance: GOVERNANCE_ADDR } = require('../syscon/sysconnames')
 const stateManager = require('../state/statemanager')
+const historicalState = require('../state/historicalstate')
+const snapshot = require('../state/snapshot')
+const genesis = require('../helper/genesis')
 
 function _ensureAddress (addr) {
   // resolve alias
@@ -27,16 +39,41 @@ class App {
     // Copy some methods
     Object.assign(this, {
       setBlock: stateManager.setBlock.bind(stateManager),
+      getBlock: stateManager.getBlock.bind(stateManager),
       persistState: stateManager.persist.bind(stateManager),
+      prefetch: stateManager.prefetch.bind(stateManager),
+      execute: stateManager.execute.bind(stateManager),
       balanceOf: stateManager.balanceOf.bind(stateManager),
-      debugState: stateManager.debugState.bind(stateManager)
+      listSnapshots: snapshot.list,
+      loadSnapshotChunk: snapshot.loadChunk,
+      offerSnapshot: snapshot.offer
     })
   }
 
+  applySnapshotChunk (req) {
+    return snapshot.applyChunk(req, header => stateManager.restoreSnapshot(header, () => election.getValidators()))
+  }
+
   loadState (path) {
     return stateManager.load(path)
   }
 
+  getStateAt (height) {
+    return historicalState.at(height)
+  }
+
+  /**
+   * Roll back state to a past block, e.g. when a bad release corrupted state.
+   * Tendermint replays blocks after it on next start.
+   * @param {number} height - block height
+   * @returns {object} the block rolled back to
+   */
+  async rollback (height) {
+    const block = await stateManager.rollback(height)
+    historicalState.clear()
+    return block
+  }
+
   async activate () {
     this.initSystemContracts()
     await stateManager.load()
@@ -46,13 +83,28 @@ class App {
   }
 
   installSystemContracts (args) {
-    sysContracts.all().forEach(key => {
-      const state = stateManager.installSystemContract(key)
-      const contract = sysContracts.get(key)
-      if (typeof contract.ondeploy === 'function') {
-        contract.ondeploy(state, args)
-      }
-    })
+    sysContracts.all().forEach(key => installSystemContract(key, args))
+  }
+
+  /**
+   * Start the chain from the state in app_state of the genesis file instead of the initial balances in config.
+   * @param {object} appState - app_state, as exported by scripts/export.js
+   * @param {object} args - initChain request
+   * @returns {boolean} false if app_state has no state to import
+   */
+  importGenesis (appState, args) {
+    const state = genesis.importAppState(appState)
+    if (!state) {
+      return false
+    }
+
+    stateManager.importGenesisState(state)
+    // system contracts added after the state was exported
+    sysContracts.all()
+      .filter(key => !stateManager.isContract(key))
+      .forEach(key => installSystemContract(key, args))
+
+    return true
   }
 
   initSystemContracts () {
@@ -61,23 +113,57 @@ class App {
       contract.systemContracts = () => sysContracts
       contract.unsafeStateManager = () => stateManager
     })
+    params.setOverrideSource(() => sysContracts.Governance.getParams())
   }
 
-  getContractAddresses (preferAlias) {
-    const addreses = stateManager.getContractAddresses()
+  async getContractAddresses (preferAlias) {
+    const addreses = await stateManager.getContractAddresses()
     if (!preferAlias || !addreses.length) return addreses
 
-    const aliases = sysContracts.Alias.getAliases()
-    const aliasKeys = Object.keys(aliases)
-    if (!aliasKeys.length) return addreses
+    const address2Alias = _aliasesByAddress()
+    return addreses.map(addr => (Object.prototype.hasOwnProperty.call(address2Alias, addr) ? address2Alias[addr] : addr))
+  }
 
-    const address2Alias = aliasKeys.reduce((prev, alias) => {
-      const address = aliases[alias].address
-      prev[address] = alias
-      return prev
-    }, {})
+  /**
+   * List contracts, a page at a time.
+   * @param {object} options - { system, deployedBy, mode, sort, cursor, limit }
+   * system is true for system contracts only and false for the others, sort is 'address' or 'balance',
+   * prefix it with '-' for descending order
+   * @param {object} [state] - a state returned by getStateAt, current state if omitted
+   * @returns {object} { items, total, nextCursor }, items are account info with address and alias
+   */
+  async listContracts (options = {}, state) {
+    const pager = _accountPager(options)
+    const address2Alias = _aliasesByAddress()
+    await _forEachAccount(state || stateManager, Object.assign({}, options, { contract: true }), (address, account) => {
+      pager.add(Object.assign({ address, alias: address2Alias[address] }, _accountInfo(account)))
+    })
+    return pager.page()
+  }
 
-    return addreses.map(addr => (Object.prototype.hasOwnProperty.call(address2Alias, addr) ? address2Alias[addr] : addr))
+  /**
+   * Dump state for debugging, only when DEBUG_STATE is enabled.
+   * @param {number} [height] - block height, current state if omitted
+   * @param {object} [options] - { contract, system, deployedBy, mode, sort, cursor, limit } to get a page of
+   * accounts instead of the whole state table, see listContracts
+   * @returns {object} state table, or { items, total, nextCursor } if options are given
+   */
+  async debugState (height, options) {
+    if (!_.isPlainObject(options) || !utils.envDevEnabled('DEBUG_STATE')) {
+      return stateManager.debugState(height)
+    }
+
+    const pager = _accountPager(options)
+    const state = height ? await this.getStateAt(height) : stateManager
+    await _forEachAccount(state, options, (address, account) => {
+      pager.add(Object.assign({ address }, account))
+    })
+
+    // storage is read for the accounts of the page only
+    const page = pager.page()
+    await state.loadAccounts(page.items.map(item => item.address))
+    page.items = page.items.map(({ address }) => Object.assign({ address }, state.getAccountState(address)))
+    return page
   }
 
   addStateObserver ({ beforeTx, afterTx }) {
@@ -85,12 +171,25 @@ class App {
     stateManager.on('endCheckpoint', afterTx)
   }
 
-  checkTx (tx) {
+  /**
+   * Validate a transaction, throw if it is invalid.
+   * @param {object} tx - transaction
+   * @param {object} [options] - { simulate, estimate, deliver }
+   * simulate allows unsigned tx, which is treated as signed by 'from'; estimate skips balance check;
+   * deliver is set when the tx is executed in the current block, otherwise it is checked for the next block
+   */
+  checkTx (tx, options = {}) {
     if (stateManager.doesTxExist(tx.sigHash)) {
-      throw new Error('This transaction was already included in blockchain, no need to send again.')
+      throw errors.create('TX_DUPLICATED', { hash: tx.sigHash })
+    }
+
+    const block = stateManager.getBlock()
+    const height = (block ? block.number : 0) + (options.deliver ? 0 : 1)
+    if (forks.isActive('replayWindow', height)) {
+      checkTxNonce(tx, block)
     }
 
-    const { freeGasLimit } = config.gas
+    const { freeGasLimit, minTxGas, maxTxGas } = params.get('gas')
     // NOTE:
     // CheckTX should not modify state
     // This way, we could avoid make a copy of state
@@ -98,30 +197,39 @@ class App {
     // Such kind of error will be catch by deliver_tx eventually.
 
     if (tx.value < BigInt(0)) {
-      throw new Error('Invalid transaction value.')
+      throw errors.create('TX_INVALID_VALUE', { value: tx.value })
     }
 
     if (tx.fee < BigInt(0)) {
-      throw new Error('Invalid transaction fee.')
+      throw errors.create('TX_INVALID_FEE', { fee: tx.fee })
     }
 
     if (Number(tx.fee) + freeGasLimit < minTxGas) {
-      throw new Error(`tx fee ${tx.fee} is too low, at least ${minTxGas}`)
+      throw errors.create('TX_FEE_TOO_LOW', { fee: tx.fee, min: minTxGas })
     }
 
     if (Number(tx.fee) > maxTxGas) {
-      throw new Error(`tx fee ${tx.fee} is too high, at most ${maxTxGas}`)
+      throw errors.create('TX_FEE_TOO_HIGH', { fee: tx.fee, max: maxTxGas })
     }
 
-    if (!tx.isSimpleTransfer() && !tx.isContractCall() && !tx.isContractCreation()) {
-      throw new Error('Unrecognized transaction type.')
+    if (!tx.isSimpleTransfer() && !tx.isContractCall() && !tx.isContractCreation() &&
+      !txop.isBatch(tx) && !txop.isUpgrade(tx)) {
+      throw errors.create('TX_UNRECOGNIZED_TYPE')
     }
 
     if (tx.isContractCall() && tx.messageName() === '_beforePayFor') {
-      throw new Error('Cannot call _beforePayFor directly.')
+      throw errors.create('TX_METHOD_NOT_ALLOWED', { method: '_beforePayFor' }, 'Cannot call _beforePayFor directly.')
+    }
+
+    if (options.simulate && !(tx.evidence || []).length) {
+      tx.signers = tx.from ? [_ensureAddress(tx.from)] : []
+    } else {
+      verifyTxSignature(tx)
     }
 
-    verifyTxSignature(tx)
+    if (txop.isBatch(tx)) {
+      checkBatchOps(tx)
+    }
 
     if (tx.from) {
       tx.from = _ensureAddress(tx.from)
@@ -135,35 +243,46 @@ class App {
     // verify TO to avoid lost fund
     if (tx.to) {
       if (tx.isContractCreation()) {
-        throw new Error('Transaction destination address must be blank when deploying a contract.')
+        throw errors.create('TX_INVALID_DESTINATION', { to: tx.to }, 'Transaction destination address must be blank when deploying a contract.')
       }
 
       tx.to = _ensureAddress(tx.to)
       if (!sysContracts.has(tx.to)) {
         const toType = ecc.validateAddress(tx.to).type
         if (tx.value > BigInt(0) && toType === AccountType.REGULAR_ACCOUNT) {
-          throw new Error('Could not transfer to regular account.')
+          throw errors.create('TRANSFER_TO_REGULAR_ACCOUNT', { address: tx.to }, 'Could not transfer to regular account.')
         }
       }
     } else {
-      if (!tx.isContractCreation()) {
-        throw new Error('Transaction destination address is required.')
+      if (!tx.isContractCreation() && !txop.isBatch(tx)) {
+        throw errors.create('TX_INVALID_DESTINATION', {}, 'Transaction destination address is required.')
+      }
+    }
+
+    if (txop.isUpgrade(tx)) {
+      if (tx.value > BigInt(0)) {
+        throw errors.create('TX_INVALID_UPGRADE', { value: tx.value }, 'Contract upgrade transaction value must be zero.')
+      }
+      if (!tx.data.src) {
+        throw errors.create('TX_INVALID_UPGRADE', {}, 'Contract upgrade transaction does not provide contract source.')
+      }
+      if (sysContracts.has(tx.to)) {
+        throw errors.create('TX_INVALID_UPGRADE', { address: tx.to }, 'System contracts cannot be upgraded.')
       }
     }
 
     // ensure valid signers
     if (tx.signers.length === 0) {
-      throw new Error('Must have at lease one signature.')
+      throw errors.create('TX_INVALID_SIGNERS', {}, 'Must have at lease one signature.')
     } else if (tx.signers.length === 1) {
       // if (tx.from === tx.signers[0]) {
       //   throw new Error("No need to set 'from' to save blockchain data size.") // so strict!
       // }
     } else if (!tx.from) {
-      throw new Error("Must explicitly set 'from' when there are more than 1 signer.")
+      throw errors.create('TX_INVALID_SIGNERS', { signers: tx.signers }, "Must explicitly set 'from' when there are more than 1 signer.")
     }
 
     tx.from = tx.from || tx.signers[0]
-    const block = stateManager.getBlock()
     did.checkPermission(tx.from, tx, block)
 
     // check payer
@@ -171,13 +290,13 @@ class App {
     if (!hasPayer) {
       if (tx.value + tx.fee > BigInt(0) && codec.isRegularAddress(tx.from)) {
         // This seems redundant since regular account should always have balance of 0
-        throw new Error('Cannot transfer from a regular account without specifying a payer.')
+        throw errors.create('TX_INVALID_PAYER', { from: tx.from }, 'Cannot transfer from a regular account without specifying a payer.')
       }
     } else {
       if (!sysContracts.has(tx.payer)) {
         const { type: ptype } = ecc.validateAddress(tx.payer)
         if (ptype === AccountType.REGULAR_ACCOUNT) {
-          throw new Error('Cannot specify a regular account as transaction payer.')
+          throw errors.create('TX_INVALID_PAYER', { payer: tx.payer }, 'Cannot specify a regular account as transaction payer.')
         }
       }
 
@@ -188,11 +307,11 @@ class App {
         try {
           agree = this.invokeView(tx.payer, '_agreeToPayFor', [tx])
         } catch (err) {
-          throw new Error('Payer throws exception: ' + (err.stack || String(err)))
+          throw errors.create('TX_PAYER_REJECTED', { payer: tx.payer }, 'Payer throws exception: ' + (err.stack || String(err)))
         }
 
         if (!agree) {
-          throw new Error('Payer does not agree to pay.')
+          throw errors.create('TX_PAYER_REJECTED', { payer: tx.payer })
         }
       } else {
         did.checkPermission(tx.payer, tx, block)
@@ -205,46 +324,54 @@ class App {
     }
 
     // Check balance
-    if (tx.value + tx.fee > stateManager.balanceOf(tx.payer)) {
-      throw new Error('Not enough balance')
+    if (!options.estimate) {
+      const required = tx.value + tx.fee
+      const available = stateManager.balanceOf(tx.payer)
+      if (required > available) {
+        throw errors.create('INSUFFICIENT_BALANCE', { address: tx.payer, required, available })
+      }
     }
   }
 
-  invokeView (contractAddress, methodName, methodParams, options = {}) {
+  /**
+   * Call a view function.
+   * Pass a state (e.g. the one returned by getStateAt) to call against a past block.
+   */
+  invokeView (contractAddress, methodName, methodParams, options = {}, state = stateManager) {
     // resolve alias
     contractAddress = _ensureAddress(contractAddress)
 
-    const { stateAccess, tools } = stateManager.produceDraft()
+    const { stateAccess, tools } = state.produceDraft()
     options.stateAccess = stateAccess
     options.tools = tools
-    options.block = stateManager.getBlock()
+    options.block = state.getBlock()
     return invoker.invokeView(contractAddress, methodName, methodParams, options)
   }
 
-  invokePure (contractAddress, methodName, methodParams, options = {}) {
+  invokePure (contractAddress, methodName, methodParams, options = {}, state = stateManager) {
     // resolve alias
     contractAddress = _ensureAddress(contractAddress)
 
-    const { tools } = stateManager.produceDraft()
+    const { tools } = state.produceDraft()
     options.tools = tools
-    options.block = stateManager.getBlock()
+    options.block = state.getBlock()
     return invoker.invokePure(contractAddress, methodName, methodParams, options)
   }
 
-  getMetadata (addr) {
+  getMetadata (addr, state = stateManager) {
     // resolve alias
     addr = _ensureAddress(addr)
 
-    const { system, src, meta } = stateManager.getAccountState(addr)
+    const { system, src, meta } = state.getAccountState(addr)
     if (!src && !system) {
-      throw new Error('Address is not a valid contract.')
+      throw errors.create('CONTRACT_NOT_FOUND', { address: addr }, 'Address is not a valid contract.')
     }
 
     if (meta && meta.operations) {
       return utils.unifyMetadata(meta.operations)
     }
 
-    const info = invoker.queryMetadata(addr, stateManager.getMetaProxy(addr))
+    const info = invoker.queryMetadata(addr, state.getMetaProxy(addr))
     if (!info) return utils.unifyMetadata()
 
     const props = info.meta ||
@@ -253,15 +380,102 @@ class App {
     return utils.unifyMetadata(props)
   }
 
-  getAccountInfo (addr) {
+  getAccountInfo (addr, state = stateManager) {
     addr = _ensureAddress(addr)
-    const { balance = 0, system, mode, src, deployedBy } = stateManager.getAccountState(addr)
-    return { balance, system, mode, hasSrc: !!src, deployedBy }
+    return _accountInfo(state.getAccountState(addr))
+  }
+
+  /**
+   * Get address of the next contract deployed by an account, or of a contract deployed with a salt.
+   * @param {object} options - { deployedBy, salt, src }, src is the contract source as in tx.data.src
+   * @returns {string} contract address
+   */
+  predictContractAddress ({ deployedBy, salt, src } = {}) {
+    deployedBy = _ensureAddress(deployedBy)
+    utils.validateAddress(deployedBy)
+    return stateManager.produceDraft().tools.contractAddressOf(deployedBy, { salt, src })
   }
 
-  getContractSource (addr) {
+  getStorage ({ address, path } = {}, state = stateManager) {
+    address = _ensureAddress(address)
+    if (path == null) {
+      throw new Error('Storage path is required.')
+    }
+
+    const { storage } = state.getAccountState(address)
+    return _.cloneDeep(_.get(storage, path))
+  }
+
+  /**
+   * List keys of a contract storage, a page at a time.
+   * @param {object} options - { address, path, values, sort, cursor, limit }
+   * path is the object to list keys of, the whole storage if omitted; values is true to return values of the keys;
+   * sort is 'key', prefix it with '-' for descending order
+   * @returns {object} { items, total, nextCursor }, items are { key } or { key, value }
+   */
+  listStorageKeys ({ address, path, values, sort, cursor, limit } = {}, state = stateManager) {
+    address = _ensureAddress(address)
+    const { storage } = state.getAccountState(address)
+    const o = (path == null || (Array.isArray(path) && !path.length)) ? storage : _.get(storage, path)
+
+    let entries = []
+    if (o instanceof Map) {
+      entries = [...o]
+    } else if (o != null && typeof o === 'object') {
+      entries = Object.entries(o)
+    }
+
+    const page = paging.paginate(entries, { idOf: ([key]) => key, sorters: { key: ([key]) => key }, sort, cursor, limit })
+    page.items = page.items.map(([key, value]) => (values ? { key, value: _.cloneDeep(value) } : { key }))
+    return page
+  }
+
+  async proveQuery (path, data, height) {
+    const addr = _ensureAddress(path === 'storage' ? (data || {}).address : data)
+    if (path === 'storage' && data.path == null) {
+      throw new Error('Storage path is required.')
+    }
+    // a storage value is proved by its entries in the contract storage trie, see patricia.proveStorage
+    const storagePath = path === 'storage' ? _.toPath(data.path) : undefined
+    const proved = await stateManager.proveAccount(addr, height, storagePath)
+    const account = proved.account || {}
+    const proofOps = [encodeProofOp(addr, proved.proof)]
+
+    let value
+    switch (path) {
+      case 'balance':
+        value = { balance: account.balance || 0 }
+        break
+      case 'account_info':
+        value = _accountInfo(account)
+        break
+      case 'storage': {
+        const { storage } = proved
+        if (!storage) {
+          // kept inline in the account leaf
+          value = _.get(account.storage, storagePath)
+          break
+        }
+        const subPath = storagePath.slice(storage.path.length)
+        value = subPath.length ? _.get(storage.value, subPath) : storage.value
+        proofOps.unshift(encodeStorageProofOp(storage.path, storage.proofs))
+        break
+      }
+      default:
+        throw new Error(`Prove is not supported for path ${path}.`)
+    }
+
+    return {
+      value,
+      height: proved.height,
+      key: addr,
+      proofOps
+    }
+  }
+
+  getContractSource (addr, state = stateManager) {
     addr = _ensureAddress(addr)
-    const src = stateManager.getAccountState(addr).src
+    const src = state.getAccountState(addr).src
     if (src && Buffer.isBuffer(src)) {
       return src.toString('base64')
     }
@@ -269,7 +483,7 @@ class App {
   }
 
   execTx (tx, events) {
-    this.checkTx(tx)
+    this.checkTx(tx, { deliver: true })
 
     // No need, already done inside checkTx above
     // tx.to = _ensureAddress(tx.to)
@@ -299,6 +513,223 @@ class App {
     return result
   }
 
+  /**
+   * Dry run a transaction against a throwaway draft of the current state.
+   * The draft is never applied, so the state is not changed even if the transaction succeeds.
+   * @param {object} tx - transaction, signed or unsigned
+   * @param {object} [checkOptions] - { estimate }, estimate skips balance checks
+   * @returns {object} { success, result, error, events, gasUsed, deployGas, fee, patch }
+   */
+  simulateTx (tx, { estimate } = {}) {
+    const events = []
+    const { stateAccess, patch, tools } = stateManager.produceDraft()
+    const options = {
+      tx,
+      block: stateManager.getBlock(),
+      stateAccess,
+      tools,
+      events
+    }
+
+    const report = { success: true }
+    try {
+      this.checkTx(tx, { simulate: true, estimate })
+      report.result = doExecTx(options)
+      estimate || stateManager.validateDraft(patch)
+    } catch (err) {
+      report.success = false
+      report.error = String(err)
+    }
+
+    const info = options.info || {}
+    return Object.assign(report, {
+      events,
+      gasUsed: info.__gas_used || 0,
+      deployGas: info.__deploy_gas || 0,
+      fee: info.__actual_fee || 0,
+      patch: _patchReport(patch)
+    })
+  }
+
+  /**
+   * Keep the receipt of a transaction executed in current block.
+   * @param {Buffer} rawTx - transaction bytes, as sent to tendermint
+   * @param {object} result - { data, events, error }, error is set if the transaction failed
+   */
+  addReceipt (rawTx, { data, events, error }) {
+    if (!config.state.receipts.enabled) return
+
+    const decodedEvents = events.map(utils.decodeEvent)
+    const txEvent = decodedEvents.find(e => e.emitter === 'system' && e.eventName === 'tx')
+    stateManager.addReceipt({
+      // same as tendermint tx hash
+      hash: createHash('sha256').update(rawTx).digest('hex').toUpperCase(),
+      status: error ? 'failed' : 'success',
+      error: error ? String(error) : undefined,
+      data,
+      events: decodedEvents,
+      gasUsed: txEvent ? Number(txEvent.eventData.gasused) : 0
+    })
+  }
+
+  /**
+   * Get the receipt of a transaction.
+   * @param {string} hash - tendermint tx hash in hex
+   * @returns {object} receipt { hash, status, error, data, events, gasUsed, height, index }
+   */
+  async getReceipt (hash) {
+    const receipt = await stateManager.getReceipt(String(hash).toUpperCase())
+    if (!receipt) {
+      throw new Error(`Receipt of transaction ${hash} not found.`)
+    }
+    return receipt
+  }
+
+  /**
+   * Find events emitted by transactions.
+   * @param {object} options - { emitter, eventName, attributes, fromBlock, toBlock, limit }
+   * attributes is a map of indexed attribute => value, all must match
+   * @returns {Array} events { txHash, height, index, eventIndex, emitter, eventName, eventData, indexes }
+   */
+  queryEvents ({ emitter, eventName, attributes = {}, fromBlock, toBlock, limit } = {}) {
+    const { maxQueryResults } = config.state.receipts
+    limit = Math.min(limit || maxQueryResults, maxQueryResults)
+
+    const filter = event => {
+      if (eventName && event.eventName !== eventName) return false
+      return Object.keys(attributes).every(key => {
+        return event.indexes.includes(key) && event.eventData[key] === String(attributes[key])
+      })
+    }
+
+    return stateManager.queryEvents({ emitter: _ensureAddress(emitter), fromBlock, toBlock, filter, limit })
+  }
+
+  /**
+   * Estimate gas of a transaction by running it with the maximum gas allowed.
+   * The returned fee is the minimum tx.fee for the transaction to succeed, given the state does not change.
+   * @param {object} tx - transaction, signed or unsigned, tx.fee is ignored
+   * @returns {object} { success, error, gasUsed, executionGas, deployGas, fee }
+   */
+  estimateGas (tx) {
+    tx.fee = BigInt(params.get('gas.maxTxGas'))
+    const { success, error, gasUsed, deployGas, fee } = this.simulateTx(tx, { estimate: true })
+    return {
+      success,
+      error,
+      gasUsed,
+      executionGas: gasUsed - deployGas,
+      deployGas,
+      fee
+    }
+  }
+
+  /**
+   * Execute scheduled calls which are due at current block, each in its own draft.
+   * @returns {Array} events emitted by the calls, plus one ScheduledCallExecuted/ScheduledCallFailed event for each call
+   */
+  runScheduledCalls () {
+    const events = []
+    const block = stateManager.getBlock()
+    sysContracts.Scheduler.getDueCalls(block, config.scheduler.maxCallsPerBlock).forEach(call => {
+      execScheduledCall(call, block, events)
+    })
+    return events
+  }
+
+  /**
+   * Close voting of governance proposals and activate approved parameter changes which are due at current block.
+   * @returns {Array} events
+   */
+  processGovernance () {
+    const events = []
+    const block = stateManager.getBlock()
+    if (!sysContracts.Governance.hasDueProposals(block)) {
+      return events
+    }
+
+    const { stateAccess, patch, tools } = stateManager.produceDraft()
+    const options = {
+      tx: { from: 'system', value: BigInt(0), fee: BigInt(0) },
+      block,
+      stateAccess,
+      tools,
+      events
+    }
+
+    stateManager.beginCheckpoint()
+    invoker.invokeUpdate(GOVERNANCE_ADDR, '_processProposals', [], options)
+    stateManager.applyDraft(patch)
+    stateManager.endCheckpoint()
+
+    return events
+  }
+
+  /**
+   * Punish validators which double signed or missed too many blocks in a row.
+   * @param {object} activity - { byzantine, signed, missed }, validator addresses in hex
+   * @returns {Array} events
+   */
+  punishValidators ({ byzantine, signed, missed }) {
+    const events = []
+    if (!byzantine.length && !missed.length && !election.hasMissedBlocks()) {
+      return events
+    }
+
+    const { stateAccess, patch, tools } = stateManager.produceDraft()
+    const options = {
+      tx: { from: 'system', value: BigInt(0), fee: BigInt(0) },
+      block: stateManager.getBlock(),
+      stateAccess,
+      tools,
+      events
+    }
+
+    stateManager.beginCheckpoint()
+    invoker.invokeUpdate(ELECTION_ADDR, '_processValidatorActivity', [byzantine, signed, missed], options)
+    stateManager.applyDraft(patch)
+    stateManager.endCheckpoint()
+
+    return events
+  }
+
+  /**
+   * Distribute fees collected in current block and the block inflation to validators and voters.
+   * @returns {Array} events
+   */
+  distributeRewards () {
+    const events = []
+    if (!config.rewards.enabled) {
+      // fees go to feeCollector, so they are not taken for rewards
+      return events
+    }
+
+    const fees = stateManager.takeCollectedFees()
+    const inflationPerBlock = params.get('rewards.inflationPerBlock')
+    const amount = fees + BigInt(inflationPerBlock)
+    if (amount <= BigInt(0)) {
+      return events
+    }
+
+    const { stateAccess, patch, tools } = stateManager.produceDraft()
+    const options = {
+      tx: { from: 'system', value: BigInt(0), fee: BigInt(0) },
+      block: stateManager.getBlock(),
+      stateAccess,
+      tools,
+      events
+    }
+
+    stateManager.beginCheckpoint()
+    // fees are already paid to system.election, inflation is minted
+    tools.mint(ELECTION_ADDR, BigInt(inflationPerBlock))
+    invoker.invokeUpdate(ELECTION_ADDR, '_distributeRewards', [amount], options)
+    stateManager.applyDraft(patch)
+    stateManager.endCheckpoint()
+
+    return events
+  }
+
   initValidators () {
     let validators = []
     try {
@@ -314,7 +745,7 @@ class App {
   }
 
   endBlock (height) {
-    if (height % config.election.epoch === 0) {
+    if (height % params.get('election.epoch') === 0) {
       let newValidators = []
       try {
         newValidators = election.getValidators()
@@ -331,6 +762,274 @@ class App {
   }
 }
 
+// sort orders of listContracts and debugState
+const ACCOUNT_SORTERS = Object.freeze({
+  address: item => item.address,
+  balance: item => BigInt(item.balance || 0)
+})
+
+/**
+ * map of address => alias, of registered aliases
+ * @private
+ * @function
+ * @return {object} aliases by address
+ */
+function _aliasesByAddress () {
+  const aliases = sysContracts.Alias.getAliases()
+  return Object.keys(aliases).reduce((prev, alias) => {
+    prev[aliases[alias].address] = alias
+    return prev
+  }, {})
+}
+
+/**
+ * create a pager of accounts, sorted by ACCOUNT_SORTERS
+ * @private
+ * @function
+ * @param {object} options - { sort, cursor, limit }, see paging.paginate
+ * @return {object} pager, see paging.createPager
+ */
+function _accountPager (options) {
+  return paging.createPager(Object.assign(_.pick(options, ['sort', 'cursor', 'limit']), {
+    idOf: item => item.address,
+    sorters: ACCOUNT_SORTERS
+  }))
+}
+
+/**
+ * read the accounts of a state matching a filter one by one, without their storage
+ * @private
+ * @function
+ * @param {object} state - stateManager, or a state returned by getStateAt
+ * @param {object} filter - { contract, system, deployedBy, mode }, fields which are not set are not filtered
+ * @param {function} fn - called with (address, account) of each matching account
+ */
+function _forEachAccount (state, { contract, system, deployedBy, mode }, fn) {
+  if (deployedBy != null) {
+    deployedBy = _ensureAddress(deployedBy)
+  }
+
+  return state.forEachAccount((address, account) => {
+    if (contract != null && !!(account.src || account.system) !== !!contract) return
+    if (system != null && !!account.system !== !!system) return
+    if (deployedBy != null && account.deployedBy !== deployedBy) return
+    if (mode != null && (account.mode || 0) !== Number(mode)) return
+    fn(address, account)
+  })
+}
+
+/**
+ * install a system contract and run its ondeploy
+ * @private
+ * @function
+ * @param {string} key - system contract address
+ * @param {object} args - initChain request
+ */
+function installSystemContract (key, args) {
+  const state = stateManager.installSystemContract(key)
+  const contract = sysContracts.get(key)
+  if (typeof contract.ondeploy === 'function') {
+    contract.ondeploy(state, args)
+  }
+}
+
+/**
+ * pick public account info from an account state
+ * @private
+ * @function
+ * @param {object} state - account state
+ * @return {object} account info
+ */
+function _accountInfo ({ balance = 0, system, mode, src, deployedBy, deployNonce = 0, upgradedFrom, upgradedAt }) {
+  return { balance, system, mode, hasSrc: !!src, deployedBy, deployNonce, codeHash: utils.codeHash(src), upgradedFrom, upgradedAt }
+}
+
+/**
+ * make a state draft patch plain data to report, its storages are drafts and its storageKeys are Sets
+ * @private
+ * @function
+ * @param {object} patch - patch of a state draft
+ * @return {object} patch with the storage and the changed storage keys (an array) of each contract
+ */
+function _patchReport ({ storages, storageKeys, ...patch }) {
+  return Object.assign(patch, {
+    storages: _.mapValues(storages, draft => draft.current),
+    storageKeys: _.mapValues(storageKeys, keys => [...keys])
+  })
+}
+
+/**
+ * ensure tx nonce (signing time) is within the replay window of block time,
+ * so that tx hashes need to be kept only within that window
+ * @private
+ * @function
+ * @param {object} tx - transaction
+ * @param {object} block - current block, or undefined if there is no block yet
+ */
+function checkTxNonce (tx, block) {
+  const nonce = Number(tx.nonce)
+  if (!Number.isFinite(nonce)) {
+    throw errors.create('TX_INVALID_NONCE', { nonce: tx.nonce })
+  }
+
+  const now = block ? block.timestamp : Date.now()
+  const { window } = config.replay
+  if (nonce < now - window) {
+    throw errors.create('TX_EXPIRED', { nonce, now })
+  }
+  if (nonce > now + window) {
+    throw errors.create('TX_NONCE_IN_FUTURE', { nonce, now })
+  }
+}
+
+/**
+ * execute a scheduled call, the deposit is released from the scheduler and the call is executed as a tx from call.from.
+ * If the call fails, its changes are discarded, the value is refunded and the fee is paid.
+ * @private
+ * @function
+ * @param {object} call - scheduled call
+ * @param {object} block - current block
+ * @param {Array} events - events to emit to
+ */
+function execScheduledCall (call, block, events) {
+  const tx = new Tx({
+    from: call.from,
+    to: call.to,
+    value: call.value,
+    fee: call.fee,
+    data: call.name ? { op: TxOp.CALL_CONTRACT, name: call.name, params: call.params } : {},
+    nonce: call.seq
+  })
+  tx.value = BigInt(tx.value)
+  tx.fee = BigInt(tx.fee)
+  tx.payer = tx.from
+  tx.signers = [tx.from]
+
+  const systemTx = { from: 'system', value: BigInt(0), fee: BigInt(0) }
+  const run = failed => {
+    const callEvents = []
+    const { stateAccess, patch, tools } = stateManager.produceDraft()
+    const options = { tx, block, stateAccess, tools, events: callEvents }
+
+    invoker.invokeUpdate(SCHEDULER_ADDR, '_release', [call.id], Object.assign({}, options, { tx: systemTx }))
+
+    let result
+    if (failed) {
+      // the fee is paid even if the call fails
+      tools.refectTxValueAndFee({ payer: tx.from, value: BigInt(0), fee: tx.fee })
+    } else {
+      result = doExecTx(options)
+    }
+
+    stateManager.applyDraft(patch)
+    events.push(...callEvents)
+    return result
+  }
+
+  const eventData = { id: call.id, from: call.from, to: call.to }
+  stateManager.beginCheckpoint()
+  try {
+    const result = run(false)
+    utils.emitEvent(SCHEDULER_ADDR, events, 'ScheduledCallExecuted', { ...eventData, result }, ['from'])
+  } catch (err) {
+    debug('Scheduled call failed', call, err)
+    try {
+      run(true)
+    } catch (chargeErr) {
+      // the call is dropped, otherwise it would fail again in every block
+      debug('Failed to charge scheduled call', call, chargeErr)
+      const { stateAccess, patch, tools } = stateManager.produceDraft()
+      invoker.invokeUpdate(SCHEDULER_ADDR, '_drop', [call.id], { tx: systemTx, block, stateAccess, tools, events: [] })
+      stateManager.applyDraft(patch)
+    }
+    utils.emitEvent(SCHEDULER_ADDR, events, 'ScheduledCallFailed', { ...eventData, error: String(err) }, ['from'])
+  }
+  stateManager.endCheckpoint()
+}
+
+/**
+ * validate operations of a batch tx
+ * @private
+ * @function
+ * @param {object} tx - batch transaction
+ */
+function checkBatchOps (tx) {
+  const { ops } = tx.data
+  if (!Array.isArray(ops) || !ops.length) {
+    throw errors.create('TX_INVALID_BATCH', {}, 'Batch transaction must have at least one operation.')
+  }
+  if (ops.length > config.batch.maxOps) {
+    throw errors.create('TX_INVALID_BATCH', { max: config.batch.maxOps }, `Batch transaction has too many operations, at most ${config.batch.maxOps}.`)
+  }
+  if (tx.to) {
+    throw errors.create('TX_INVALID_BATCH', {}, 'Batch transaction destination address must be blank, set it for each operation instead.')
+  }
+  if (tx.value > BigInt(0)) {
+    throw errors.create('TX_INVALID_BATCH', {}, 'Batch transaction value must be zero, set it for each operation instead.')
+  }
+
+  const checkRef = (value, index) => {
+    if (txop.isRef(value) && (value.$ref < 0 || value.$ref >= index)) {
+      throw errors.create('TX_INVALID_BATCH', { index, ref: value.$ref }, `Operation ${index} references result of operation ${value.$ref}, which is not executed before it.`)
+    }
+  }
+
+  ops.forEach((op, index) => {
+    if (op == null || typeof op !== 'object') {
+      throw errors.create('TX_INVALID_BATCH', { index })
+    }
+
+    const data = op.data || {}
+    const value = BigInt(op.value || 0)
+    if (value < BigInt(0)) {
+      throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} has invalid value.`)
+    }
+
+    if (Array.isArray(data.params)) {
+      data.params.forEach(p => checkRef(p, index))
+    }
+
+    if (data.op === TxOp.DEPLOY_CONTRACT) {
+      if (op.to) {
+        throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} deploys a contract, its destination address must be blank.`)
+      }
+      if (!data.src) {
+        throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} deploys a contract but does not provide contract source.`)
+      }
+      return
+    }
+
+    if (data.op === TxOp.UPGRADE_CONTRACT) {
+      if (value > BigInt(0)) {
+        throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} upgrades a contract, its value must be zero.`)
+      }
+      if (!data.src) {
+        throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} upgrades a contract but does not provide contract source.`)
+      }
+    } else if (data.op !== TxOp.CALL_CONTRACT && data.op != null) {
+      throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} has unrecognized type.`)
+    }
+    if (data.op === TxOp.CALL_CONTRACT && data.name === '_beforePayFor') {
+      throw errors.create('TX_METHOD_NOT_ALLOWED', { index, method: '_beforePayFor' }, 'Cannot call _beforePayFor directly.')
+    }
+
+    if (!op.to) {
+      throw errors.create('TX_INVALID_BATCH', { index }, `Operation ${index} destination address is required.`)
+    }
+    if (txop.isRef(op.to)) {
+      checkRef(op.to, index)
+    } else {
+      const to = _ensureAddress(op.to)
+      if (!sysContracts.has(to)) {
+        const toType = ecc.validateAddress(to).type
+        if (value > BigInt(0) && toType === AccountType.REGULAR_ACCOUNT) {
+          throw errors.create('TRANSFER_TO_REGULAR_ACCOUNT', { index, address: to }, 'Could not transfer to regular account.')
+        }
+      }
+    }
+  })
+}
+
 /**
  * validate tx op and tx.to source
  * @private
@@ -339,7 +1038,7 @@ class App {
  * @return {boolean} is right to execute
  */
 function willCallContract (tx) {
-  return tx.isContractCreation() || tx.isContractCall() ||
+  return tx.isContractCreation() || tx.isContractCall() || txop.isBatch(tx) || txop.isUpgrade(tx) ||
     (tx.value > BigInt(0) && stateManager.isContract(tx.to)) ||
     (tx.value + tx.fee > BigInt(0) && tx.payer && tx.payer !== tx.from && stateManager.isContract(tx.payer))
 }
@@ -356,24 +1055,82 @@ function doExecTx (options) {
   options.info = { __gas_used: 0 }
   let result
 
+  if (txop.isBatch(tx)) {
+    // fee is paid once for the whole batch, each op pays its own value
+    payValueAndFee(tx, BigInt(0), tx.fee, options)
+
+    result = []
+    tx.data.ops.forEach(op => {
+      const opTx = txop.makeOpTx(tx, op, result)
+      opTx.to = _ensureAddress(opTx.to)
+      result.push(execOp(Object.assign({}, options, { tx: opTx }), opTx.value, BigInt(0)))
+      if (opTx.value > BigInt(0)) {
+        utils.emitTransfer(options.events, opTx.from, opTx.to, opTx.payer, opTx.value)
+      }
+    })
+  } else {
+    result = execOp(options, tx.value, tx.fee)
+  }
+
+  const { minTxGas, maxTxGas, freeGasLimit } = params.get('gas')
+  let actualFee = minTxGas
+  if (tools.refectTxValueAndFee || stateManager.handleTransfer) {
+    if (options.info && options.info.__gas_used) {
+      actualFee += options.info.__gas_used
+      if (actualFee > maxTxGas) {
+        throw errors.createAt(options.block.number, 'GAS_LIMIT_EXCEEDED', { gasUsed: actualFee, max: maxTxGas })
+      }
+    }
+
+    actualFee = actualFee > freeGasLimit ? (actualFee - freeGasLimit) : 0
+    if (tx.fee < BigInt(actualFee)) {
+      throw errors.createAt(options.block.number, 'INSUFFICIENT_FEE', { required: actualFee, provided: tx.fee })
+    }
+    options.info.__actual_fee = actualFee
+    const refundTx = { payer: tx.payer, value: BigInt(0), fee: -(tx.fee - BigInt(actualFee)) }
+    const refundFunc = tools.refectTxValueAndFee || stateManager.handleTransfer
+    refundFunc(refundTx)
+  }
+
+  utils.emitTx(options.events, tx.from, tx.isContractCreation() ? result : tx.to, tx.payer, actualFee)
+
+  // emit transferred event
+  if (tx.value > BigInt(0)) {
+    utils.emitTransfer(options.events, tx.from, tx.to, tx.payer, tx.value)
+  }
+
+  return result
+}
+
+/**
+ * execute a single operation: deploy, call or transfer
+ * @private
+ * @function
+ * @param {object} options - options, options.tx is the tx of the operation
+ * @param {BigInt} value - value to transfer
+ * @param {BigInt} fee - fee to charge, it is refunded later based on gas used
+ * @return {object} result
+ */
+function execOp (options, value, fee) {
+  const { tx, tools = {} } = options
+  let result
+
   if (tx.isContractCreation()) {
     // analyze & save contract state
     const contractState = invoker.prepareContract(tx)
-    tx.to = tools.deployContract(tx.from, contractState)
+    tx.to = tools.deployContract(tx.from, contractState, { salt: tx.data.salt, src: tx.data.src })
 
     // deploy fee
-    options.info.__gas_used += minStateGas + sizeof(contractState) * gasPerByte
+    const { minStateGas, gasPerByte } = params.get('gas')
+    const deployGas = minStateGas + sizeof(contractState) * gasPerByte
+    options.info.__deploy_gas = (options.info.__deploy_gas || 0) + deployGas
+    options.info.__gas_used += deployGas
+  } else if (txop.isUpgrade(tx)) {
+    upgradeContract(options)
   }
 
   // process value transfer
-  if (tx.value + tx.fee > 0) {
-    if (tx.payer !== tx.from) {
-      const tmpTx = Object.assign({}, tx)
-      tmpTx.from = 'system'
-      invoker.invokeUpdate(tx.payer, '_beforePayFor', [tx], Object.assign({}, options, { tx: tmpTx }))
-    }
-    (tools.refectTxValueAndFee || stateManager.handleTransfer)(tx)
-  }
+  payValueAndFee(tx, value, fee, options)
 
   if (tx.isContractCreation()) {
     // call constructor
@@ -391,43 +1148,75 @@ function doExecTx (options) {
 
     // Result of ondeploy should be address
     result = tx.to
+  } else if (txop.isUpgrade(tx)) {
+    // the migration hook is optional, it is called only when params are provided
+    if (Array.isArray(tx.data.params)) {
+      invoker.invokeUpdate(tx.to, config.messages.onupgrade, tx.data.params, options)
+    }
+    result = tx.to
   } else if (tx.isContractCall()) {
-    if (['constructor', config.messages.onreceive, config.messages.ondeploy, 'getState', 'setState', 'deleteState', 'runtime'].includes(tx.data.name)) {
-      throw new Error('Calling this method directly is not allowed')
+    const { ondeploy, onreceive, onupgrade } = config.messages
+    if (['constructor', onreceive, ondeploy, onupgrade, 'getState', 'setState', 'deleteState', 'runtime'].includes(tx.data.name)) {
+      throw errors.create('TX_METHOD_NOT_ALLOWED', { method: tx.data.name })
     }
     result = invoker.invokeTx(options)
-  } else if (tx.value && stateManager.isContract(tx.to)) {
+  } else if (value && stateManager.isContract(tx.to)) {
     // call onreceive for regular transfer
     result = invoker.invokeUpdate(tx.to, config.messages.onreceive, tx.data.params, options)
   }
 
-  let actualFee = minTxGas
-  if (tools.refectTxValueAndFee || stateManager.handleTransfer) {
-    if (options.info && options.info.__gas_used) {
-      actualFee += options.info.__gas_used
-      if (actualFee > maxTxGas) {
-        throw new Error(`gas used ${actualFee} is too high, at most ${maxTxGas}`)
-      }
-    }
+  return result
+}
 
-    const { freeGasLimit } = config.gas
-    actualFee = actualFee > freeGasLimit ? (actualFee - freeGasLimit) : 0
-    if (tx.fee < BigInt(actualFee)) {
-      throw new Error('Insufficient fee')
-    }
-    const refundTx = { payer: tx.payer, value: BigInt(0), fee: -(tx.fee - BigInt(actualFee)) }
-    const refundFunc = tools.refectTxValueAndFee || stateManager.handleTransfer
-    refundFunc(refundTx)
+/**
+ * replace source of contract tx.to with tx.data.src, keeping its storage and balance.
+ * Only the deployer, or its owners registered in system.did, can upgrade a contract.
+ * @private
+ * @function
+ * @param {object} options - options
+ */
+function upgradeContract (options) {
+  const { tx, block, tools } = options
+  const old = tools.getCode(tx.to)
+  if (old.system) {
+    throw errors.create('TX_INVALID_UPGRADE', { address: tx.to }, 'System contracts cannot be upgraded.')
   }
+  did.checkPermission(old.deployedBy, tx, block, true)
 
-  utils.emitTx(options.events, tx.from, tx.isContractCreation() ? result : tx.to, tx.payer, actualFee)
+  const contractState = invoker.prepareContract(tx)
+  const codeHash = utils.codeHash(contractState.src)
+  const upgradedFrom = utils.codeHash(old.src)
+  const { src, mode, meta } = contractState
+  tools.upgradeContract(tx.to, { src, mode, meta, upgradedFrom, upgradedAt: block.number })
 
-  // emit transferred event
-  if (tx.value > BigInt(0)) {
-    utils.emitTransfer(options.events, tx.from, tx.to, tx.payer, tx.value)
-  }
+  // charged the same as deploying the new source
+  const { minStateGas, gasPerByte } = params.get('gas')
+  const deployGas = minStateGas + sizeof(contractState) * gasPerByte
+  options.info.__deploy_gas = (options.info.__deploy_gas || 0) + deployGas
+  options.info.__gas_used += deployGas
 
-  return result
+  utils.emitEvent('system', options.events, 'upgrade', { address: tx.to, codeHash, upgradedFrom }, ['address'])
+}
+
+/**
+ * transfer value to tx.to and charge fee from tx.payer
+ * @private
+ * @function
+ * @param {object} tx - transaction
+ * @param {BigInt} value - value to transfer
+ * @param {BigInt} fee - fee to charge
+ * @param {object} options - options
+ */
+function payValueAndFee (tx, value, fee, options) {
+  if (value + fee > 0) {
+    if (tx.payer !== tx.from) {
+      const tmpTx = Object.assign({}, tx)
+      tmpTx.from = 'system'
+      invoker.invokeUpdate(tx.payer, '_beforePayFor', [tx], Object.assign({}, options, { tx: tmpTx }))
+    }
+    const transfer = (options.tools || {}).refectTxValueAndFee || stateManager.handleTransfer
+    transfer({ payer: tx.payer, to: tx.to, value, fee })
+  }
 }
 
 module.exports = utils.newAndBind(App)
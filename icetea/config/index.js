@@ -4,9 +4,30 @@ const config = {
   versions: {
     node: '>=14.15.1 <15.0.0'
   },
+  // protocol upgrades, in order of activation: { name, height }
+  // each activated fork bumps the protocol version, never change or remove one which is already active
+  // the heights here are for a new chain, a chain started before a fork must set it to a future height
+  // before its nodes upgrade, so that the blocks before it are replayed with the old rules
+  // the schedule is stored with the blocks, a node refuses to start if a fork would activate at a passed height
+  forks: [
+    // tx nonces must be within replay.window of the block time, and tx hashes expire after it
+    { name: 'replayWindow', height: 1 },
+    // changes of a contract call are discarded if it throws, even if the calling contract catches the error
+    { name: 'checkpoint', height: 1 },
+    // contract addresses come from deploy nonces kept in the deployer account, or from a salt,
+    // instead of the number of contracts deployed by the deployer
+    { name: 'contractAddress', height: 1 },
+    // deliverTx replies the code and data of the error catalogue, and gas errors thrown to contracts are of it
+    { name: 'errorCodes', height: 1 },
+    // contract storage is kept in its own storage trie instead of inline in the account leaf
+    { name: 'storageTrie', height: 1 },
+    // values read from contract storage are handed out deep frozen instead of deep cloned, contracts copy what they change
+    { name: 'frozenState', height: 1 }
+  ],
   messages: {
     ondeploy: '__on_deployed',
-    onreceive: '__on_received'
+    onreceive: '__on_received',
+    onupgrade: '__on_upgraded'
   },
   rawJs: {
     transpile: [
@@ -21,7 +42,64 @@ const config = {
     epoch: 4,
     resignValidatorLock: 10,
     resignVoterLock: 1,
-    unvoteLock: 5
+    unvoteLock: 5,
+    // slashed rate is per million of the validator deposit
+    punishment: {
+      // double signing, as reported by tendermint evidences
+      byzantine: {
+        slashedRatePerMillion: 50000,
+        jailedBlockCount: 1000
+      },
+      // missing maxMissedBlocks blocks in a row
+      downtime: {
+        maxMissedBlocks: 50,
+        slashedRatePerMillion: 1000,
+        jailedBlockCount: 100
+      }
+    }
+  },
+  replay: {
+    // a tx nonce is its signing time (ms), the tx is rejected if the nonce is farther than this from the block time
+    // tx hashes are kept for replay checking only within this window, so it bounds the size of the tx index
+    window: 60 * 60 * 1000
+  },
+  rewards: {
+    // when enabled, tx fees are paid to system.election instead of feeCollector,
+    // then distributed to validators and their voters at the end of each block
+    enabled: false,
+    // amount minted to rewards every block
+    inflationPerBlock: 0,
+    // share of a validator's rewards kept by its operator before sharing with voters, unless set by the operator
+    defaultCommissionRatePerMillion: 100000
+  },
+  governance: {
+    // parameters which could be changed by governance proposals, as paths in this config
+    params: [
+      'gas.minStateGas',
+      'gas.freeGasLimit',
+      'gas.gasPerByte',
+      'gas.minTxGas',
+      'gas.maxTxGas',
+      'election.numberOfValidators',
+      'election.epoch',
+      'election.minValidatorDeposit',
+      'election.minVoterValue',
+      'gate.minProviderDeposit',
+      'rewards.inflationPerBlock'
+    ],
+    // number of blocks a proposal is open for voting
+    votingPeriod: 100,
+    // share of total stake in system.election which must vote for the result to be valid
+    quorumPerMillion: 334000,
+    // share of voted stake which must approve the proposal
+    thresholdPerMillion: 500001
+  },
+  scheduler: {
+    // due calls exceeding this are executed in next blocks
+    maxCallsPerBlock: 10
+  },
+  batch: {
+    maxOps: 16
   },
   gate: {
     minProviderDeposit: 10e6,
@@ -30,7 +108,43 @@ const config = {
   state: {
     path: './state',
     serializer: 'v8',
-    stripUndefined: true
+    stripUndefined: true,
+    // trie which computes the state root (app hash), 'patricia' or 'smt' (sparse Merkle trie)
+    // all nodes of a chain must use the same one, convert an existing state with scripts/migrate.js
+    backend: 'patricia',
+    // number of accounts kept in memory, accounts are read from the state trie on demand
+    // system contracts and accounts changed in current block are kept regardless
+    cacheSize: 10000,
+    // state-sync snapshots for new nodes joining with tendermint statesync
+    snapshot: {
+      // take a snapshot every this number of blocks, at the end of the epoch it falls in, 0 to disable
+      interval: 0,
+      // number of most recent snapshots to keep
+      keepRecent: 2,
+      // max size of trie entries in one chunk, in bytes, tendermint accepts chunks up to 16MB
+      chunkSize: 4 * 1024 * 1024
+    },
+    // receipts and contract events of txs, kept by the app so they could be queried without tendermint indexer
+    receipts: {
+      enabled: true,
+      // max number of events returned by one query
+      maxQueryResults: 1000
+    },
+    // pruning of historical state
+    pruning: {
+      // 'archive' keeps all heights, 'recent' keeps the last keepRecent heights,
+      // 'interval' keeps the last keepRecent heights plus every interval-th height
+      strategy: 'archive',
+      keepRecent: 100,
+      interval: 1000,
+      // prune and collect unreachable trie nodes every this number of blocks
+      gcInterval: 100
+    }
+  },
+  // paged query results, e.g. contracts, state and storage keys
+  query: {
+    pageSize: 100,
+    maxPageSize: 1000
   },
   abciServerPort: 26658,
   feeCollector: process.env.FEE_COLLECTOR,
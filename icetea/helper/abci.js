@@ -1,6 +1,7 @@
 /** @module */
 const { codec, Tx } = require('@iceteachain/common')
 const { serialize } = require('./utils')
+const errors = require('./errors')
 
 /**
  * get block
@@ -17,6 +18,24 @@ function getBlock (req) {
   return { hash, number, timestamp }
 }
 
+/**
+ * get validators which signed or missed the last block, and the ones which misbehaved
+ * @private
+ * @function
+ * @param {object} req - abci BeginBlock request
+ * @returns {object} { byzantine, signed, missed }, arrays of validator addresses in hex
+ */
+function getValidatorActivity (req) {
+  const toHex = address => Buffer.from(address).toString('hex')
+  const votes = (req.lastCommitInfo && req.lastCommitInfo.votes) || []
+
+  return {
+    byzantine: (req.byzantineValidators || []).map(e => toHex(e.validator.address)),
+    signed: votes.filter(v => v.signedLastBlock).map(v => toHex(v.validator.address)),
+    missed: votes.filter(v => !v.signedLastBlock).map(v => toHex(v.validator.address))
+  }
+}
+
 /**
  * get transaction
  * @private
@@ -25,8 +44,34 @@ function getBlock (req) {
  * @returns {object} tx
  */
 function getTx (req) {
-  const reqTx = codec.decode(req.tx)
+  return decodeTx(codec.decode(req.tx))
+}
 
+/**
+ * get the accounts a transaction reads for sure, to load them before it runs
+ * @private
+ * @function
+ * @param {object} req - abci request
+ * @returns {Array.<string>} addresses, empty if the transaction could not be decoded
+ */
+function getTxAccounts (req) {
+  try {
+    const tx = getTx(req)
+    return [tx.from, tx.to, tx.payer, ...(tx.signers || [])].filter(addr => addr && typeof addr === 'string')
+  } catch (err) {
+    // deliverTx decodes it again and replies the error
+    return []
+  }
+}
+
+/**
+ * build transaction from decoded tx content
+ * @private
+ * @function
+ * @param {object} reqTx - decoded tx content, with or without evidence
+ * @returns {object} tx
+ */
+function decodeTx (reqTx) {
   // santitize reqTx
 
   if (reqTx.data == null) { // eslint-disable-line
@@ -50,4 +95,66 @@ function replyQuery (data, noSerialize) {
   return { code: 0, value: noSerialize ? data : serialize(data) }
 }
 
-module.exports = { getBlock, getTx, replyQuery }
+/**
+ * reply query with a merkle proof
+ * @private
+ * @function
+ * @param {object} data - abci data
+ * @param {object} options - { height, key, proofOps }, proof ops are ordered from the value up to the app hash
+ * @returns {object} response object
+ */
+function replyProvedQuery (data, { height, key, proofOps }) {
+  return {
+    code: 0,
+    value: serialize(data),
+    key: Buffer.from(key),
+    proof: { ops: proofOps },
+    height
+  }
+}
+
+/**
+ * reply a failed checkTx or deliverTx
+ * @private
+ * @function
+ * @param {Error} err - error
+ * @param {number} genericCode - code if the error is not in the catalogue
+ * @returns {object} response object, info is the error reason and data is the encoded { reason, ...data }
+ */
+function replyTxError (err, genericCode) {
+  const { code, codespace, reason, data } = errors.describe(err, genericCode)
+  const res = { code, codespace, log: String(err) }
+  if (reason) {
+    res.info = reason
+    res.data = serialize({ reason, ...data })
+  }
+  return res
+}
+
+/**
+ * reply a failed query
+ * @private
+ * @function
+ * @param {Error} err - error
+ * @returns {object} response object, value is the encoded { reason, ...data } if the error is in the catalogue
+ */
+function replyQueryError (err) {
+  const { code, codespace, reason, data } = errors.describe(err, errors.GenericCode.QUERY)
+  const res = { code, codespace, info: String(err), log: err.stack }
+  if (reason) {
+    res.value = serialize({ reason, ...data })
+  }
+  return res
+}
+
+module.exports = {
+  getBlock,
+  getValidatorActivity,
+  getTx,
+  getTxAccounts,
+  decodeTx,
+  replyQuery,
+  replyProvedQuery,
+  replyTxError,
+  replyQueryError
+}
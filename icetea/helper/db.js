@@ -17,3 +17,8 @@ module.exports = (path = './state') => {
   }
   return instance
 }
+
+/**
+ * open another leveldb, which is not shared, e.g. the target of a migration
+ */
+module.exports.open = path => levelup(leveldown(path))
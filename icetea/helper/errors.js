@@ -0,0 +1,154 @@
+/** @module */
+// Error catalogue. Each error has a stable numeric code and a codespace, returned in the code and codespace
+// fields of checkTx, deliverTx and query responses, so that clients do not have to parse error messages.
+// Codes must never change or be reused, add new errors with new codes.
+
+const forks = require('./forks')
+
+const Codespace = Object.freeze({
+  TX: 'tx',
+  STATE: 'state',
+  CONTRACT: 'contract',
+  SYSCON: 'syscon'
+})
+
+// codes of errors not in the catalogue, e.g. thrown by contracts, same as before the catalogue existed
+const GenericCode = Object.freeze({
+  CHECK_TX: 1,
+  DELIVER_TX: 2,
+  QUERY: 3
+})
+
+const entry = (code, codespace, message) => ({ code, codespace, message })
+
+const catalogue = {
+  // transaction validation
+  TX_DUPLICATED: entry(101, Codespace.TX, 'This transaction was already included in blockchain, no need to send again.'),
+  TX_INVALID_VALUE: entry(102, Codespace.TX, 'Invalid transaction value.'),
+  TX_INVALID_FEE: entry(103, Codespace.TX, 'Invalid transaction fee.'),
+  TX_FEE_TOO_LOW: entry(104, Codespace.TX, ({ fee, min }) => `tx fee ${fee} is too low, at least ${min}`),
+  TX_FEE_TOO_HIGH: entry(105, Codespace.TX, ({ fee, max }) => `tx fee ${fee} is too high, at most ${max}`),
+  TX_UNRECOGNIZED_TYPE: entry(106, Codespace.TX, 'Unrecognized transaction type.'),
+  TX_INVALID_NONCE: entry(107, Codespace.TX, 'Invalid transaction nonce.'),
+  TX_EXPIRED: entry(108, Codespace.TX, 'Transaction has expired, please sign it again.'),
+  TX_NONCE_IN_FUTURE: entry(109, Codespace.TX, 'Transaction nonce is too far in the future, please check your clock.'),
+  TX_INVALID_SIGNERS: entry(110, Codespace.TX, 'Invalid transaction signers.'),
+  TX_INVALID_DESTINATION: entry(111, Codespace.TX, 'Invalid transaction destination address.'),
+  TX_INVALID_PAYER: entry(112, Codespace.TX, 'Invalid transaction payer.'),
+  TX_PAYER_REJECTED: entry(113, Codespace.TX, 'Payer does not agree to pay.'),
+  TX_INVALID_BATCH: entry(114, Codespace.TX, ({ index }) => `Operation ${index} is invalid.`),
+  TX_INVALID_UPGRADE: entry(115, Codespace.TX, 'Invalid contract upgrade transaction.'),
+  TX_METHOD_NOT_ALLOWED: entry(116, Codespace.TX, 'Calling this method directly is not allowed'),
+
+  // balance and gas
+  INSUFFICIENT_BALANCE: entry(201, Codespace.STATE, 'Not enough balance'),
+  INSUFFICIENT_FEE: entry(202, Codespace.STATE, 'Insufficient fee'),
+  GAS_LIMIT_EXCEEDED: entry(203, Codespace.STATE, ({ gasUsed, max }) => `gas used ${gasUsed} is too high, at most ${max}`),
+  OUT_OF_GAS: entry(204, Codespace.STATE, 'Out of gas.'),
+
+  // contracts
+  CONTRACT_NOT_FOUND: entry(301, Codespace.CONTRACT, ({ address }) => `The address specified is not a valid deployed contract: ${address}`),
+  TRANSFER_TO_REGULAR_ACCOUNT: entry(302, Codespace.CONTRACT, 'Cannot transfer to regular account.'),
+  CONTRACT_ALREADY_DEPLOYED: entry(303, Codespace.CONTRACT, ({ address }) => `A contract was already deployed to ${address}, please use another salt.`),
+  INVALID_SALT: entry(304, Codespace.CONTRACT, 'Invalid contract salt.'),
+  INVALID_INVOKE_TYPE: entry(305, Codespace.CONTRACT, ({ invokeType }) => `Invalid invoke type ${invokeType}. Must be 'pure', 'view', or 'transaction'.`),
+  NOT_ALLOWED_IN_MODE: entry(306, Codespace.CONTRACT, ({ operation, mode }) => `${operation} is not allowed in '${mode}' mode.`),
+
+  // system contracts
+  INVALID_MESSAGE: entry(401, Codespace.SYSCON, ({ name }) => `Message '${name}' is not supported by this contract.`),
+  SYSCON_NOT_FOUND: entry(402, Codespace.SYSCON, ({ name }) => `System contract ${name} cannot be found.`),
+  PERMISSION_DENIED: entry(403, Codespace.SYSCON, 'Permission denied.'),
+  NOT_FOUND: entry(404, Codespace.SYSCON, 'Not found.'),
+  ALREADY_EXISTS: entry(405, Codespace.SYSCON, 'Already exists.'),
+  INSUFFICIENT_DEPOSIT: entry(406, Codespace.SYSCON, ({ required }) => `Deposit must be at least ${required}.`),
+  INVALID_ARGUMENT: entry(407, Codespace.SYSCON, 'Invalid argument.'),
+  INVALID_STATE: entry(408, Codespace.SYSCON, 'Operation is not allowed in current state.')
+}
+
+/**
+ * error of the catalogue
+ * @private
+ */
+class IceteaError extends Error {
+  /**
+   * @param {string} reason - catalogue name, e.g. 'INSUFFICIENT_BALANCE'
+   * @param {object} data - structured data of the error
+   * @param {string} [message] - message, default to the catalogue message
+   */
+  constructor (reason, data, message) {
+    const { code, codespace, message: defaultMessage } = catalogue[reason]
+    super(message || (typeof defaultMessage === 'function' ? defaultMessage(data) : defaultMessage))
+    this.reason = reason
+    this.code = code
+    this.codespace = codespace
+    this.data = data
+  }
+}
+
+/**
+ * create an error of the catalogue
+ * @function
+ * @param {string} reason - catalogue name, e.g. 'INSUFFICIENT_BALANCE'
+ * @param {object} [data] - structured data, e.g. { address, required, available }
+ * @param {string} [message] - message, default to the catalogue message
+ * @returns {IceteaError} error to throw
+ */
+exports.create = (reason, data = {}, message) => {
+  if (!Object.prototype.hasOwnProperty.call(catalogue, reason)) {
+    throw new Error(`Unknown error reason ${reason}.`)
+  }
+  return new IceteaError(reason, data, message)
+}
+
+/**
+ * create an error of the catalogue from the errorCodes fork, or a plain error with the same message before it,
+ * for code which executes blocks, since contracts catching the error could read its fields
+ * @function
+ * @param {number} height - height of the block being executed
+ * @param {string} reason - catalogue name
+ * @param {object} [data] - structured data
+ * @param {string} [message] - message, default to the catalogue message
+ * @returns {Error} error to throw
+ */
+exports.createAt = (height, reason, data, message) => {
+  const err = exports.create(reason, data, message)
+  return forks.isActive('errorCodes', height) ? err : new Error(err.message)
+}
+
+/**
+ * check if an error is of the catalogue
+ * @function
+ * @param {*} err - error
+ * @param {string} [reason] - catalogue name, any if omitted
+ * @returns {boolean} is
+ */
+exports.is = (err, reason) => err instanceof IceteaError && (!reason || err.reason === reason)
+
+/**
+ * get the fields of an abci response for an error
+ * @function
+ * @param {*} err - error
+ * @param {number} genericCode - code for errors not in the catalogue, one of GenericCode
+ * @returns {object} { code, codespace, reason, data }, reason and data are undefined for errors not in the catalogue
+ */
+exports.describe = (err, genericCode) => {
+  if (!exports.is(err)) {
+    return { code: genericCode, codespace: '' }
+  }
+  const { code, codespace, reason, data } = err
+  return { code, codespace, reason, data }
+}
+
+/**
+ * list the catalogue, for documentation and clients
+ * @function
+ * @returns {object} map of reason => { code, codespace }
+ */
+exports.list = () => Object.keys(catalogue).reduce((o, reason) => {
+  const { code, codespace } = catalogue[reason]
+  o[reason] = { code, codespace }
+  return o
+}, {})
+
+exports.Codespace = Codespace
+exports.GenericCode = GenericCode
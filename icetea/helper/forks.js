@@ -0,0 +1,109 @@
+/** @module */
+// Consensus-changing code (gas rules, checkTx rules, serialization...) must only take effect from the height
+// its fork activates at, otherwise nodes replaying old blocks would compute a different app hash.
+// Gate such code with isActive(name, height), using:
+// - block.number of the block being executed in doExecTx and contracts (context.runtime.block.number)
+// - the next block, i.e. current block number + 1, in checkTx
+
+const config = require('../config')
+
+// protocol version before any fork, which is also the version at genesis since forks activate at a block
+const BASE_VERSION = 0
+
+const forkOf = name => {
+  const fork = config.forks.find(f => f.name === name)
+  if (!fork) {
+    throw new Error(`Fork ${name} is not in the fork schedule.`)
+  }
+  return fork
+}
+
+/**
+ * validate the fork schedule in config, throw if it is invalid
+ * @function
+ */
+exports.validate = () => {
+  const names = new Set()
+  config.forks.forEach((f, i) => {
+    if (!f.name || typeof f.name !== 'string') {
+      throw new Error('Fork name must be a non-empty string.')
+    }
+    if (names.has(f.name)) {
+      throw new Error(`Fork ${f.name} is scheduled more than once.`)
+    }
+    names.add(f.name)
+
+    // blocks start at 1, a fork active from the first block has height 1
+    if (!Number.isInteger(f.height) || f.height < 1) {
+      throw new Error(`Invalid activation height for fork ${f.name}.`)
+    }
+    if (i > 0 && f.height < config.forks[i - 1].height) {
+      throw new Error(`Fork ${f.name} must not activate before fork ${config.forks[i - 1].name}.`)
+    }
+  })
+}
+
+/**
+ * get the activation height of a fork
+ * @function
+ * @param {string} name - fork name
+ * @returns {number} activation height
+ */
+exports.heightOf = name => forkOf(name).height
+
+/**
+ * check if a fork is active at a block height
+ * @function
+ * @param {string} name - fork name
+ * @param {number} height - block height
+ * @returns {boolean} is active
+ */
+exports.isActive = (name, height) => height >= forkOf(name).height
+
+/**
+ * get the protocol version at a block height, which is bumped by each activated fork
+ * @function
+ * @param {number} height - block height
+ * @returns {number} protocol version
+ */
+exports.versionAt = height => BASE_VERSION + config.forks.filter(f => height >= f.height).length
+
+/**
+ * get the fork schedule in config as a map
+ * @function
+ * @returns {object} { name: height }
+ */
+exports.schedule = () => config.forks.reduce((schedule, f) => {
+  schedule[f.name] = f.height
+  return schedule
+}, {})
+
+/**
+ * check the fork schedule in config against the one the stored blocks were executed with, throw if a fork
+ * would activate at, or move from, a height the chain already passed, e.g. when a node of a chain started
+ * before the fork upgrades without scheduling it at a future height
+ * @function
+ * @param {object} applied - { name: height } stored with the blocks, empty if the chain predates the fork schedule
+ * @param {number} lastHeight - last block height, 0 for a new chain
+ * @returns {object} the fork schedule in config, to be stored with the blocks
+ */
+exports.check = (applied, lastHeight) => {
+  const schedule = exports.schedule()
+  new Set(Object.keys(applied).concat(Object.keys(schedule))).forEach(name => {
+    const from = applied[name]
+    const to = schedule[name]
+    if (from === to) {
+      return
+    }
+    if (from != null && from <= lastHeight) {
+      throw new Error(to == null
+        ? `Fork ${name} is active since height ${from}, it must stay in config.forks.`
+        : `Fork ${name} is active since height ${from}, config.forks must not move it to ${to}.`)
+    }
+    if (to != null && to <= lastHeight) {
+      throw new Error(`Fork ${name} would activate at height ${to} but the chain is already at height ${lastHeight}, ` +
+        'schedule it at a later height in config.forks.')
+    }
+  })
+  return schedule
+}
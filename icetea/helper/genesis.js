@@ -0,0 +1,141 @@
+/** @module */
+// Portable genesis state: the whole state table as JSON, to start a new chain from the state of another one.
+// Values JSON cannot represent (bigint, Buffer, Map...) are written as { '@type': type, value }.
+
+const GENESIS_VERSION = 1
+const TYPE_KEY = '@type'
+
+const tagged = (type, value) => ({ [TYPE_KEY]: type, value })
+
+/**
+ * convert a value to plain JSON-compatible data
+ * @function
+ * @param {*} value - value
+ * @returns {*} portable value
+ */
+const toPortable = exports.toPortable = value => {
+  switch (typeof value) {
+    case 'bigint':
+      return tagged('bigint', value.toString())
+    case 'number':
+      return Number.isFinite(value) ? value : tagged('number', String(value))
+    case 'object':
+      break
+    default:
+      return value
+  }
+
+  if (value === null) {
+    return value
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return tagged('buffer', Buffer.from(value).toString('base64'))
+  }
+  if (value instanceof Date) {
+    return tagged('date', value.toISOString())
+  }
+  if (value instanceof RegExp) {
+    return tagged('regexp', { source: value.source, flags: value.flags })
+  }
+  if (value instanceof Map) {
+    return tagged('map', [...value].map(([k, v]) => [toPortable(k), toPortable(v)]))
+  }
+  if (value instanceof Set) {
+    return tagged('set', [...value].map(toPortable))
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPortable)
+  }
+
+  return Object.keys(value).reduce((o, key) => {
+    if (value[key] !== undefined) {
+      o[key] = toPortable(value[key])
+    }
+    return o
+  }, {})
+}
+
+/**
+ * convert portable data back to the original value
+ * @function
+ * @param {*} value - portable value
+ * @returns {*} value
+ */
+const fromPortable = exports.fromPortable = value => {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromPortable)
+  }
+
+  const type = value[TYPE_KEY]
+  if (typeof type === 'string' && Object.keys(value).length === 2 && 'value' in value) {
+    const v = value.value
+    switch (type) {
+      case 'bigint':
+        return BigInt(v)
+      case 'number':
+        return Number(v)
+      case 'buffer':
+        return Buffer.from(v, 'base64')
+      case 'date':
+        return new Date(v)
+      case 'regexp':
+        return new RegExp(v.source, v.flags)
+      case 'map':
+        return new Map(v.map(([k, val]) => [fromPortable(k), fromPortable(val)]))
+      case 'set':
+        return new Set(v.map(fromPortable))
+    }
+  }
+
+  return Object.keys(value).reduce((o, key) => {
+    o[key] = fromPortable(value[key])
+    return o
+  }, {})
+}
+
+/**
+ * export a state table to the app_state of a tendermint genesis file
+ * @function
+ * @param {object} data - { state, height }, height is the block the state is exported at
+ * @returns {object} app_state
+ */
+exports.exportAppState = ({ state, height }) => {
+  return {
+    version: GENESIS_VERSION,
+    exportedAt: height,
+    state: toPortable(state)
+  }
+}
+
+/**
+ * read the state table from the app_state of a genesis file
+ * @function
+ * @param {object} appState - app_state
+ * @returns {object} state table, or null if app_state has no state
+ */
+exports.importAppState = appState => {
+  if (!appState || !appState.state) {
+    return null
+  }
+  if (appState.version !== GENESIS_VERSION) {
+    throw new Error(`Unsupported genesis state version ${appState.version}, expect ${GENESIS_VERSION}.`)
+  }
+  return fromPortable(appState.state)
+}
+
+/**
+ * convert validators to the validators of a tendermint genesis file
+ * @function
+ * @param {Array} validators - validators as returned by system.election
+ * @returns {Array} genesis validators
+ */
+exports.exportValidators = validators => {
+  return validators.map(v => ({
+    pub_key: { type: 'tendermint/PubKeyEd25519', value: v.pubKey.data },
+    power: String(v.capacity),
+    name: v.name
+  }))
+}
@@ -0,0 +1,118 @@
+/** @module */
+// Cursor-based pagination of query results.
+// A cursor holds the sort value and id of the last item of a page, so the next page starts right after it
+// even if items were added or removed in between.
+
+const { query: config } = require('../config')
+const { toPortable, fromPortable } = require('./genesis')
+
+const encodeCursor = values => Buffer.from(JSON.stringify(toPortable(values))).toString('base64')
+
+const decodeCursor = cursor => {
+  let values
+  try {
+    values = fromPortable(JSON.parse(Buffer.from(cursor, 'base64').toString()))
+  } catch (err) {
+    values = undefined
+  }
+  if (!Array.isArray(values) || values.length !== 3) {
+    throw new Error('Invalid cursor.')
+  }
+  return values
+}
+
+const compare = (a, b) => {
+  if (a === b) return 0
+  if (a == null) return -1
+  if (b == null) return 1
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * collect a page of items added one at a time, keeping only the ones which could be on the page,
+ * so that a stream of items could be paged without holding all of it
+ * @function
+ * @param {object} options - { idOf, sorters, sort, cursor, limit }, see paginate
+ * @returns {object} { add, page }, add(item) adds an item, page() returns { items, total, nextCursor } of the items added
+ */
+exports.createPager = ({ idOf, sorters, sort, cursor, limit }) => {
+  sort = String(sort || Object.keys(sorters)[0])
+  const desc = sort.startsWith('-')
+  const sortName = desc ? sort.slice(1) : sort
+  if (!Object.prototype.hasOwnProperty.call(sorters, sortName)) {
+    throw new Error(`Unsupported sort ${sort}, must be one of ${Object.keys(sorters).join(', ')}.`)
+  }
+  const valueOf = sorters[sortName]
+
+  limit = Number(limit) || config.pageSize
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Page limit must be a positive integer.')
+  }
+  limit = Math.min(limit, config.maxPageSize)
+
+  const sign = desc ? -1 : 1
+  const order = ([v1, id1], [v2, id2]) => sign * (compare(v1, v2) || compare(id1, id2))
+
+  let position
+  if (cursor) {
+    const [cursorSort, ...rest] = decodeCursor(cursor)
+    if (cursorSort !== sort) {
+      throw new Error('Cursor was made for another sort order.')
+    }
+    position = rest
+  }
+
+  // the first limit + 1 items after the cursor in order, the extra one tells there is a next page
+  const kept = []
+  let total = 0
+
+  return {
+    add: item => {
+      total++
+      const k = [valueOf(item), idOf(item), item]
+      if ((position && order(k, position) <= 0) || (kept.length > limit && order(k, kept[limit]) >= 0)) {
+        return
+      }
+
+      let low = 0
+      let high = kept.length
+      while (low < high) {
+        const mid = (low + high) >> 1
+        if (order(kept[mid], k) < 0) {
+          low = mid + 1
+        } else {
+          high = mid
+        }
+      }
+      kept.splice(low, 0, k)
+      kept.length = Math.min(kept.length, limit + 1)
+    },
+
+    page: () => {
+      const page = kept.slice(0, limit)
+      const last = page[page.length - 1]
+      return {
+        items: page.map(k => k[2]),
+        total,
+        nextCursor: kept.length > limit ? encodeCursor([sort, last[0], last[1]]) : undefined
+      }
+    }
+  }
+}
+
+/**
+ * get a page of items
+ * @function
+ * @param {Array} items - all items
+ * @param {object} options - { idOf, sorters, sort, cursor, limit }
+ * idOf returns the unique id of an item, ids break ties of sort values.
+ * sorters is a map of sort name => function returning the sort value of an item, the first one is the default.
+ * sort is a sort name, prefix it with '-' for descending order.
+ * cursor is the nextCursor of the previous page, limit is capped by config.query.maxPageSize.
+ * @returns {object} { items, total, nextCursor }, nextCursor is undefined on the last page
+ */
+exports.paginate = (items, options) => {
+  const pager = exports.createPager(options)
+  items.forEach(item => pager.add(item))
+  return pager.page()
+}
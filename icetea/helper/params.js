@@ -0,0 +1,41 @@
+/** @module */
+// Chain parameters are the values in config which could be changed on chain through system.governance.
+// Read them from here instead of config to get the values in effect.
+
+const _ = require('lodash')
+const config = require('../config')
+
+let getOverrides = () => ({})
+
+/**
+ * set where to read parameter changes from
+ * @function
+ * @param {function} fn - returns changes in effect, a map of config path => value
+ */
+exports.setOverrideSource = fn => {
+  getOverrides = fn
+}
+
+/**
+ * get a parameter or a section of parameters
+ * @function
+ * @param {string} path - config path, e.g. 'gas.maxTxGas' or 'gas'
+ * @returns {*} value in effect
+ */
+exports.get = path => {
+  const overrides = getOverrides() || {}
+  if (Object.prototype.hasOwnProperty.call(overrides, path)) {
+    return overrides[path]
+  }
+
+  const value = _.get(config, path)
+  const prefix = path + '.'
+  const keys = Object.keys(overrides).filter(k => k.startsWith(prefix))
+  if (!keys.length) {
+    return value
+  }
+
+  const section = _.cloneDeep(value)
+  keys.forEach(k => _.set(section, k.slice(prefix.length), overrides[k]))
+  return section
+}
@@ -1,45 +1,281 @@
-const Trie = require('merkle-patricia-tree')
+const { Transform, PassThrough, pipeline } = require('stream')
+const _ = require('lodash')
+const stateBackend = require('./statebackend')
 const serializer = require('../state/serializer').getSerializer()
 const async = require('async')
 const newDB = require('./db')
 const config = require('../config')
+const params = require('./params')
+const forks = require('./forks')
+const storageTrie = require('./storagetrie')
 const rootKey = 'rootKey'
 const blockKey = 'blockKey'
 const lastBlockKey = 'lastBlockKey'
 const validatorsKey = 'validatorsKey'
+// legacy key, replaced by txExpiryKey index
 const txHashesKey = 'txHashesKey'
+// one db entry per tx: txExpiryKey + zero-padded expireAt + sigHash => block height
+// so entries are sorted by expiry time
+const txExpiryKey = 'txExpiryKey'
+const EXPIRY_LENGTH = 15
+// state-sync snapshots: snapshotKey + zero-padded height => snapshot info
+// snapshotChunkKey + zero-padded height + '_' + index => chunk
+const snapshotKey = 'snapshotKey'
+const snapshotChunkKey = 'snapshotChunkKey'
+const HEIGHT_LENGTH = 15
+// receipts: receiptKey + tx hash => receipt
+// blockTxsKey + height => hashes of txs in the block
+// eventKey + zero-padded position => event, position is height, tx index and event index
+// emitterEventKey + emitter + '/' + zero-padded position => event, to filter events of an emitter
+const receiptKey = 'receiptKey'
+const blockTxsKey = 'blockTxsKey'
+const eventKey = 'eventKey'
+const emitterEventKey = 'emitterEventKey'
+const INDEX_LENGTH = 6
+// heights not greater than this are pruned, except those kept by the pruning strategy
+const prunedUpToKey = 'prunedUpToKey'
+// gcMarkKey + node hash in hex => '', trie nodes marked reachable by the running garbage collection
+const gcMarkKey = 'gcMarkKey'
+// name of the state backend which built the trie, tries of different backends cannot be mixed
+const backendKey = 'backendKey'
+// fork schedule the stored blocks were executed with, { name: height }
+const forksKey = 'forksKey'
+// trie nodes are stored by their 32-byte hash, other keys in this db are strings starting with one of these
+const APP_KEY_PREFIXES = [rootKey, blockKey, lastBlockKey, validatorsKey, txHashesKey, txExpiryKey, snapshotKey,
+  snapshotChunkKey, receiptKey, blockTxsKey, eventKey, emitterEventKey, prunedUpToKey, backendKey,
+  forksKey, gcMarkKey]
+const NODE_KEY_LENGTH = 32
+// number of trie nodes deleted in one db batch
+const DELETE_BATCH_SIZE = 1000
+// number of trie nodes marked in one db batch
+const MARK_BATCH_SIZE = 1000
+// number of entries put into the target trie or db in one batch when migrating
+const MIGRATE_BATCH_SIZE = 1000
+// number of accounts put into the trie in one batch when recalculating a state root
+const HASH_BATCH_SIZE = 1000
+// keys not copied when migrating, blocks and snapshots refer to state roots of the old backend
+const MIGRATE_SKIPPED_PREFIXES = [rootKey, blockKey, lastBlockKey, snapshotKey, snapshotChunkKey, prunedUpToKey, backendKey,
+  gcMarkKey]
 
-const { packTxHashes, unpackTxHashes } = require('./hashpack')
+const { unpackTxHashes } = require('./hashpack')
+
+// app keys of 32 bytes are not mistaken for trie nodes, e.g. when collecting garbage nodes
+const isNodeKey = key => {
+  if (key.length !== NODE_KEY_LENGTH) {
+    return false
+  }
+  const str = key.toString()
+  return !APP_KEY_PREFIXES.some(prefix => str.startsWith(prefix))
+}
 
 let db
 
-const patricia = () => {
+// the trie backend selected by config, see statebackend
+const backend = () => stateBackend.current()
+
+// root of the last committed state
+const currentRoot = () => {
   return new Promise((resolve, reject) => {
     db.get(rootKey, (err, value) => {
       if (err) {
         if (err.notFound) {
-          return resolve(new Trie(db))
+          return resolve(backend().emptyRoot())
         }
         return reject(err)
       }
-      return resolve(new Trie(db, value))
+      return resolve(value)
     })
   })
 }
 
-const dump = (trie) => {
+// From the storageTrie fork, each contract storage is kept in its own trie of the same backend, see storagetrie,
+// and the account leaf holds its root as storageRoot instead of the storage itself, before it the storage is inline.
+// So a commit rewrites only the storage entries changed, and a storage value could be proved on its own.
+// Accounts in memory always have the whole storage, storageRoot is never seen outside this module.
+
+// entries of a storage trie as they are stored, array of [trie key, serialized value]
+const readStorageEntries = (trieBackend, trieDb, storageRoot) => {
+  return new Promise((resolve, reject) => {
+    const entries = []
+    trieBackend.createReadStream(trieDb, storageRoot)
+      .on('data', ({ key, value }) => {
+        entries.push([key.toString(), value])
+      })
+      .on('error', reject)
+      .on('end', () => resolve(entries))
+  })
+}
+
+const storageOf = entries => {
+  return storageTrie.unflatten(new Map(entries.map(([key, value]) => [key, serializer.deserialize(value)])))
+}
+
+const readStorage = async (trieBackend, trieDb, storageRoot) => {
+  return storageOf(await readStorageEntries(trieBackend, trieDb, storageRoot))
+}
+
+// account of a serialized leaf, leaves written before the storageTrie fork have the storage inline
+const readAccount = async (trieBackend, trieDb, value) => {
+  const { storageRoot, ...account } = serializer.deserialize(value)
+  if (storageRoot) {
+    account.storage = await readStorage(trieBackend, trieDb, storageRoot)
+  }
+  return account
+}
+
+/**
+ * put the storage of an account into its storage trie and serialize the account leaf
+ * @private
+ * @param {object} trieBackend - state backend
+ * @param {object} trieDb - levelup db
+ * @param {object} account - account with the whole storage
+ * @param {object} [options] - { base, changes }, base is the storage root to start from and changes maps each
+ * top-level storage key changed since then to its value at base, the whole storage is written into an empty trie
+ * if changes are not given
+ * @returns {Promise<Buffer>} serialized leaf
+ */
+const writeAccount = async (trieBackend, trieDb, { storage, ...leaf }, { base, changes } = {}) => {
+  const emptyRoot = trieBackend.emptyRoot()
+  const entries = new Map()
+  if (!changes) {
+    storage && storageTrie.flattenInto(entries, [], storage)
+  } else if (changes.size) {
+    const root = storage || {}
+    const keys = Object.keys(root)
+    const committedKeys = base && await trieBackend.get(trieDb, base, storageTrie.mapKey([]))
+    if (!committedKeys || !_.isEqual(serializer.deserialize(committedKeys), keys)) {
+      entries.set(storageTrie.mapKey([]), serializer.serialize(keys))
+    }
+    changes.forEach((old, key) => {
+      storageTrie.diffInto(entries, [key], old, { exists: Object.prototype.hasOwnProperty.call(root, key), value: root[key] })
+    })
+  }
+
+  const storageRoot = entries.size ? await trieBackend.put(trieDb, base || emptyRoot, [...entries]) : base
+  if (storageRoot && !storageRoot.equals(emptyRoot)) {
+    leaf.storageRoot = storageRoot
+  }
+  return serializer.serialize(leaf)
+}
+
+/**
+ * serialize an account to commit on top of a state root
+ * @private
+ * @param {string} address - address
+ * @param {object} account - account
+ * @param {Buffer} stateRoot - last committed state root
+ * @param {Map} [changes] - top-level storage keys changed since stateRoot, each with its value there as
+ * { exists, value }, undefined if none, null if the storage was replaced
+ * @param {number} height - height of the block being committed
+ * @returns {Promise<Buffer>} serialized leaf
+ */
+const encodeAccount = async (address, account, stateRoot, changes, height) => {
+  if (!forks.isActive('storageTrie', height)) {
+    return serializer.serialize(account)
+  }
+
+  const trieBackend = backend()
+  if (changes === null || (changes === undefined && !account.storage)) {
+    return writeAccount(trieBackend, db, account)
+  }
+
+  const value = await trieBackend.get(db, stateRoot, address)
+  const { storageRoot } = value ? serializer.deserialize(value) : {}
+  if (!storageRoot) {
+    // a new storage, or one kept inline before the fork, which moves into its own trie the first time the account changes
+    return writeAccount(trieBackend, db, account)
+  }
+  return writeAccount(trieBackend, db, account, { base: storageRoot, changes: changes || new Map() })
+}
+
+// leaf of an account streamed by createStateReadStream, its storage trie is written again if it had one
+// the entries are put as they were streamed, serializing a value again might not give the same bytes
+const restoreAccount = async (trieBackend, trieDb, key, value) => {
+  const { storageEntries, ...leaf } = serializer.deserialize(value)
+  if (!storageEntries) {
+    return value
+  }
+  const storageRoot = await trieBackend.put(trieDb, trieBackend.emptyRoot(), storageEntries)
+  if (!storageRoot.equals(Buffer.from(leaf.storageRoot))) {
+    throw new Error(`Storage entries of ${key} do not match its storage root.`)
+  }
+  return serializer.serialize(leaf)
+}
+
+const dump = (stateRoot) => {
   return new Promise((resolve, reject) => {
-    const state = {}
-    const stream = trie.createReadStream()
+    const entries = []
+    const trieBackend = backend()
+    const stream = trieBackend.createReadStream(db, stateRoot)
     stream.on('data', function (d) {
-      state[d.key.toString()] = serializer.deserialize(d.value)
+      entries.push(d)
     })
-    stream.on('end', function () {
-      resolve(state)
+    stream.on('error', reject)
+    stream.on('end', async function () {
+      try {
+        const state = {}
+        for (const { key, value } of entries) {
+          state[key.toString()] = await readAccount(trieBackend, db, value)
+        }
+        resolve(state)
+      } catch (err) {
+        reject(err)
+      }
     })
   })
 }
 
+const getBackendName = () => {
+  return new Promise((resolve, reject) => {
+    db.get(backendKey, (err, value) => {
+      if (err) {
+        if (err.notFound) {
+          return resolve(null)
+        }
+        return reject(err)
+      }
+      return resolve(value.toString())
+    })
+  })
+}
+
+// refuse to open a db built by another backend, its state root would not match
+const checkBackend = async (block) => {
+  const { name } = backend()
+  let stored = await getBackendName()
+  if (!stored) {
+    // dbs written before backends were pluggable are patricia
+    stored = block ? 'patricia' : name
+    await db.put(backendKey, stored)
+  }
+  if (stored !== name) {
+    throw new Error(`State was built by the ${stored} backend but config.state.backend is ${name}, ` +
+      'convert it with scripts/migrate.js.')
+  }
+}
+
+const getAppliedForks = () => {
+  return new Promise((resolve, reject) => {
+    db.get(forksKey, (err, value) => {
+      if (err) {
+        if (err.notFound) {
+          return resolve(null)
+        }
+        return reject(err)
+      }
+      return resolve(serializer.deserialize(value))
+    })
+  })
+}
+
+// refuse to replay or extend a chain with a fork schedule which differs from the one its blocks were executed with
+const checkForks = async (block) => {
+  // no fork was applied to blocks written before the fork schedule
+  const applied = (await getAppliedForks()) || {}
+  const schedule = forks.check(applied, block ? block.number : 0)
+  await db.put(forksKey, serializer.serialize(schedule))
+}
+
 const lastBlock = () => {
   return new Promise((resolve, reject) => {
     db.get(lastBlockKey, (err, value) => {
@@ -68,71 +304,136 @@ const getTxHashes = () => {
   })
 }
 
+const txExpiryEntryKey = (hash, expireAt) => {
+  return txExpiryKey + String(expireAt).padStart(EXPIRY_LENGTH, '0') + hash
+}
+
+const getTxIndex = () => {
+  return new Promise((resolve, reject) => {
+    const txIndex = new Map()
+    db.createReadStream({ gte: txExpiryKey, lt: txExpiryKey + '~', values: false })
+      .on('data', key => {
+        key = key.toString().slice(txExpiryKey.length)
+        txIndex.set(key.slice(EXPIRY_LENGTH), Number(key.slice(0, EXPIRY_LENGTH)))
+      })
+      .on('error', reject)
+      .on('end', () => resolve(txIndex))
+  })
+}
+
+// move tx hashes stored by old versions into the index
+// we do not know their nonces, so keep them for a full replay window
+const migrateTxHashes = async (txIndex, block) => {
+  const txHashes = await getTxHashes()
+  if (!txHashes) {
+    return
+  }
+
+  const expireAt = Math.ceil(block.timestamp + config.replay.window)
+  const ops = txHashes.map(hash => {
+    txIndex.set(hash, expireAt)
+    return { type: 'put', key: txExpiryEntryKey(hash, expireAt), value: String(block.number) }
+  })
+  ops.push({ type: 'del', key: txHashesKey })
+  return db.batch(ops)
+}
+
 exports.load = async (path) => {
   db = newDB(path)
-  const trie = await patricia()
-  const [state, block, txHashes] = await Promise.all([dump(trie), lastBlock(), getTxHashes()])
+  // the state itself is not read here, accounts are read on demand from root, see getStates
+  const [root, block, txIndex] = await Promise.all([currentRoot(), lastBlock(), getTxIndex()])
+  await checkBackend(block)
+  await checkForks(block)
   if (!block) {
     return null
   }
+  await migrateTxHashes(txIndex, block)
   const validators = await this.getValidatorsByHeight(block ? block.number : 0)
-  return { state, block, validators, txHashes }
+  return { root, block, validators, txIndex }
 }
 
-exports.root = async () => {
-  const trie = await patricia()
-  return trie.root
+exports.root = currentRoot
+
+/**
+ * recalculate a state root from the accounts of its trie, e.g. to check the trie is intact,
+ * accounts are read and put into a new trie a batch at a time
+ * @param {Buffer} stateRoot - state root
+ * @returns {Promise<Buffer>} recalculated state root
+ */
+exports.getHash = async (stateRoot) => {
+  const trieBackend = backend()
+  let root = trieBackend.emptyRoot()
+  let entries = []
+  const flush = async () => {
+    root = await trieBackend.put(db, root, entries)
+    entries = []
+  }
+
+  for await (const { key, value } of exports.createStateReadStream(stateRoot)) {
+    entries.push([key, await restoreAccount(trieBackend, db, key, value)])
+    if (entries.length >= HASH_BATCH_SIZE) {
+      await flush()
+    }
+  }
+  if (entries.length) {
+    await flush()
+  }
+  return root
 }
 
-exports.getHash = (stateTable) => {
-  const trie = new Trie(db)
-  const opts = []
-  Object.keys(stateTable).forEach(key => {
-    opts.push({
-      type: 'put',
-      key,
-      value: serializer.serialize(stateTable[key])
+const eventPosition = (height, index, eventIndex) => {
+  return String(height).padStart(HEIGHT_LENGTH, '0') +
+    String(index).padStart(INDEX_LENGTH, '0') +
+    String(eventIndex).padStart(INDEX_LENGTH, '0')
+}
+
+// receipts of blocks not persisted (the first block) are saved with the next one
+const receiptOps = (receipts) => {
+  const ops = []
+  const hashesByHeight = {}
+  receipts.forEach(receipt => {
+    const { hash, height, index } = receipt
+    hashesByHeight[height] = (hashesByHeight[height] || []).concat(hash)
+    ops.push({ type: 'put', key: receiptKey + hash, value: serializer.serialize(receipt) })
+    receipt.events.forEach((event, eventIndex) => {
+      const position = eventPosition(height, index, eventIndex)
+      const value = serializer.serialize({ txHash: hash, height, index, eventIndex, ...event })
+      ops.push({ type: 'put', key: eventKey + position, value })
+      ops.push({ type: 'put', key: `${emitterEventKey}${event.emitter}/${position}`, value })
     })
   })
-  return new Promise((resolve, reject) => {
-    trie.batch(opts, (err) => {
-      if (err) {
-        return reject(err)
-      }
-      return resolve(trie.root)
-    })
+  Object.keys(hashesByHeight).forEach(height => {
+    ops.push({ type: 'put', key: `${blockTxsKey}${height}`, value: serializer.serialize(hashesByHeight[height]) })
   })
+  return ops
 }
 
-exports.save = async ({ block, state, validators, commitKeys, txHashes }) => {
-  const trie = await patricia()
-  const opts = []
+/**
+ * commit the changed accounts of a block and save the block
+ * @param {object} data - { block, state, validators, commitKeys, storageChanges, newTxs, expiredTxs, receipts },
+ * storageChanges maps an address to its changed top-level storage keys, each with its committed value as
+ * { exists, value }, or to null if its storage was replaced
+ * @returns {Buffer} new state root
+ */
+exports.save = async ({ block, state, validators, commitKeys, storageChanges, newTxs, expiredTxs, receipts = [] }) => {
+  const lastRoot = await currentRoot()
+  const entries = []
+  for (const key of commitKeys) {
+    entries.push([key, await encodeAccount(key, state[key], lastRoot, storageChanges.get(key), block.number)])
+  }
+  const stateRoot = await backend().put(db, lastRoot, entries)
   const persistBlock = { ...block }
-  commitKeys.forEach(key => {
-    opts.push({
-      type: 'put',
-      key,
-      value: serializer.serialize(state[key])
-    })
-  })
   return new Promise((resolve, reject) => {
     async.waterfall([
       (next) => {
-        trie.batch(opts, next)
-      },
-      (next) => {
-        trie.checkpoint()
-        trie.commit(next)
-      },
-      (ret, next) => {
-        db.put(rootKey, trie.root, next)
+        db.put(rootKey, stateRoot, next)
       },
       (next) => {
-        persistBlock.stateRoot = trie.root
+        persistBlock.stateRoot = stateRoot
         db.put(`${blockKey}${block.number}`, serializer.serialize(persistBlock), next)
       },
       (next) => {
-        if (block.number % config.election.epoch !== 0) {
+        if (block.number % params.get('election.epoch') !== 0) {
           return next(null)
         }
         db.put(`${validatorsKey}${block.number}`, serializer.serialize(validators), next)
@@ -141,19 +442,44 @@ exports.save = async ({ block, state, validators, commitKeys, txHashes }) => {
         db.put(lastBlockKey, serializer.serialize(persistBlock), next)
       },
       (next) => {
-        db.put(txHashesKey, packTxHashes(txHashes), next)
+        const txOps = []
+        newTxs.forEach((expireAt, hash) => {
+          txOps.push({ type: 'put', key: txExpiryEntryKey(hash, expireAt), value: String(block.number) })
+        })
+        expiredTxs.forEach((expireAt, hash) => {
+          txOps.push({ type: 'del', key: txExpiryEntryKey(hash, expireAt) })
+        })
+        receiptOps(receipts).forEach(op => txOps.push(op))
+        if (!txOps.length) {
+          return next(null)
+        }
+        db.batch(txOps, next)
       }
     ], (err, ret) => {
       if (err) {
         return reject(err)
       }
-      return resolve(trie.root)
+      return resolve(stateRoot)
     })
   })
 }
 
-exports.getBlockByHeight = async (height) => {
+const getPrunedUpTo = () => {
   return new Promise((resolve, reject) => {
+    db.get(prunedUpToKey, (err, value) => {
+      if (err) {
+        if (err.notFound) {
+          return resolve(0)
+        }
+        return reject(err)
+      }
+      return resolve(Number(value.toString()))
+    })
+  })
+}
+
+exports.getBlockByHeight = async (height) => {
+  const block = await new Promise((resolve, reject) => {
     db.get(`${blockKey}${height}`, (err, value) => {
       if (err) {
         if (err.notFound) {
@@ -164,15 +490,19 @@ exports.getBlockByHeight = async (height) => {
       return resolve(serializer.deserialize(value))
     })
   })
+
+  if (!block && height <= await getPrunedUpTo()) {
+    throw new Error(`State at height ${height} was pruned.`)
+  }
+  return block
 }
 
-exports.getValidatorsByHeight = async (height) => {
-  height = height - height % config.election.epoch
+const validatorsAt = height => {
   return new Promise((resolve, reject) => {
     db.get(`${validatorsKey}${height}`, (err, value) => {
       if (err) {
         if (err.notFound) {
-          return resolve([])
+          return resolve(null)
         }
         return reject(err)
       }
@@ -181,15 +511,409 @@ exports.getValidatorsByHeight = async (height) => {
   })
 }
 
+// validators are saved at the start of each epoch, since epoch length could be changed by governance
+// look back for the nearest saved entry instead of rounding down to the current epoch
+exports.getValidatorsByHeight = async (height) => {
+  const prunedUpTo = await getPrunedUpTo()
+  for (let h = height; h > prunedUpTo; h--) {
+    const validators = await validatorsAt(h)
+    if (validators) {
+      return validators
+    }
+  }
+  if (!prunedUpTo) {
+    return (await validatorsAt(0)) || []
+  }
+
+  if (height <= prunedUpTo) {
+    // throws if the height itself was pruned
+    await exports.getBlockByHeight(height)
+  }
+  // at pruned heights, only the entries kept heights look back to are left, see pruning
+  const found = _.findLast(await exports.listValidatorsHeights(), h => h <= height)
+  return found === undefined ? [] : validatorsAt(found)
+}
+
 exports.getStateTable = async (stateRoot) => {
-  const trie = new Trie(db, stateRoot)
-  return dump(trie)
+  return dump(stateRoot)
+}
+
+exports.getLastBlock = lastBlock
+
+const getState = async (stateRoot, key) => {
+  const value = await backend().get(db, stateRoot, key)
+  return value == null ? null : readAccount(backend(), db, value)
 }
 
 exports.getStateByKey = (key, stateRoot) => {
-  const trie = new Trie(db, stateRoot)
+  return getState(stateRoot, key)
+}
+
+/**
+ * read some accounts of the trie at a state root
+ * @param {Array.<string>} keys - addresses
+ * @param {Buffer} stateRoot - state root
+ * @returns {object} map of address => account state, null if the trie does not have it
+ */
+exports.getStates = async (keys, stateRoot) => {
+  const states = {}
+  for (const key of keys) {
+    states[key] = await getState(stateRoot, key)
+  }
+  return states
+}
+
+exports.prove = (key, stateRoot) => {
+  return backend().prove(db, stateRoot, key)
+}
+
+// keys of all entries of the map at path, read from a storage trie
+const mapEntryKeys = async (trieBackend, storageRoot, path) => {
+  const keys = [storageTrie.mapKey(path)]
+  const value = await trieBackend.get(db, storageRoot, storageTrie.mapKey(path))
+  for (const key of serializer.deserialize(value)) {
+    const keyPath = path.concat(key)
+    if (await trieBackend.get(db, storageRoot, storageTrie.mapKey(keyPath))) {
+      keys.push(...await mapEntryKeys(trieBackend, storageRoot, keyPath))
+    } else {
+      keys.push(storageTrie.valueKey(keyPath))
+    }
+  }
+  return keys
+}
+
+/**
+ * read and prove a storage value of a contract against the storage root in its account leaf
+ * The entry proved is the one holding the path, i.e. the value at the nearest prefix of the path which is not
+ * a map, or all entries of the map at path. If the path is not in the storage, the key list of the map missing
+ * its next key is proved, which shows the key is not there.
+ * @param {string} address - contract address
+ * @param {Array.<string>} path - storage path
+ * @param {Buffer} stateRoot - state root
+ * @returns {object} { path, value, proofs }, path is the prefix proved, up to the missing key if the path is not
+ * in the storage, value is the value there, undefined if there is none, and proofs is an array of
+ * [trie key, proof], or null if the leaf has the storage inline, so the account proof proves it
+ */
+exports.proveStorage = async (address, path, stateRoot) => {
+  const trieBackend = backend()
+  const leaf = await trieBackend.get(db, stateRoot, address)
+  const { storageRoot } = leaf ? serializer.deserialize(leaf) : {}
+  if (!storageRoot) {
+    return null
+  }
+
+  let keys
+  let prefix = []
+  for (let i = 0; !keys; i++) {
+    // the storage itself is a map, and each key listed by a map has either a value or a map
+    prefix = path.slice(0, i)
+    const map = await trieBackend.get(db, storageRoot, storageTrie.mapKey(prefix))
+    if (!map) {
+      keys = [storageTrie.valueKey(prefix)]
+    } else if (i === path.length) {
+      keys = await mapEntryKeys(trieBackend, storageRoot, prefix)
+    } else if (!serializer.deserialize(map).includes(path[i])) {
+      keys = [storageTrie.mapKey(prefix)]
+      prefix = path.slice(0, i + 1)
+    }
+  }
+
+  const entries = new Map()
+  const proofs = []
+  for (const key of keys) {
+    const [value, proof] = await Promise.all([trieBackend.get(db, storageRoot, key), trieBackend.prove(db, storageRoot, key)])
+    value && entries.set(key, serializer.deserialize(value))
+    proofs.push([key, proof])
+  }
+  return { path: prefix, value: storageTrie.unflatten(entries, prefix), proofs }
+}
+
+const snapshotInfoKey = height => snapshotKey + String(height).padStart(HEIGHT_LENGTH, '0')
+const snapshotChunkEntryKey = (height, index) => snapshotChunkKey + String(height).padStart(HEIGHT_LENGTH, '0') + '_' + index
+
+/**
+ * stream all key/value entries of the trie at a state root
+ * @param {Buffer} stateRoot - state root
+ * @returns {stream} stream of { key, value }, value is the serialized leaf, along with the entries of its storage
+ * trie as storageEntries, an array of [trie key, serialized value], if the storage is not kept inline
+ */
+exports.createStateReadStream = (stateRoot) => {
+  const trieBackend = backend()
+  const withStorage = new Transform({
+    objectMode: true,
+    transform ({ key, value }, encoding, callback) {
+      const leaf = serializer.deserialize(value)
+      if (!leaf.storageRoot) {
+        return callback(null, { key, value })
+      }
+      readStorageEntries(trieBackend, db, leaf.storageRoot)
+        .then(storageEntries => callback(null, { key, value: serializer.serialize({ ...leaf, storageEntries }) }), callback)
+    }
+  })
+  // errors of any of them are emitted by the last one
+  return pipeline(trieBackend.createReadStream(db, stateRoot), withStorage, () => {})
+}
+
+// a core stream could be iterated whatever stream the backend or db uses
+const iterable = stream => pipeline(stream, new PassThrough({ objectMode: true }), () => {})
+
+/**
+ * read the accounts of the trie at a state root one by one, without loading them all in memory
+ * @param {Buffer} stateRoot - state root
+ * @param {function} fn - called with (address, account) of each account, could be async
+ * @param {object} [options] - { storage }, storage also reads the storage of each account, which is slow
+ */
+exports.forEachAccount = async (stateRoot, fn, { storage } = {}) => {
+  const stream = storage
+    ? exports.createStateReadStream(stateRoot)
+    : iterable(backend().createReadStream(db, stateRoot))
+  for await (const { key, value } of stream) {
+    const { storageRoot, storageEntries, ...account } = serializer.deserialize(value)
+    if (!storage) {
+      // storage kept inline before the storageTrie fork
+      delete account.storage
+    } else if (storageEntries) {
+      account.storage = storageOf(storageEntries)
+    }
+    await fn(key.toString(), account)
+  }
+}
+
+exports.listSnapshots = () => {
+  return new Promise((resolve, reject) => {
+    const snapshots = []
+    db.createReadStream({ gte: snapshotKey, lt: snapshotKey + '~', keys: false })
+      .on('data', value => snapshots.push(serializer.deserialize(value)))
+      .on('error', reject)
+      .on('end', () => resolve(snapshots))
+  })
+}
+
+/**
+ * save a chunk of a snapshot being taken, chunks are saved one by one so that they are not all held in memory
+ * @param {number} height - snapshot height
+ * @param {number} index - chunk index
+ * @param {Buffer} chunk - chunk
+ */
+exports.saveSnapshotChunk = (height, index, chunk) => {
+  return db.put(snapshotChunkEntryKey(height, index), chunk)
+}
+
+/**
+ * delete the chunks of a snapshot which failed to be taken
+ * @param {number} height - snapshot height
+ * @param {number} count - number of chunks saved
+ */
+exports.deleteSnapshotChunks = (height, count) => {
+  const ops = []
+  for (let i = 0; i < count; i++) {
+    ops.push({ type: 'del', key: snapshotChunkEntryKey(height, i) })
+  }
+  return ops.length ? db.batch(ops) : Promise.resolve()
+}
+
+/**
+ * save the info of a snapshot whose chunks are saved, and prune old snapshots
+ * @param {object} snapshot - snapshot info
+ * @param {number} keepRecent - number of snapshots to keep
+ */
+exports.saveSnapshot = async (snapshot, keepRecent) => {
+  await db.put(snapshotInfoKey(snapshot.height), serializer.serialize(snapshot))
+
+  // prune old snapshots, they are listed in ascending order of height
+  const snapshots = await exports.listSnapshots()
+  const pruneOps = []
+  snapshots.slice(0, Math.max(snapshots.length - keepRecent, 0)).forEach(({ height, chunks }) => {
+    pruneOps.push({ type: 'del', key: snapshotInfoKey(height) })
+    for (let i = 0; i < chunks; i++) {
+      pruneOps.push({ type: 'del', key: snapshotChunkEntryKey(height, i) })
+    }
+  })
+  if (pruneOps.length) {
+    await db.batch(pruneOps)
+  }
+}
+
+exports.getSnapshotChunk = (height, index) => {
   return new Promise((resolve, reject) => {
-    trie.get(key, (err, value) => {
+    db.get(snapshotChunkEntryKey(height, index), (err, value) => {
+      if (err) {
+        if (err.notFound) {
+          return resolve(null)
+        }
+        return reject(err)
+      }
+      return resolve(value)
+    })
+  })
+}
+
+/**
+ * put restored entries into the trie
+ * @param {Buffer} [stateRoot] - root of the entries restored so far, undefined to start from an empty trie
+ * @param {Array} entries - array of [key, serialized value], as streamed by createStateReadStream
+ * @returns {Buffer} new state root
+ */
+exports.restoreStateEntries = async (stateRoot, entries) => {
+  const leaves = []
+  for (const [key, value] of entries) {
+    leaves.push([key, await restoreAccount(backend(), db, key, value)])
+  }
+  return backend().put(db, stateRoot || backend().emptyRoot(), leaves)
+}
+
+/**
+ * save the block, validators and tx index of a restored snapshot, making its state the last state
+ * @param {object} data - { block, validators, txIndex }, txIndex is an array of [hash, expireAt]
+ */
+exports.saveRestoredSnapshot = ({ block, validators, txIndex }) => {
+  const serializedBlock = serializer.serialize(block)
+  const ops = [
+    { type: 'put', key: rootKey, value: block.stateRoot },
+    { type: 'put', key: `${blockKey}${block.number}`, value: serializedBlock },
+    { type: 'put', key: `${validatorsKey}${block.number}`, value: serializer.serialize(validators) },
+    { type: 'put', key: lastBlockKey, value: serializedBlock },
+    // the snapshot was taken by nodes running the same fork schedule
+    { type: 'put', key: forksKey, value: serializer.serialize(forks.schedule()) }
+  ]
+  txIndex.forEach(([hash, expireAt]) => {
+    ops.push({ type: 'put', key: txExpiryEntryKey(hash, expireAt), value: String(block.number) })
+  })
+  return db.batch(ops)
+}
+
+const listHeights = prefix => {
+  return new Promise((resolve, reject) => {
+    const heights = []
+    db.createReadStream({ gte: prefix, lt: prefix + '~', values: false })
+      .on('data', key => heights.push(Number(key.toString().slice(prefix.length))))
+      .on('error', reject)
+      .on('end', () => resolve(heights.sort((a, b) => a - b)))
+  })
+}
+
+exports.listBlockHeights = () => listHeights(blockKey)
+
+exports.listValidatorsHeights = () => listHeights(validatorsKey)
+
+/**
+ * delete blocks and validators of pruned heights
+ * @param {object} data - { heights, validatorsHeights, prunedUpTo }
+ */
+exports.pruneBlocks = ({ heights, validatorsHeights, prunedUpTo }) => {
+  const ops = heights.map(h => ({ type: 'del', key: `${blockKey}${h}` }))
+    .concat(validatorsHeights.map(h => ({ type: 'del', key: `${validatorsKey}${h}` })))
+  ops.push({ type: 'put', key: prunedUpToKey, value: String(prunedUpTo) })
+  return db.batch(ops)
+}
+
+/**
+ * set of trie node hashes kept in db rather than in memory, as there could be as many as the nodes of a state
+ * marks are written a batch at a time, and there is one set at a time, see createNodeMarker
+ * @private
+ */
+class NodeMarker {
+  constructor () {
+    this.pending = new Set()
+  }
+
+  async has (hash) {
+    if (this.pending.has(hash)) {
+      return true
+    }
+    return new Promise((resolve, reject) => {
+      db.get(gcMarkKey + hash, err => {
+        if (err) {
+          return err.notFound ? resolve(false) : reject(err)
+        }
+        return resolve(true)
+      })
+    })
+  }
+
+  async add (hash) {
+    this.pending.add(hash)
+    if (this.pending.size >= MARK_BATCH_SIZE) {
+      await this.flush()
+    }
+  }
+
+  flush () {
+    const ops = [...this.pending].map(hash => ({ type: 'put', key: gcMarkKey + hash, value: '' }))
+    this.pending.clear()
+    return ops.length ? db.batch(ops) : Promise.resolve()
+  }
+
+  // delete all marks, including those left by a collection which did not finish
+  async clear () {
+    this.pending.clear()
+    let ops = []
+    for await (const key of iterable(db.createReadStream({ gte: gcMarkKey, lt: gcMarkKey + '~', values: false }))) {
+      ops.push({ type: 'del', key })
+      if (ops.length >= DELETE_BATCH_SIZE) {
+        await db.batch(ops)
+        ops = []
+      }
+    }
+    if (ops.length) {
+      await db.batch(ops)
+    }
+  }
+}
+
+/**
+ * create an empty set of trie node hashes to mark with markStateNodes, kept in db
+ * @returns {Promise<object>} marker with async has, add, flush and clear, flush must be awaited before the
+ * marks are listed with listUnmarkedNodes, and clear deletes all marks
+ */
+exports.createNodeMarker = async () => {
+  const marker = new NodeMarker()
+  await marker.clear()
+  return marker
+}
+
+/**
+ * add hashes of trie nodes reachable from a state root to a set, subtrees already in the set are skipped
+ * @param {Buffer} stateRoot - state root
+ * @param {object} marked - set of node hashes in hex, see createNodeMarker
+ * @returns {Promise<object>} marked
+ */
+exports.markStateNodes = (stateRoot, marked) => {
+  // storage tries are marked from the leaves holding their roots. Values of storage tries are checked too,
+  // one could look like an account leaf and share its node, then keeping more nodes is the safe way.
+  const markTrie = root => backend().markNodes(db, root, marked, value => {
+    const { storageRoot } = Object(serializer.deserialize(value))
+    return Buffer.isBuffer(storageRoot) && markTrie(storageRoot)
+  })
+  return markTrie(stateRoot)
+}
+
+/**
+ * list hashes of trie nodes in db which are not marked, i.e. not reachable from the state roots marked,
+ * keys are streamed and checked one by one, so only the unmarked ones are held
+ * @param {object} marked - set of node hashes in hex, see createNodeMarker
+ * @returns {Promise<Array>} node hashes in hex
+ */
+exports.listUnmarkedNodes = async (marked) => {
+  const hashes = []
+  for await (const key of iterable(db.createReadStream({ values: false }))) {
+    if (isNodeKey(key)) {
+      const hash = key.toString('hex')
+      await marked.has(hash) || hashes.push(hash)
+    }
+  }
+  return hashes
+}
+
+exports.deleteStateNodes = async (hashes) => {
+  for (let i = 0; i < hashes.length; i += DELETE_BATCH_SIZE) {
+    await db.batch(hashes.slice(i, i + DELETE_BATCH_SIZE).map(h => ({ type: 'del', key: Buffer.from(h, 'hex') })))
+  }
+}
+
+exports.getReceipt = (hash) => {
+  return new Promise((resolve, reject) => {
+    db.get(receiptKey + hash, (err, value) => {
       if (err) {
         if (err.notFound) {
           return resolve(null)
@@ -200,3 +924,226 @@ exports.getStateByKey = (key, stateRoot) => {
     })
   })
 }
+
+/**
+ * find events emitted by txs in a range of blocks, in order
+ * @param {object} options - { emitter, fromBlock, toBlock, filter, limit }, filter(event) returns whether to include it
+ * @returns {Array} events
+ */
+exports.queryEvents = ({ emitter, fromBlock = 0, toBlock, filter = () => true, limit }) => {
+  const prefix = emitter ? `${emitterEventKey}${emitter}/` : eventKey
+  const range = {
+    gte: prefix + String(fromBlock).padStart(HEIGHT_LENGTH, '0'),
+    lt: toBlock != null ? prefix + String(toBlock + 1).padStart(HEIGHT_LENGTH, '0') : prefix + '~',
+    keys: false
+  }
+  return new Promise((resolve, reject) => {
+    const events = []
+    const stream = db.createReadStream(range)
+    stream
+      .on('data', value => {
+        const event = serializer.deserialize(value)
+        if (filter(event)) {
+          events.push(event)
+          if (events.length >= limit) {
+            stream.destroy()
+            resolve(events)
+          }
+        }
+      })
+      .on('error', reject)
+      .on('end', () => resolve(events))
+  })
+}
+
+const deleteReceiptsAfter = async (height, ops) => {
+  const heights = (await listHeights(blockTxsKey)).filter(h => h > height)
+  for (const h of heights) {
+    const hashes = await new Promise((resolve, reject) => {
+      db.get(`${blockTxsKey}${h}`, (err, value) => err ? reject(err) : resolve(serializer.deserialize(value)))
+    })
+    ops.push({ type: 'del', key: `${blockTxsKey}${h}` })
+    for (const hash of hashes) {
+      const receipt = await exports.getReceipt(hash)
+      if (!receipt) continue
+      ops.push({ type: 'del', key: receiptKey + hash })
+      receipt.events.forEach((event, eventIndex) => {
+        const position = eventPosition(h, receipt.index, eventIndex)
+        ops.push({ type: 'del', key: eventKey + position })
+        ops.push({ type: 'del', key: `${emitterEventKey}${event.emitter}/${position}` })
+      })
+    }
+  }
+}
+
+const listTxIndexEntries = () => {
+  return new Promise((resolve, reject) => {
+    const entries = []
+    db.createReadStream({ gte: txExpiryKey, lt: txExpiryKey + '~' })
+      .on('data', ({ key, value }) => entries.push({ key: key.toString(), height: Number(value.toString()) }))
+      .on('error', reject)
+      .on('end', () => resolve(entries))
+  })
+}
+
+/**
+ * make a past block the last committed block, dropping everything written by later blocks
+ * @param {number} height - block height to roll back to
+ * @returns {object} the block rolled back to
+ */
+exports.rollback = async (height) => {
+  const [block, last] = await Promise.all([exports.getBlockByHeight(height), lastBlock()])
+  if (!block || !block.stateRoot) {
+    throw new Error(`No committed state found at height ${height}.`)
+  }
+  if (!last || last.number <= height) {
+    throw new Error(`Cannot roll back to height ${height}, the last block is ${last ? last.number : 0}.`)
+  }
+
+  const [blockHeights, validatorsHeights, txEntries, snapshots] = await Promise.all([
+    exports.listBlockHeights(),
+    exports.listValidatorsHeights(),
+    listTxIndexEntries(),
+    exports.listSnapshots()
+  ])
+
+  const ops = [
+    { type: 'put', key: rootKey, value: block.stateRoot },
+    { type: 'put', key: lastBlockKey, value: serializer.serialize(block) }
+  ]
+  blockHeights.filter(h => h > height).forEach(h => ops.push({ type: 'del', key: `${blockKey}${h}` }))
+  validatorsHeights.filter(h => h > height).forEach(h => ops.push({ type: 'del', key: `${validatorsKey}${h}` }))
+  // hashes of earlier txs which expired after height were already deleted and cannot be restored,
+  // they are kept only while the tx nonce is in the replay window anyway
+  txEntries.filter(e => e.height > height).forEach(e => ops.push({ type: 'del', key: e.key }))
+  snapshots.filter(s => s.height > height).forEach(s => {
+    ops.push({ type: 'del', key: snapshotInfoKey(s.height) })
+    for (let i = 0; i < s.chunks; i++) {
+      ops.push({ type: 'del', key: snapshotChunkEntryKey(s.height, i) })
+    }
+  })
+  await deleteReceiptsAfter(height, ops)
+  await db.batch(ops)
+
+  return block
+}
+
+const readEntries = (trieBackend, trieDb, stateRoot) => {
+  return new Promise((resolve, reject) => {
+    const entries = []
+    trieBackend.createReadStream(trieDb, stateRoot)
+      .on('data', ({ key, value }) => entries.push([key, value]))
+      .on('error', reject)
+      .on('end', () => resolve(entries))
+  })
+}
+
+const putInBatches = async (trieBackend, trieDb, entries) => {
+  let root = trieBackend.emptyRoot()
+  for (let i = 0; i < entries.length; i += MIGRATE_BATCH_SIZE) {
+    root = await trieBackend.put(trieDb, root, entries.slice(i, i + MIGRATE_BATCH_SIZE))
+  }
+  return root
+}
+
+const checkEntries = async (trieBackend, trieDb, root, entries, name) => {
+  for (const [key, value] of entries) {
+    const migrated = await trieBackend.get(trieDb, root, key)
+    if (!migrated || !migrated.equals(value)) {
+      throw new Error(`${name} ${key} does not match after migration.`)
+    }
+  }
+}
+
+// rebuild the storage trie of an account leaf with another backend, after checking it against its storage root
+const migrateLeaf = async (from, to, targetDb, address, value) => {
+  const { storageRoot, ...account } = serializer.deserialize(value)
+  if (!storageRoot) {
+    return value
+  }
+
+  const entries = await readEntries(from, db, storageRoot)
+  if (!(await from.put(db, from.emptyRoot(), entries)).equals(storageRoot)) {
+    throw new Error(`Storage of ${address} does not match its storage root.`)
+  }
+  account.storageRoot = await putInBatches(to, targetDb, entries)
+  await checkEntries(to, targetDb, account.storageRoot, entries, `Storage key of ${address}`)
+  return serializer.serialize(account)
+}
+
+const copyEntries = (targetDb, filter) => {
+  return new Promise((resolve, reject) => {
+    let ops = []
+    let pending = Promise.resolve()
+    db.createReadStream()
+      .on('data', ({ key, value }) => {
+        if (filter(key)) {
+          ops.push({ type: 'put', key, value })
+        }
+        if (ops.length >= MIGRATE_BATCH_SIZE) {
+          const batch = ops
+          ops = []
+          pending = pending.then(() => targetDb.batch(batch))
+        }
+      })
+      .on('error', reject)
+      .on('end', () => resolve(pending.then(() => ops.length && targetDb.batch(ops))))
+  })
+}
+
+/**
+ * rebuild the state of the last block with another state backend into a new db, see scripts/migrate.js
+ * the rebuilt state is checked entry by entry, and the source state is checked against its app hash first.
+ * Storage tries are rebuilt along with the accounts holding them.
+ * Blocks before the last one and snapshots are not copied, since they refer to state roots of the old backend.
+ * @param {object} options - { source, target, backend }, source and target are db paths, backend is a backend name
+ * @returns {object} { height, entries, oldRoot, newRoot }
+ */
+exports.migrate = async ({ source, target, backend: name }) => {
+  db = newDB(source)
+  const from = stateBackend.get((await getBackendName()) || 'patricia')
+  const to = stateBackend.get(name)
+  if (from === to) {
+    throw new Error(`State is already built by the ${name} backend.`)
+  }
+
+  const block = await lastBlock()
+  if (!block || !block.stateRoot) {
+    throw new Error('No committed state to migrate.')
+  }
+
+  const entries = await readEntries(from, db, block.stateRoot)
+  // rebuilding the source trie only rewrites its existing nodes
+  const oldRoot = await from.put(db, from.emptyRoot(), entries)
+  if (!oldRoot.equals(block.stateRoot)) {
+    throw new Error(`State does not match the app hash of block ${block.number}.`)
+  }
+
+  const targetDb = newDB.open(target)
+  const leaves = []
+  for (const [key, value] of entries) {
+    leaves.push([key, await migrateLeaf(from, to, targetDb, key.toString(), value)])
+  }
+  const newRoot = await putInBatches(to, targetDb, leaves)
+  await checkEntries(to, targetDb, newRoot, leaves, 'Entry')
+
+  await copyEntries(targetDb, key => {
+    if (isNodeKey(key)) {
+      return false
+    }
+    key = key.toString()
+    return !MIGRATE_SKIPPED_PREFIXES.some(prefix => key.startsWith(prefix))
+  })
+
+  const migratedBlock = serializer.serialize({ ...block, stateRoot: newRoot })
+  await targetDb.batch([
+    { type: 'put', key: rootKey, value: newRoot },
+    { type: 'put', key: `${blockKey}${block.number}`, value: migratedBlock },
+    { type: 'put', key: lastBlockKey, value: migratedBlock },
+    { type: 'put', key: backendKey, value: to.name },
+    { type: 'put', key: prunedUpToKey, value: String(block.number - 1) }
+  ])
+  await targetDb.close()
+
+  return { height: block.number, entries: entries.length, oldRoot, newRoot }
+}
@@ -0,0 +1,194 @@
+/** @module */
+// Build and verify Merkle proofs of account state and contract storage.
+// A storage value is proved in two steps, as Tendermint proof ops ordered from the value up to the app hash:
+// the storage entries holding the value against the contract storage root, see storagetrie, then the contract leaf
+// holding the storage root against the state root.
+// Verification does not touch the node's state DB, so light clients can run it offline
+// once they trust a state root (the app_hash of the next block header).
+
+const { createHash } = require('crypto')
+const _ = require('lodash')
+const { codec } = require('@iceteachain/common')
+const serializer = require('../state/serializer').getSerializer()
+const stateBackend = require('./statebackend')
+const storageTrie = require('./storagetrie')
+
+/**
+ * encode a trie proof into an ABCI proof op, its type tells the state backend which made it
+ * @function
+ * @param {string} address - account address, which is the trie key
+ * @param {Array.<Buffer>} proof - trie nodes from root to the account leaf
+ * @returns {object} proof op { type, key, data }
+ */
+exports.encodeProofOp = (address, proof) => {
+  return {
+    type: stateBackend.current().PROOF_OP_TYPE,
+    key: Buffer.from(address),
+    data: codec.encode(proof)
+  }
+}
+
+/**
+ * encode storage trie proofs into an ABCI proof op, to be put before the proof op of the contract
+ * @function
+ * @param {Array.<string>} path - storage path proved
+ * @param {Array} proofs - array of [trie key, proof] of the entries holding the value at path, each proof
+ * is the trie nodes from the storage root to the key
+ * @returns {object} proof op { type, key, data }, key is the JSON path
+ */
+exports.encodeStorageProofOp = (path, proofs) => {
+  return {
+    type: stateBackend.current().STORAGE_PROOF_OP_TYPE,
+    key: Buffer.from(JSON.stringify(path)),
+    data: codec.encode(proofs)
+  }
+}
+
+/**
+ * verify an account proof against a state root
+ * @function
+ * @param {Buffer} stateRoot - trusted state root
+ * @param {string} address - account address
+ * @param {Array.<Buffer>} proof - trie nodes from root to the account leaf
+ * @param {string} [type] - proof op type, default to the one of the configured state backend
+ * @returns {Promise<object>} the proven account state, a contract has its storageRoot instead of storage
+ */
+exports.verifyAccountProof = async (stateRoot, address, proof, type) => {
+  const backend = type ? stateBackend.byProofType(type) : stateBackend.current()
+  if (!backend) {
+    throw new Error(`Unsupported proof type ${type}.`)
+  }
+
+  const value = await backend.verifyProof(stateRoot, address, proof)
+  if (!value) {
+    throw new Error(`Proof does not contain account ${address}.`)
+  }
+  return serializer.deserialize(value)
+}
+
+// the value at a storage path, from the proofs of the entries holding it
+const verifyStorageEntries = async (account, path, proofs, type) => {
+  const backend = type ? stateBackend.byStorageProofType(type) : stateBackend.current()
+  if (!backend) {
+    throw new Error(`Unsupported proof type ${type}.`)
+  }
+  if (!account.storageRoot) {
+    throw new Error('Contract does not have any storage.')
+  }
+
+  const entries = new Map()
+  for (const [key, proof] of proofs) {
+    const value = await backend.verifyProof(account.storageRoot, key, proof)
+    value && entries.set(key, serializer.deserialize(value))
+  }
+  // either the value is proved, or the map at path, or the key list of its map without it
+  const parentKeys = path.length ? entries.get(storageTrie.mapKey(path.slice(0, -1))) : undefined
+  const absent = Array.isArray(parentKeys) && !parentKeys.includes(path[path.length - 1])
+  if (!entries.has(storageTrie.valueKey(path)) && !entries.has(storageTrie.mapKey(path)) && !absent) {
+    throw new Error(`Proof does not contain storage path ${JSON.stringify(path)}.`)
+  }
+  return storageTrie.unflatten(entries, path)
+}
+
+/**
+ * verify a storage value of a contract against a state root
+ * @function
+ * @param {Buffer} stateRoot - trusted state root
+ * @param {string} address - contract address
+ * @param {string|Array.<string>} path - storage path
+ * @param {Array.<Buffer>} proof - trie nodes from root to the contract leaf
+ * @param {Array} storageProofs - array of [trie key, proof] of the storage entries holding path
+ * @param {Array.<string>} [provedPath] - the prefix of path the storage proofs are for, path itself if omitted
+ * @returns {Promise<*>} the proven storage value
+ */
+exports.verifyStorageProof = async (stateRoot, address, path, proof, storageProofs, provedPath) => {
+  path = _.toPath(path)
+  provedPath = provedPath || path
+  const account = await exports.verifyAccountProof(stateRoot, address, proof)
+  return verifyStorageValue(account, path, provedPath, storageProofs)
+}
+
+// the value at a storage path, from the proofs of the entries holding a prefix of it
+const verifyStorageValue = async (account, path, provedPath, storageProofs, type) => {
+  if (!_.isEqual(provedPath, path.slice(0, provedPath.length))) {
+    throw new Error(`Proof is for storage path ${JSON.stringify(provedPath)}, not ${JSON.stringify(path)}.`)
+  }
+  const value = await verifyStorageEntries(account, provedPath, storageProofs, type)
+  const subPath = path.slice(provedPath.length)
+  return subPath.length ? _.get(value, subPath) : value
+}
+
+// null and undefined are the same once encoded, and so are 0 and 0n, the app replies 0 for a zero balance
+const sameValue = (a, b) => _.isEqualWith(a, b, (x, y) => {
+  if (x == null || y == null) {
+    return x == null && y == null
+  }
+  if (typeof x === 'bigint' || typeof y === 'bigint') {
+    return String(x) === String(y)
+  }
+})
+
+// the fields of an account query reply which are not in the leaf as they are, see app.js
+const derivedFields = ({ balance = 0, deployNonce = 0, src }) => ({
+  balance,
+  deployNonce,
+  hasSrc: !!src,
+  codeHash: src == null ? undefined : createHash('sha256').update(src).digest('hex')
+})
+
+/**
+ * verify the proof attached to an ABCI query response, and that the response value is the proven one
+ * An account missing from the state cannot be proved, the node replies an error instead. A storage path missing
+ * from the storage is proved by the key list of its map, and its value is undefined.
+ * @function
+ * @param {object} response - ABCI query response with value and proof.ops
+ * @param {Buffer} stateRoot - trusted state root at response.height
+ * @param {object} expected - { address, path }, the account queried and, for a storage query, the storage path
+ * @returns {Promise<object>} the proven account state, for a storage query its storage has the proven path only
+ */
+exports.verifyQueryResponse = async (response, stateRoot, { address, path } = {}) => {
+  const ops = (response.proof || {}).ops || []
+  const op = ops[ops.length - 1]
+  if (!op || !stateBackend.byProofType(op.type)) {
+    throw new Error('Response does not contain an account proof.')
+  }
+  if (op.key.toString() !== address) {
+    throw new Error(`Proof is for account ${op.key.toString()}, not ${address}.`)
+  }
+
+  const account = await exports.verifyAccountProof(stateRoot, address, codec.decode(op.data), op.type)
+  const claimed = response.value && response.value.length ? codec.decode(response.value) : undefined
+  if (path == null) {
+    const fields = derivedFields(account)
+    Object.keys(claimed || {}).forEach(key => {
+      if (!sameValue(claimed[key], _.has(fields, key) ? fields[key] : account[key])) {
+        throw new Error(`Response value of ${key} does not match the proof.`)
+      }
+    })
+    return account
+  }
+
+  path = _.toPath(path)
+  const { storageRoot, ...proven } = account
+  let value
+  if (ops.length < 2) {
+    // storage kept inline before the storageTrie fork is proved by the account proof
+    if (storageRoot) {
+      throw new Error('Response does not contain a storage proof.')
+    }
+    value = path.length ? _.get(account.storage, path) : account.storage
+  } else {
+    const provedPath = JSON.parse(ops[0].key.toString())
+    value = await verifyStorageValue(account, path, provedPath, codec.decode(ops[0].data), ops[0].type)
+  }
+  if (!sameValue(claimed, value)) {
+    throw new Error(`Response value of storage path ${JSON.stringify(path)} does not match the proof.`)
+  }
+  if (!path.length) {
+    proven.storage = value
+  } else {
+    // a missing path is left out, rather than making up the maps along it
+    proven.storage = value === undefined ? {} : _.setWith({}, path, value, Object)
+  }
+  return proven
+}
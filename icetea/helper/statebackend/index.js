@@ -0,0 +1,50 @@
+/** @module */
+// State trie backends, which compute the state root (app hash) and store trie nodes in the state db.
+// All nodes of a chain must use the same backend, since the backend decides the app hash.
+// Each backend exports name, PROOF_OP_TYPE, STORAGE_PROOF_OP_TYPE, emptyRoot, get, put, createReadStream, prove,
+// verifyProof and markNodes. Contract storage tries use the same backend as the state trie.
+
+const config = require('../../config')
+
+const backends = {
+  patricia: require('./patricia'),
+  smt: require('./smt')
+}
+
+/**
+ * get a backend by name
+ * @function
+ * @param {string} name - backend name, one of names
+ * @returns {object} backend
+ */
+const get = exports.get = name => {
+  if (!Object.prototype.hasOwnProperty.call(backends, name)) {
+    throw new Error(`Unknown state backend ${name}, must be one of ${Object.keys(backends).join(', ')}.`)
+  }
+  return backends[name]
+}
+
+/**
+ * get the backend selected by config.state.backend
+ * @function
+ * @returns {object} backend
+ */
+exports.current = () => get(config.state.backend)
+
+/**
+ * get the backend which made a proof op
+ * @function
+ * @param {string} type - proof op type
+ * @returns {object} backend, undefined if no backend made it
+ */
+exports.byProofType = type => Object.values(backends).find(b => b.PROOF_OP_TYPE === type)
+
+/**
+ * get the backend which made a storage proof op
+ * @function
+ * @param {string} type - proof op type
+ * @returns {object} backend, undefined if no backend made it
+ */
+exports.byStorageProofType = type => Object.values(backends).find(b => b.STORAGE_PROOF_OP_TYPE === type)
+
+exports.names = Object.keys(backends)
@@ -0,0 +1,159 @@
+/** @module */
+// State trie backend using merkle-patricia-tree, the original backend of the state db.
+
+const Trie = require('merkle-patricia-tree')
+
+const PROOF_OP_TYPE = 'icetea:account'
+const STORAGE_PROOF_OP_TYPE = 'icetea:storage'
+
+// root of a trie without any entry
+const EMPTY_ROOT = new Trie().root
+
+exports.name = 'patricia'
+
+exports.PROOF_OP_TYPE = PROOF_OP_TYPE
+
+exports.STORAGE_PROOF_OP_TYPE = STORAGE_PROOF_OP_TYPE
+
+/**
+ * root of a trie without any entry
+ * @function
+ * @returns {Buffer} state root
+ */
+exports.emptyRoot = () => EMPTY_ROOT
+
+/**
+ * read an entry
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @param {string|Buffer} key - key
+ * @returns {Promise<Buffer>} serialized value, null if the trie does not have it
+ */
+exports.get = (db, root, key) => {
+  const trie = new Trie(db, root)
+  return new Promise((resolve, reject) => {
+    trie.get(key, (err, value) => {
+      if (err) {
+        if (err.notFound) {
+          return resolve(null)
+        }
+        return reject(err)
+      }
+      return resolve(value)
+    })
+  })
+}
+
+/**
+ * put entries, nodes of the new trie are written to db
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root to start from
+ * @param {Array} entries - array of [key, serialized value], a null value deletes the key
+ * @returns {Promise<Buffer>} new state root
+ */
+exports.put = (db, root, entries) => {
+  const trie = new Trie(db, root)
+  const opts = entries.map(([key, value]) => (value == null ? { type: 'del', key } : { type: 'put', key, value }))
+  return new Promise((resolve, reject) => {
+    trie.batch(opts, (err) => {
+      if (err) {
+        return reject(err)
+      }
+      return resolve(trie.root)
+    })
+  })
+}
+
+/**
+ * stream all entries
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @returns {stream} stream of { key, value }, key is a Buffer and value is serialized
+ */
+exports.createReadStream = (db, root) => {
+  return new Trie(db, root).createReadStream()
+}
+
+/**
+ * prove an entry
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @param {string} key - key
+ * @returns {Promise<Array.<Buffer>>} trie nodes from root to the leaf
+ */
+exports.prove = (db, root, key) => {
+  const trie = new Trie(db, root)
+  return new Promise((resolve, reject) => {
+    Trie.prove(trie, key, (err, proof) => {
+      if (err) {
+        return reject(err)
+      }
+      return resolve(proof)
+    })
+  })
+}
+
+/**
+ * verify a proof made by prove, without db
+ * @function
+ * @param {Buffer} root - trusted state root
+ * @param {string} key - key
+ * @param {Array.<Buffer>} proof - proof
+ * @returns {Promise<Buffer>} serialized value, null if the proof does not contain the key
+ */
+exports.verifyProof = (root, key, proof) => {
+  return new Promise((resolve, reject) => {
+    Trie.verifyProof(root, key, proof, (err, value) => {
+      if (err) {
+        return reject(err)
+      }
+      return resolve(value || null)
+    })
+  })
+}
+
+/**
+ * add hashes of trie nodes reachable from a state root to a set, subtrees already in the set are skipped
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @param {object} marked - set of node hashes in hex, its has and add could be async, see patricia.createNodeMarker
+ * @param {function} [onValue] - called with each serialized value found in the nodes newly marked, could be async
+ * @returns {Promise<object>} marked
+ */
+exports.markNodes = (db, root, marked, onValue) => {
+  const trie = new Trie(db, root)
+  return new Promise((resolve, reject) => {
+    // _walkTrie is internal to merkle-patricia-tree 3.0.0, but it is the only way to skip visited subtrees
+    trie._walkTrie(trie.root, (nodeRef, node, key, walkController) => {
+      // resolves false to skip the subtree of a node already marked
+      const visit = async () => {
+        // small nodes are embedded in their parents, so they are new if their parents are
+        if (Buffer.isBuffer(nodeRef)) {
+          const hash = nodeRef.toString('hex')
+          if (await marked.has(hash)) {
+            return false
+          }
+          await marked.add(hash)
+        }
+
+        // the value of an extension node is its child, 'extention' is how merkle-patricia-tree spells it
+        const value = node.type === 'extention' ? null : node.value
+        if (onValue && value && value.length) {
+          await onValue(value)
+        }
+        return true
+      }
+      visit().then(isNew => (isNew ? walkController.next() : walkController.stop()), reject)
+    }, (err) => {
+      if (err) {
+        return reject(err)
+      }
+      return resolve(marked)
+    })
+  })
+}
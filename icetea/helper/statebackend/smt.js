@@ -0,0 +1,189 @@
+/** @module */
+// State trie backend using the sparse Merkle trie in icetea/trie.
+// Keys are hashed into paths, so each leaf holds its key along with the value to list entries.
+// Trie nodes are stored by their 32-byte hash in the same db as the patricia backend.
+
+const { Readable } = require('stream')
+const { createTrie, computeRoot } = require('../../trie')
+const { zeroHash, isAllZero } = require('../../trie/hash')
+
+const PROOF_OP_TYPE = 'icetea:smt-account'
+const STORAGE_PROOF_OP_TYPE = 'icetea:smt-storage'
+
+// leaf = 2-byte key length + key + serialized value
+const encodeLeaf = (key, value) => {
+  key = Buffer.from(key)
+  const length = Buffer.alloc(2)
+  length.writeUInt16BE(key.length, 0)
+  return Buffer.concat([length, key, value])
+}
+
+const decodeLeaf = leaf => {
+  const length = leaf.readUInt16BE(0)
+  return { key: leaf.slice(2, 2 + length), value: leaf.slice(2 + length) }
+}
+
+/**
+ * backing db of the trie, which reads nodes from a levelup db and keeps written nodes until flush
+ * the trie writes synchronously, so writes cannot go to the db directly
+ * @private
+ */
+class BatchDB {
+  constructor (db) {
+    this.db = db
+    this.pending = new Map()
+  }
+
+  get (hash) {
+    const key = hash.toString('hex')
+    if (this.pending.has(key)) {
+      return this.pending.get(key).value
+    }
+    return new Promise((resolve, reject) => {
+      this.db.get(hash, (err, value) => {
+        if (err) {
+          return err.notFound ? resolve(undefined) : reject(err)
+        }
+        return resolve(value)
+      })
+    })
+  }
+
+  put (hash, value) {
+    // the trie could shift the hash in place later, so copy it
+    this.pending.set(hash.toString('hex'), { type: 'put', key: Buffer.from(hash), value: Buffer.from(value) })
+  }
+
+  flush () {
+    const ops = [...this.pending.values()]
+    this.pending.clear()
+    return ops.length ? this.db.batch(ops) : Promise.resolve()
+  }
+}
+
+const openTrie = (db, root) => createTrie({ rootHash: root, backingDb: new BatchDB(db) })
+
+exports.name = 'smt'
+
+exports.PROOF_OP_TYPE = PROOF_OP_TYPE
+
+exports.STORAGE_PROOF_OP_TYPE = STORAGE_PROOF_OP_TYPE
+
+/**
+ * root of a trie without any entry
+ * @function
+ * @returns {Buffer} state root
+ */
+exports.emptyRoot = () => zeroHash()
+
+/**
+ * read an entry
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @param {string|Buffer} key - key
+ * @returns {Promise<Buffer>} serialized value, null if the trie does not have it
+ */
+exports.get = async (db, root, key) => {
+  const leaf = await openTrie(db, root).get(Buffer.from(key))
+  return leaf ? decodeLeaf(leaf).value : null
+}
+
+/**
+ * put entries, nodes of the new trie are written to db
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root to start from
+ * @param {Array} entries - array of [key, serialized value], a null value deletes the key
+ * @returns {Promise<Buffer>} new state root
+ */
+exports.put = async (db, root, entries) => {
+  const trie = openTrie(db, root)
+  for (const [key, value] of entries) {
+    if (value == null) {
+      await trie.del(Buffer.from(key))
+    } else {
+      await trie.put(Buffer.from(key), encodeLeaf(key, value))
+    }
+  }
+  await trie.backingDb.flush()
+  return trie.rootHash || zeroHash()
+}
+
+/**
+ * stream all entries
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @returns {stream} stream of { key, value }, key is a Buffer and value is serialized
+ */
+exports.createReadStream = (db, root) => {
+  const trie = openTrie(db, root)
+  const stream = new Readable({ objectMode: true, read () {} })
+  trie.walk(({ node, leaf }) => {
+    leaf && stream.push(decodeLeaf(node))
+  }).then(() => stream.push(null), err => stream.destroy(err))
+  return stream
+}
+
+/**
+ * prove an entry
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @param {string} key - key
+ * @returns {Promise<Array.<Buffer>>} the leaf followed by siblings from root down, zero siblings are empty
+ */
+exports.prove = async (db, root, key) => {
+  const { value, siblings } = await openTrie(db, root).prove(Buffer.from(key))
+  if (!value) {
+    throw new Error(`Key ${key} is not in the trie.`)
+  }
+  return [value].concat(siblings.map(s => (isAllZero(s) ? Buffer.alloc(0) : s)))
+}
+
+/**
+ * verify a proof made by prove, without db
+ * @function
+ * @param {Buffer} root - trusted state root
+ * @param {string} key - key
+ * @param {Array.<Buffer>} proof - proof
+ * @returns {Promise<Buffer>} serialized value, null if the proof does not contain the key
+ */
+exports.verifyProof = async (root, key, proof) => {
+  const [leaf, ...siblings] = proof.map(p => Buffer.from(p))
+  const computed = computeRoot(Buffer.from(key), leaf, siblings.map(s => (s.length ? s : zeroHash())))
+  if (!computed.equals(Buffer.from(root))) {
+    throw new Error('Invalid proof: root hash mismatch.')
+  }
+
+  const entry = decodeLeaf(leaf)
+  return entry.key.toString() === String(key) ? entry.value : null
+}
+
+/**
+ * add hashes of trie nodes reachable from a state root to a set, subtrees already in the set are skipped
+ * @function
+ * @param {object} db - levelup db
+ * @param {Buffer} root - state root
+ * @param {object} marked - set of node hashes in hex, its has and add could be async, see patricia.createNodeMarker
+ * @param {function} [onValue] - called with each serialized value found in the nodes newly marked, could be async
+ * @returns {Promise<object>} marked
+ */
+exports.markNodes = async (db, root, marked, onValue) => {
+  await openTrie(db, root).walk(async ({ hash, node, leaf, stored }) => {
+    if (!stored) {
+      return true
+    }
+    const hex = hash.toString('hex')
+    if (await marked.has(hex)) {
+      return false
+    }
+    await marked.add(hex)
+    if (leaf && onValue) {
+      await onValue(decodeLeaf(node).value)
+    }
+    return true
+  })
+  return marked
+}
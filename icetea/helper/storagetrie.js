@@ -0,0 +1,122 @@
+/** @module */
+// Layout of a contract storage in its storage trie, shared by the state store and proof verification.
+// Plain objects of the storage are maps: each of their values is an entry of its own, keyed by its JSON path,
+// and each map has an entry listing its keys in order, keyed by its JSON path and '/'. The storage itself is
+// the map at path []. So changing a value of a large map rewrites that value only, and it could be proved on its own.
+
+const _ = require('lodash')
+const serializer = require('../state/serializer').getSerializer()
+
+const hasOwn = (o, key) => Object.prototype.hasOwnProperty.call(o, key)
+
+/**
+ * get the trie key of the value at a storage path, if it is not a map
+ * @function
+ * @param {Array.<string>} path - storage path
+ * @returns {string} trie key
+ */
+const valueKey = path => JSON.stringify(path)
+
+/**
+ * get the trie key of the keys of the map at a storage path
+ * @function
+ * @param {Array.<string>} path - storage path
+ * @returns {string} trie key
+ */
+const mapKey = path => valueKey(path) + '/'
+
+const isMap = value => {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * put the entries of a value at a path into entries
+ * @function
+ * @param {Map} entries - trie key => serialized value
+ * @param {Array.<string>} path - storage path
+ * @param {*} value - value
+ */
+const flattenInto = (entries, path, value) => {
+  if (!isMap(value)) {
+    entries.set(valueKey(path), serializer.serialize(value))
+    return
+  }
+  const keys = Object.keys(value)
+  entries.set(mapKey(path), serializer.serialize(keys))
+  keys.forEach(key => flattenInto(entries, path.concat(key), value[key]))
+}
+
+// delete the entries of a value at a path
+const removeInto = (entries, path, value) => {
+  if (!isMap(value)) {
+    entries.set(valueKey(path), null)
+    return
+  }
+  entries.set(mapKey(path), null)
+  Object.keys(value).forEach(key => removeInto(entries, path.concat(key), value[key]))
+}
+
+/**
+ * put the entries changed from an old value to a new one at a path into entries, null for deleted ones
+ * Storage drafts copy only the objects along the paths they write, so anything shared with old is skipped at once.
+ * @function
+ * @param {Map} entries - trie key => serialized value or null
+ * @param {Array.<string>} path - storage path
+ * @param {object} old - { exists, value }
+ * @param {object} current - { exists, value }
+ */
+const diffInto = (entries, path, old, current) => {
+  if (old.exists && current.exists && old.value === current.value) {
+    return
+  }
+  if (old.exists && current.exists && isMap(old.value) && isMap(current.value)) {
+    const oldKeys = Object.keys(old.value)
+    const keys = Object.keys(current.value)
+    if (!_.isEqual(oldKeys, keys)) {
+      entries.set(mapKey(path), serializer.serialize(keys))
+    }
+    oldKeys.forEach(key => hasOwn(current.value, key) || removeInto(entries, path.concat(key), old.value[key]))
+    keys.forEach(key => diffInto(entries, path.concat(key),
+      { exists: hasOwn(old.value, key), value: old.value[key] },
+      { exists: true, value: current.value[key] }))
+    return
+  }
+  // removed first, so that the entries of the new value are put
+  old.exists && removeInto(entries, path, old.value)
+  current.exists && flattenInto(entries, path, current.value)
+}
+
+/**
+ * rebuild the value at a path from entries
+ * @function
+ * @param {Map} entries - trie key => deserialized value
+ * @param {Array.<string>} [path] - storage path, the whole storage if omitted
+ * @returns {*} value, undefined if entries have neither a value nor a map at path
+ */
+const unflatten = (entries, path = []) => {
+  if (!entries.has(mapKey(path))) {
+    return entries.get(valueKey(path))
+  }
+
+  const map = {}
+  entries.get(mapKey(path)).forEach(key => {
+    const keyPath = path.concat(key)
+    if (!entries.has(valueKey(keyPath)) && !entries.has(mapKey(keyPath))) {
+      throw new Error(`Storage entry ${valueKey(keyPath)} is missing.`)
+    }
+    map[key] = unflatten(entries, keyPath)
+  })
+  return map
+}
+
+module.exports = {
+  valueKey,
+  mapKey,
+  flattenInto,
+  diffInto,
+  unflatten
+}
@@ -0,0 +1,79 @@
+/** @module */
+// Tx ops handled by this node in addition to the ones defined by @iceteachain/common
+
+const { TxOp: BaseTxOp } = require('@iceteachain/common')
+
+/**
+ * all tx ops
+ * BATCH: run tx.data.ops sequentially and atomically,
+ * each op is { to, value, data } where data is the same as data of a normal tx
+ * UPGRADE_CONTRACT: replace source of contract tx.to with tx.data.src, keeping its storage and balance.
+ * If tx.data.params is set, the new source's __on_upgraded is called with it to migrate the storage
+ */
+const TxOp = Object.freeze({
+  ...BaseTxOp,
+  BATCH: 2,
+  UPGRADE_CONTRACT: 3
+})
+
+/**
+ * check if a tx is a batch tx
+ * @function
+ * @param {object} tx - transaction
+ * @returns {boolean} is batch
+ */
+const isBatch = tx => !!tx.data && tx.data.op === TxOp.BATCH
+
+/**
+ * check if a tx is a contract upgrade tx
+ * @function
+ * @param {object} tx - transaction
+ * @returns {boolean} is upgrade
+ */
+const isUpgrade = tx => !!tx.data && tx.data.op === TxOp.UPGRADE_CONTRACT
+
+/**
+ * check if a value is a reference to result of a previous op, i.e. { $ref: opIndex }
+ * @function
+ * @param {*} value - value to check
+ * @returns {boolean} is reference
+ */
+const isRef = value => {
+  return value != null && typeof value === 'object' && Object.keys(value).length === 1 &&
+    Number.isInteger(value.$ref)
+}
+
+const resolveRef = (value, results) => {
+  if (!isRef(value)) {
+    return value
+  }
+
+  if (value.$ref < 0 || value.$ref >= results.length) {
+    throw new Error(`Invalid reference to result of operation ${value.$ref}.`)
+  }
+  return results[value.$ref]
+}
+
+/**
+ * make the tx of an op in a batch tx, references to results of previous ops are resolved.
+ * The op tx inherits from, payer, signers... from the batch tx.
+ * @function
+ * @param {object} tx - batch tx
+ * @param {object} op - { to, value, data }
+ * @param {Array} results - results of previous ops
+ * @returns {object} op tx
+ */
+const makeOpTx = (tx, op, results) => {
+  const data = { ...op.data }
+  if (Array.isArray(data.params)) {
+    data.params = data.params.map(p => resolveRef(p, results))
+  }
+
+  return Object.assign(Object.create(Object.getPrototypeOf(tx)), tx, {
+    to: resolveRef(op.to, results) || '',
+    value: BigInt(op.value || 0),
+    data
+  })
+}
+
+module.exports = { TxOp, isBatch, isUpgrade, isRef, makeOpTx }
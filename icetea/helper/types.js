@@ -3,6 +3,7 @@
 const { ecc, codec } = require('@iceteachain/common')
 const sysContractNames = Object.values(require('../syscon/sysconnames'))
 const { ensureAddress } = require('../syscon/alias')
+const errors = require('./errors')
 
 /**
  * whether an object is expected type
@@ -134,18 +135,18 @@ function checkMsg ({ name, callType, params = [] }, spec, {
   sysContracts = {}
 } = {}) {
   if (!name || typeof name !== 'string') {
-    throw new Error(`Invalid message name: '${name}'.`)
+    throw errors.create('INVALID_MESSAGE', { name }, `Invalid message name: '${name}'.`)
   }
 
   if (!Array.isArray(params)) {
-    throw new Error(`Invalid parameters for ${name}: ${params}`)
+    throw errors.create('INVALID_MESSAGE', { name }, `Invalid parameters for ${name}: ${params}`)
   }
 
   if (!(name in spec)) {
     if (whitelist === '*' || whitelist.includes(name)) {
       return
     } else {
-      throw new Error(`Message '${name}' is not supported by this contract.`)
+      throw errors.create('INVALID_MESSAGE', { name })
     }
   }
 
@@ -160,13 +161,15 @@ function checkMsg ({ name, callType, params = [] }, spec, {
   }
 
   if (specDecos && !specDecos.includes(callType)) {
-    throw new Error(`Invalid call type, expect '${specDecos.join(', ')}', got '${callType}'.`)
+    throw errors.create('INVALID_MESSAGE', { name, callType, expected: specDecos },
+      `Invalid call type, expect '${specDecos.join(', ')}', got '${callType}'.`)
   }
 
   const specParams = spec[name].params || []
 
   if (strict && params.length > specParams.length) {
-    throw new Error(`Wrong number of parameter for '${name}'. Expect '${specParams.length}'. Got '${params.length}'.`)
+    throw errors.create('INVALID_MESSAGE', { name, expected: specParams.length, got: params.length },
+      `Wrong number of parameter for '${name}'. Expect '${specParams.length}'. Got '${params.length}'.`)
   }
 
   const newParams = [...params]
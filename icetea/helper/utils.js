@@ -1,9 +1,12 @@
 /** @module */
 
 const _ = require('lodash')
+const { createHash } = require('crypto')
 const sysContracts = require('../syscon')
 const { ecc, codec } = require('@iceteachain/common')
-const { ondeploy, onreceive } = require('../config').messages
+const config = require('../config')
+const { Election: ELECTION_ADDR } = require('../syscon/sysconnames')
+const { ondeploy, onreceive, onupgrade } = config.messages
 
 /**
  * get all property name of an object
@@ -108,6 +111,27 @@ exports.emitEvent = function (emitter, events, eventName, eventData, indexes = [
   return events
 }
 
+/**
+ * decode an event emitted by emitEvent
+ * @function
+ * @param {object} event - { type, attributes }
+ * @returns {object} { emitter, eventName, eventData, indexes }, values are strings as emitted
+ */
+exports.decodeEvent = ({ type, attributes }) => {
+  const decoded = { emitter: type, eventData: {}, indexes: [] }
+  attributes.forEach(({ key, value, index }) => {
+    key = key.toString()
+    value = value.toString()
+    if (key === '_ev') {
+      decoded.eventName = value
+    } else {
+      decoded.eventData[key] = value
+      if (index) decoded.indexes.push(key)
+    }
+  })
+  return decoded
+}
+
 /**
  * Emit 'transfer' event, can only called by system so no need emitter argument.
  * @function
@@ -217,7 +241,7 @@ exports.unifyMetadata = meta => {
     }, {})
   }
 
-  const excepts = ['constructor', ondeploy, onreceive, 'runtime', 'getState', 'setState']
+  const excepts = ['constructor', ondeploy, onreceive, onupgrade, 'runtime', 'getState', 'setState']
   Object.keys(meta).forEach(k => {
     if (excepts.includes(k) || k.startsWith('#') ||
       (meta[k].decorators && meta[k].decorators.includes('internal'))) {
@@ -313,6 +337,24 @@ exports.serialize = obj => {
   return codec.encode(obj)
 }
 
+/**
+ * address which tx fees are paid to, when rewards are enabled, fees are distributed to validators by system.election
+ * @function
+ * @returns {string} fee collector address
+ */
+exports.feeCollector = () => (config.rewards.enabled ? ELECTION_ADDR : config.feeCollector)
+
+/**
+ * hash of a contract source, used to identify a contract version
+ * @function
+ * @param {string|Buffer} src - compiled contract source
+ * @returns {string} hex sha256 hash, or undefined if there is no source
+ */
+exports.codeHash = src => {
+  if (src == null) return undefined
+  return createHash('sha256').update(src).digest('hex')
+}
+
 exports.validateAddress = addr => {
   if (sysContracts.has(addr)) return
   ecc.validateAddress(addr)
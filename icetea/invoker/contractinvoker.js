@@ -1,4 +1,5 @@
 const utils = require('../helper/utils')
+const errors = require('../helper/errors')
 const sysContracts = require('../syscon')
 const { getRunner, getContext, getGuard } = require('../vm')
 const Invoker = require('./invoker')
@@ -15,7 +16,7 @@ class ContractInvoker extends Invoker {
      */
   invoke (invokeType, contractAddress, methodName, methodParams, options) {
     if (!['pure', 'view', 'transaction', 'metadata'].includes(invokeType)) {
-      throw new Error(`Invalid invoke type ${invokeType}. Must be 'pure', 'view', or 'transaction'.`)
+      throw errors.create('INVALID_INVOKE_TYPE', { invokeType })
     }
 
     const { tx } = options
@@ -0,0 +1,94 @@
+/** @module */
+// A read-only view of the state at a past block, reading accounts from the state trie on demand like the current
+// state does, so queries against it must run in StateManager.prefetch.
+// It exposes the subset of StateManager API used by view/pure calls and metadata queries.
+
+const config = require('../config')
+const patricia = require('../helper/patricia')
+const stateProxy = require('./stateproxy')
+const lazyTable = require('./lazytable')
+
+// states queried recently, each keeps the accounts it read, up to config.state.cacheSize
+const CACHE_SIZE = 2
+const cache = []
+
+class HistoricalState {
+  constructor (block) {
+    this.block = Object.freeze(block)
+    this.table = lazyTable.create({ root: block.stateRoot, capacity: config.state.cacheSize, isPinned: () => false })
+    this.stateTable = this.table.state
+  }
+
+  produceDraft () {
+    // the draft is never applied, so changes (if any) are simply dropped
+    return stateProxy.getStateProxy(this.stateTable, this.block.number)
+  }
+
+  getMetaProxy () {
+    return stateProxy.getMetaProxy(this.stateTable)
+  }
+
+  isContract (address) {
+    const state = this.stateTable[address]
+    if (!state) return false
+
+    return state.src || state.system
+  }
+
+  getAccountState (addr) {
+    return this.stateTable[addr] || {}
+  }
+
+  /**
+   * read the accounts one by one, see StateManager.forEachAccount
+   * @param {function} fn - called with (address, account) of each account in no particular order, could be async
+   * @param {object} [options] - { storage }, storage also reads the storage of accounts, which is slow
+   */
+  forEachAccount (fn, options) {
+    return this.table.forEach(fn, options)
+  }
+
+  loadAccounts (addresses) {
+    return this.table.load(addresses)
+  }
+
+  getBlock () {
+    return this.block
+  }
+}
+
+/**
+ * get the state at a block height
+ * @function
+ * @param {number} height - block height
+ * @returns {Promise<HistoricalState>} read-only state
+ */
+exports.at = async height => {
+  const cached = cache.find(item => item.block.number === height)
+  if (cached) {
+    // drop accounts read by earlier queries, down to capacity
+    cached.table.evict()
+    return cached
+  }
+
+  const block = await patricia.getBlockByHeight(height)
+  if (!block || !block.stateRoot) {
+    throw new Error(`No state found at height ${height}.`)
+  }
+
+  const state = new HistoricalState(block)
+  cache.unshift(state)
+  if (cache.length > CACHE_SIZE) {
+    cache.length = CACHE_SIZE
+  }
+
+  return state
+}
+
+/**
+ * drop cached states, e.g. after rolling back
+ * @function
+ */
+exports.clear = () => {
+  cache.length = 0
+}
@@ -0,0 +1,195 @@
+/** @module */
+// State table which reads accounts from the state trie on demand, instead of loading the whole trie in memory.
+// Contracts run synchronously, so accounts cannot be read from the trie while they run. Reading an account which
+// is not loaded gives undefined and records a miss instead, the caller loads the misses then runs again,
+// see StateManager.prefetch.
+// Loaded accounts are kept in an LRU cache. Pinned accounts, e.g. changed but not yet committed ones,
+// are never evicted, so all writes stay in the cache until they are written back to the trie.
+
+const { AsyncLocalStorage } = require('async_hooks')
+const patricia = require('../helper/patricia')
+
+// misses of the running function, a map of table => Set of keys, so that a function could read several tables
+// e.g. a query against a past state. It follows the async calls of the function, so concurrent runs, e.g. queries
+// while a block is executed, each record their own, see track
+const tracker = new AsyncLocalStorage()
+
+/**
+ * run a function recording the misses of all tables it reads
+ * @function
+ * @param {Map} misses - the map misses are added to, table => Set of addresses
+ * @param {function} fn - function to run, could be async
+ * @returns {*} what fn returns
+ */
+exports.track = (misses, fn) => tracker.run(misses, fn)
+
+/**
+ * load the misses recorded by track into their tables
+ * @function
+ * @param {Map} misses - map given to track
+ */
+exports.loadMisses = async misses => {
+  for (const [table, keys] of misses) {
+    await table.load([...keys])
+  }
+}
+
+const omitStorage = ({ storage, ...account }) => account
+
+/**
+ * create a state table
+ * @function
+ * @param {object} options - { root, capacity, isPinned }
+ * root is the committed state root, undefined for a new chain which has nothing to read from the trie.
+ * capacity is the number of accounts kept after evict, isPinned tells if an account must not be evicted.
+ * @returns {object} { state, load, isolate, endIsolate, setRoot, evict, forEach }
+ */
+exports.create = ({ root, capacity, isPinned }) => {
+  // address => account, null if the account does not exist, in least recently used order
+  const cache = new Map()
+  // changes of an isolated run, discarded or merged into the cache when it ends
+  let shadow = null
+  // changes with root, loads started before are dropped because they read the old root
+  let generation = 0
+
+  const touch = (key, value) => {
+    cache.delete(key)
+    cache.set(key, value)
+  }
+
+  const read = key => {
+    if (shadow && shadow.has(key)) {
+      return shadow.get(key)
+    }
+    if (!cache.has(key)) {
+      const misses = tracker.getStore()
+      if (root && misses) {
+        (misses.get(self) || misses.set(self, new Set()).get(self)).add(key)
+      }
+      return null
+    }
+
+    const value = cache.get(key)
+    touch(key, value)
+    if (shadow && value) {
+      // changes replace account fields (balance, storage...) so a shallow copy keeps the cached one intact
+      const copy = Object.assign({}, value)
+      shadow.set(key, copy)
+      return copy
+    }
+    return value
+  }
+
+  const write = (key, value) => {
+    shadow ? shadow.set(key, value) : touch(key, value)
+  }
+
+  const residentKeys = () => {
+    const keys = new Set(cache.keys())
+    shadow && shadow.forEach((value, key) => keys.add(key))
+    return [...keys].filter(key => read(key))
+  }
+
+  const descriptor = value => ({ value, writable: true, enumerable: true, configurable: true })
+
+  // only string keys are addresses, the others are left to the target (e.g. Symbol.toStringTag)
+  const state = new Proxy({}, {
+    get: (target, key) => {
+      if (typeof key !== 'string') return target[key]
+      return read(key) || undefined
+    },
+    set: (target, key, value) => {
+      write(key, value == null ? null : value)
+      return true
+    },
+    deleteProperty: (target, key) => {
+      write(key, null)
+      return true
+    },
+    has: (target, key) => !!read(key),
+    ownKeys: () => residentKeys(),
+    getOwnPropertyDescriptor: (target, key) => {
+      const value = typeof key === 'string' && read(key)
+      return value ? descriptor(value) : undefined
+    }
+  })
+
+  const self = {
+    // the table, an object of address => account
+    state,
+
+    /**
+     * read accounts from the trie into the cache
+     * @param {Array.<string>} keys - addresses
+     */
+    load: async keys => {
+      if (!root) {
+        // a new chain, nothing to read yet
+        return
+      }
+      const gen = generation
+      const states = await patricia.getStates(keys.filter(key => !cache.has(key)), root)
+      if (gen !== generation) {
+        // the caller runs again and loads the misses from the new root
+        return
+      }
+      Object.keys(states).forEach(key => {
+        // it could be written while loading
+        cache.has(key) || touch(key, states[key])
+      })
+    },
+
+    /**
+     * make changes to the table go to a throwaway copy, until endIsolate
+     */
+    isolate: () => {
+      shadow = new Map()
+    },
+
+    /**
+     * discard changes made since isolate, or keep them as if they were made directly
+     * @param {boolean} [keep] - keep the changes
+     */
+    endIsolate: keep => {
+      const changes = shadow
+      shadow = null
+      keep && changes.forEach((value, key) => touch(key, value))
+    },
+
+    /**
+     * set the committed state root, after pending changes are written to the trie
+     * @param {Buffer} newRoot - state root
+     */
+    setRoot: newRoot => {
+      root = newRoot
+      generation++
+    },
+
+    /**
+     * drop least recently used accounts which are not pinned, down to capacity
+     */
+    evict: () => {
+      for (const key of cache.keys()) {
+        if (cache.size <= capacity) break
+        isPinned(key) || cache.delete(key)
+      }
+    },
+
+    /**
+     * read all accounts one by one, without loading them all in memory, e.g. to list or page them
+     * @param {function} fn - called with (address, account) of each account in no particular order, could be async
+     * @param {object} [options] - { storage }, storage also reads the storage of accounts, which is slow
+     */
+    forEach: async (fn, { storage } = {}) => {
+      // accounts in memory override the committed ones, copied now so that a commit while reading does not mix two states
+      const cached = new Map(cache)
+      if (root) {
+        await patricia.forEachAccount(root, (key, account) => cached.has(key) ? undefined : fn(key, account), { storage })
+      }
+      for (const [key, value] of cached) {
+        value && await fn(key, storage ? value : omitStorage(value))
+      }
+    }
+  }
+  return self
+}
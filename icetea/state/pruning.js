@@ -0,0 +1,123 @@
+/** @module */
+// Pruning of historical state. Blocks of pruned heights are deleted, then trie nodes which are not reachable
+// from the state roots of kept heights are garbage-collected.
+// Marking runs in background, while the final deletion runs when committing a block, after marking the roots
+// committed in between, so that nodes rewritten by those blocks are never deleted.
+// Marks are kept in db, since the nodes reachable from kept roots could be too many to hold in memory.
+
+const patricia = require('../helper/patricia')
+const { state: { pruning: config } } = require('../config')
+const debug = require('debug')('icetea:pruning')
+
+const STRATEGIES = ['archive', 'recent', 'interval']
+
+// the running collection: { roots, marked, garbage }
+// roots are state roots committed since it started, marked is the node marker, garbage is set when marking is done
+let task = null
+
+const isKept = (height, lastHeight) => {
+  if (height > lastHeight - config.keepRecent) {
+    return true
+  }
+  return config.strategy === 'interval' && height % config.interval === 0
+}
+
+const collect = async (lastHeight, t) => {
+  const heights = await patricia.listBlockHeights()
+  const kept = heights.filter(h => isKept(h, lastHeight))
+  const pruned = heights.filter(h => !isKept(h, lastHeight))
+
+  // validators are looked up from the nearest record at or before a height
+  // so a record is pruned only if no kept height comes before the next record
+  const validatorsHeights = await patricia.listValidatorsHeights()
+  const prunedValidators = validatorsHeights.filter((h, i) => {
+    const next = validatorsHeights[i + 1]
+    return next !== undefined && h <= lastHeight - config.keepRecent && !kept.some(k => k >= h && k < next)
+  })
+
+  await patricia.pruneBlocks({
+    heights: pruned,
+    validatorsHeights: prunedValidators,
+    prunedUpTo: lastHeight - config.keepRecent
+  })
+
+  const marked = t.marked = await patricia.createNodeMarker()
+  for (const h of kept) {
+    const block = await patricia.getBlockByHeight(h)
+    await patricia.markStateNodes(block.stateRoot, marked)
+  }
+  await marked.flush()
+
+  t.garbage = await patricia.listUnmarkedNodes(marked)
+  debug('Heights pruned', { lastHeight, pruned: pruned.length, garbage: t.garbage.length })
+}
+
+const finish = async () => {
+  const { roots, marked, garbage } = task
+  task = null
+
+  for (const root of roots) {
+    await patricia.markStateNodes(root, marked)
+  }
+  await marked.flush()
+  const hashes = []
+  for (const hash of garbage) {
+    await marked.has(hash) || hashes.push(hash)
+  }
+  await patricia.deleteStateNodes(hashes)
+  await marked.clear()
+  debug('Trie nodes collected', { count: hashes.length })
+}
+
+/**
+ * validate pruning config, throw if it is invalid
+ * @function
+ */
+exports.validate = () => {
+  const { strategy, keepRecent, interval, gcInterval } = config
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid pruning strategy ${strategy}, must be one of ${STRATEGIES.join(', ')}.`)
+  }
+  if (strategy === 'archive') {
+    return
+  }
+  if (!Number.isInteger(keepRecent) || keepRecent < 2) {
+    throw new Error('Pruning keepRecent must be an integer not less than 2.')
+  }
+  if (strategy === 'interval' && (!Number.isInteger(interval) || interval < 1)) {
+    throw new Error('Pruning interval must be a positive integer.')
+  }
+  if (!Number.isInteger(gcInterval) || gcInterval < 1) {
+    throw new Error('Pruning gcInterval must be a positive integer.')
+  }
+}
+
+/**
+ * prune after a block is committed, must be awaited before committing the next block
+ * @function
+ * @param {number} height - height of the committed block
+ * @param {Buffer} stateRoot - state root of the committed block
+ */
+exports.afterCommit = async (height, stateRoot) => {
+  if (config.strategy === 'archive') {
+    return
+  }
+
+  if (task) {
+    task.roots.push(stateRoot)
+    if (task.garbage) {
+      await finish()
+    }
+    return
+  }
+
+  if (height % config.gcInterval === 0) {
+    const t = task = { roots: [] }
+    collect(height, t).catch(err => {
+      debug('Failed to prune state', err)
+      if (task === t) {
+        task = null
+      }
+    })
+  }
+}
@@ -0,0 +1,229 @@
+/** @module */
+// State-sync snapshots, taken from the patricia store so that new nodes need not replay every block.
+// Chunk 0 holds the block, validators and tx index, the next chunks hold trie entries.
+// Chunk hashes are kept in the snapshot metadata so each chunk is verified when applied,
+// and the restored trie must match the stateRoot of the snapshot block.
+// Snapshots are taken at epoch ends, where the validators are the ones elected by the state, so a restore rebuilds
+// them from the restored state and rejects a snapshot whose validators differ. The tx index is not committed in the
+// app hash, so it is only checked to be unexpired at the snapshot block, and a restored node trusts it for one
+// replay window.
+
+const { createHash } = require('crypto')
+const patricia = require('../helper/patricia')
+const params = require('../helper/params')
+const serializer = require('./serializer').getSerializer()
+const { state: { snapshot: config } } = require('../config')
+const debug = require('debug')('icetea:snapshot')
+
+const FORMAT = 1
+
+// see OfferSnapshot and ApplySnapshotChunk in ABCI
+const OfferResult = Object.freeze({
+  ACCEPT: 1,
+  ABORT: 2,
+  REJECT: 3,
+  REJECT_FORMAT: 4,
+  REJECT_SENDER: 5
+})
+
+const ApplyResult = Object.freeze({
+  ACCEPT: 1,
+  ABORT: 2,
+  RETRY: 3,
+  RETRY_SNAPSHOT: 4,
+  REJECT_SNAPSHOT: 5
+})
+
+// the snapshot being restored
+let restoring = null
+
+const sha256 = data => createHash('sha256').update(data).digest()
+
+// save the trie entries at a state root as chunks from index 1 on, each chunk as soon as it fills
+const saveStateChunks = async (height, stateRoot, chunkHashes) => {
+  let entries = []
+  let size = 0
+  const flush = async () => {
+    const chunk = serializer.serialize(entries)
+    await patricia.saveSnapshotChunk(height, chunkHashes.length, chunk)
+    chunkHashes.push(sha256(chunk))
+    entries = []
+    size = 0
+  }
+
+  for await (const { key, value } of patricia.createStateReadStream(stateRoot)) {
+    entries.push([key.toString(), value])
+    size += key.length + value.length
+    if (size >= config.chunkSize) {
+      await flush()
+    }
+  }
+  if (entries.length) {
+    await flush()
+  }
+}
+
+/**
+ * check if a snapshot should be taken after committing a block, that is at the end of the epoch in which
+ * a multiple of the snapshot interval falls
+ * @function
+ * @param {number} height - block height
+ * @returns {boolean} is due
+ */
+exports.isDue = height => {
+  const epoch = params.get('election.epoch')
+  return config.interval > 0 && height > 1 && height % epoch === 0 &&
+    Math.floor(height / config.interval) > Math.floor((height - epoch) / config.interval)
+}
+
+/**
+ * take a snapshot of a committed block
+ * @function
+ * @param {object} data - { block, validators, txIndex }, block must have its stateRoot, txIndex is an array of [hash, expireAt]
+ * @returns {object} snapshot info
+ */
+exports.take = async ({ block, validators, txIndex }) => {
+  const header = serializer.serialize({ block, validators, txIndex })
+  const chunkHashes = []
+  try {
+    await patricia.saveSnapshotChunk(block.number, 0, header)
+    chunkHashes.push(sha256(header))
+    await saveStateChunks(block.number, block.stateRoot, chunkHashes)
+  } catch (err) {
+    await patricia.deleteSnapshotChunks(block.number, chunkHashes.length + 1)
+    throw err
+  }
+
+  const snapshot = {
+    height: block.number,
+    format: FORMAT,
+    chunks: chunkHashes.length,
+    hash: sha256(Buffer.concat(chunkHashes)),
+    metadata: Buffer.from(JSON.stringify({
+      stateRoot: block.stateRoot.toString('hex'),
+      chunkHashes: chunkHashes.map(h => h.toString('hex'))
+    }))
+  }
+  await patricia.saveSnapshot(snapshot, config.keepRecent)
+  debug('Snapshot taken', { height: snapshot.height, chunks: snapshot.chunks })
+
+  return snapshot
+}
+
+/**
+ * list available snapshots
+ * @function
+ * @returns {Array} snapshot info
+ */
+exports.list = () => patricia.listSnapshots()
+
+/**
+ * load a chunk of a snapshot
+ * @function
+ * @param {object} req - { height, format, chunk }
+ * @returns {Buffer} chunk, or empty if not found
+ */
+exports.loadChunk = async ({ height, format, chunk }) => {
+  if (format !== FORMAT) {
+    return Buffer.alloc(0)
+  }
+  return (await patricia.getSnapshotChunk(height, chunk)) || Buffer.alloc(0)
+}
+
+/**
+ * start restoring a snapshot offered by tendermint
+ * @function
+ * @param {object} req - { snapshot, appHash }, appHash is the trusted app hash at snapshot height
+ * @returns {number} one of OfferResult
+ */
+exports.offer = ({ snapshot, appHash }) => {
+  restoring = null
+  if (!snapshot || snapshot.format !== FORMAT) {
+    return OfferResult.REJECT_FORMAT
+  }
+
+  let metadata
+  try {
+    metadata = JSON.parse(Buffer.from(snapshot.metadata).toString())
+  } catch (err) {
+    return OfferResult.REJECT
+  }
+
+  const { stateRoot, chunkHashes } = metadata
+  if (!Array.isArray(chunkHashes) || chunkHashes.length !== snapshot.chunks || chunkHashes.length < 1 ||
+    !appHash || stateRoot !== Buffer.from(appHash).toString('hex')) {
+    return OfferResult.REJECT
+  }
+
+  restoring = { height: snapshot.height, stateRoot, chunkHashes, applied: 0, root: undefined, header: undefined }
+  return OfferResult.ACCEPT
+}
+
+// the tx index of a snapshot lists each tx once, and only those not expired at the snapshot block
+const checkTxIndex = (txIndex, block) => {
+  const hashes = new Set()
+  const valid = Array.isArray(txIndex) && txIndex.every(entry => {
+    const [hash, expireAt] = Array.isArray(entry) ? entry : []
+    const unique = typeof hash === 'string' && !hashes.has(hash)
+    hashes.add(hash)
+    return unique && Number.isFinite(expireAt) && expireAt >= block.timestamp
+  })
+  if (!valid) {
+    throw new Error('Snapshot tx index is malformed.')
+  }
+}
+
+/**
+ * apply a chunk of the snapshot being restored, chunks are applied in order
+ * @function
+ * @param {object} req - { index, chunk, sender }
+ * @param {function} restore - called with { block, validators, txIndex } of chunk 0 once the whole state is
+ * restored, to make it the current state, it throws if the snapshot does not match the state
+ * @returns {object} { result, refetchChunks, rejectSenders }, result is one of ApplyResult
+ */
+exports.applyChunk = async ({ index, chunk, sender }, restore) => {
+  if (!restoring) {
+    return { result: ApplyResult.ABORT }
+  }
+  if (index !== restoring.applied) {
+    return { result: ApplyResult.RETRY_SNAPSHOT }
+  }
+
+  if (sha256(chunk).toString('hex') !== restoring.chunkHashes[index]) {
+    return { result: ApplyResult.RETRY, refetchChunks: [index], rejectSenders: sender ? [sender] : [] }
+  }
+
+  try {
+    const data = serializer.deserialize(chunk)
+    if (index === 0) {
+      const { block } = data
+      if (block.number !== restoring.height || Buffer.from(block.stateRoot).toString('hex') !== restoring.stateRoot) {
+        throw new Error('Snapshot block does not match the snapshot.')
+      }
+      checkTxIndex(data.txIndex, block)
+      restoring.header = data
+    } else {
+      restoring.root = await patricia.restoreStateEntries(restoring.root, data)
+    }
+    restoring.applied++
+
+    if (restoring.applied === restoring.chunkHashes.length) {
+      if (!restoring.root || restoring.root.toString('hex') !== restoring.stateRoot) {
+        throw new Error('Restored state does not match the snapshot state root.')
+      }
+      await restore(restoring.header)
+      debug('Snapshot restored', { height: restoring.height })
+      restoring = null
+    }
+  } catch (err) {
+    debug(err)
+    restoring = null
+    return { result: ApplyResult.REJECT_SNAPSHOT }
+  }
+
+  return { result: ApplyResult.ACCEPT }
+}
+
+exports.FORMAT = FORMAT
+exports.OfferResult = OfferResult
+exports.ApplyResult = ApplyResult
@@ -1,26 +1,163 @@
+const _ = require('lodash')
 const config = require('../config')
 // const merkle = require('./helper/merkle')
 const patricia = require('../helper/patricia')
 const EventEmitter = require('events')
 const stateProxy = require('./stateproxy')
 const utils = require('../helper/utils')
+const errors = require('../helper/errors')
+const forks = require('../helper/forks')
+const snapshot = require('./snapshot')
+const pruning = require('./pruning')
+const lazyTable = require('./lazytable')
+const sysconNames = require('../syscon/sysconnames')
+const debug = require('debug')('icetea:state')
 
 // Declare outside class to ensure private
-let stateTable, lastBlock, validators, txHashes
+let stateTable, lastBlock, validators
+
+// the lazy table behind stateTable, see lazytable.js
+let table
+
+// replay protection: tx sigHash => expireAt (ms), only txs not yet expired are kept
+let txIndex = new Map()
+// txs added/expired since last persist
+const newTxs = new Map()
+// txs added by the running isolated run, to take them back if it is discarded, see runIsolated
+let addedTxs = null
 
 // address key need to commit on write opts
 const needCommitKeys = new Set()
 
+// storage changed since last persist: address => Map of changed top-level key => its value at last persist
+// as { exists, value }, null if the whole storage was replaced
+// committed values are never changed since storage drafts copy on write, so they are kept by reference
+const storageChanges = new Map()
+
+// fees paid in current block, to be distributed as rewards
+let collectedFees = BigInt(0)
+
+// receipts of txs in current block, saved when the block is committed
+let receipts = []
+
+// system contracts are read by almost every block, so they are never evicted
+const PINNED_ADDRESSES = Object.values(sysconNames)
+
 class StateManager extends EventEmitter {
   async load (path) {
-    const storedData = (await patricia.load(path)) || {
-      state: initStateTable()
+    const storedData = (await patricia.load(path)) || {}
+    newStateTable(storedData.root)
+    if (storedData.root) {
+      await table.load(PINNED_ADDRESSES)
+    } else {
+      initStateTable()
     }
 
-    stateTable = storedData.state
     lastBlock = storedData.block
     validators = storedData.validators
-    txHashes = storedData.txHashes || []
+    txIndex = storedData.txIndex || new Map()
+  }
+
+  /**
+   * make the state of a restored snapshot the current state, see snapshot.applyChunk
+   * The snapshot is taken at an epoch end, so its validators must be the ones elected by its state.
+   * @param {object} header - { block, validators, txIndex } of the snapshot, block has its stateRoot
+   * @param {function} elect - computes the validators elected by the current state, like App.endBlock does
+   */
+  async restoreSnapshot ({ block, validators: snapshotValidators, txIndex: snapshotTxIndex }, elect) {
+    const saved = { table, lastBlock }
+    try {
+      newStateTable(block.stateRoot)
+      lastBlock = Object.freeze(block)
+      await table.load(PINNED_ADDRESSES)
+      if (!_.isEqual(elect(), snapshotValidators)) {
+        throw new Error('Snapshot validators are not the ones elected by its state.')
+      }
+      await patricia.saveRestoredSnapshot({ block, validators: snapshotValidators, txIndex: snapshotTxIndex })
+    } catch (err) {
+      table = saved.table
+      stateTable = table.state
+      lastBlock = saved.lastBlock
+      throw err
+    }
+
+    validators = snapshotValidators
+    txIndex = new Map(snapshotTxIndex)
+    needCommitKeys.clear()
+    storageChanges.clear()
+    newTxs.clear()
+    collectedFees = BigInt(0)
+    receipts = []
+  }
+
+  /**
+   * Load the accounts a function reads, so that it could later run synchronously on loaded state.
+   * Reading an account which is not loaded gives undefined, so the function runs again after loading the
+   * accounts it missed, until it misses none. It must not change state.
+   * @param {function} fn - function to run, could be async
+   * @returns {*} result of the last run, which read loaded state only
+   */
+  async prefetch (fn) {
+    while (true) {
+      const misses = new Map()
+      let result, error
+      try {
+        result = await lazyTable.track(misses, fn)
+      } catch (err) {
+        error = err
+      }
+
+      if (!misses.size) {
+        if (error) throw error
+        return result
+      }
+      await lazyTable.loadMisses(misses)
+    }
+  }
+
+  /**
+   * Run a function which changes state, after loading the accounts it reads.
+   * It runs on a throwaway copy of state, which is kept if the run read loaded accounts only. Otherwise the run
+   * is discarded and the function runs again after loading the accounts it missed, so it runs once when the
+   * accounts it reads are cached or given as keys.
+   * @param {function} fn - function to run, must be synchronous
+   * @param {Array.<string>} [keys] - addresses fn is known to read, e.g. the tx sender, loaded before it runs
+   * @returns {*} result of the run which is kept
+   */
+  async execute (fn, keys = []) {
+    await table.load(keys)
+
+    while (true) {
+      const misses = new Map()
+      let result, error
+      try {
+        result = lazyTable.track(misses, () => runIsolated(fn, () => !misses.size))
+      } catch (err) {
+        error = err
+      }
+
+      if (!misses.size) {
+        if (error) throw error
+        return result
+      }
+      await lazyTable.loadMisses(misses)
+    }
+  }
+
+  /**
+   * roll back to the state of a past block, blocks after it must be executed again
+   * @param {number} height - block height
+   * @returns {object} the block rolled back to
+   */
+  async rollback (height) {
+    const block = await patricia.rollback(height)
+    needCommitKeys.clear()
+    storageChanges.clear()
+    newTxs.clear()
+    receipts = []
+    collectedFees = BigInt(0)
+    await this.load()
+    return block
   }
 
   async getLastState () {
@@ -82,14 +219,47 @@ class StateManager extends EventEmitter {
 
     const tempCommitKeys = [...needCommitKeys]
     needCommitKeys.clear()
+    const tempStorageChanges = new Map(storageChanges)
+    storageChanges.clear()
+
+    const tempNewTxs = new Map(newTxs)
+    newTxs.clear()
+    // before the replayWindow fork, txs are not checked against the window, so their hashes are kept
+    const expiredTxs = forks.isActive('replayWindow', lastBlock.number) ? pruneTxIndex(lastBlock.timestamp) : new Map()
+
+    const blockReceipts = receipts
+    receipts = []
 
     const appHash = await patricia.save({
       block: lastBlock,
       state: stateTable,
       validators,
       commitKeys: tempCommitKeys,
-      txHashes
+      storageChanges: tempStorageChanges,
+      newTxs: tempNewTxs,
+      expiredTxs,
+      receipts: blockReceipts
     })
+    // changes are in the trie now, so they could be evicted
+    table.setRoot(appHash)
+    table.evict()
+
+    if (snapshot.isDue(lastBlock.number)) {
+      // the trie at appHash does not change, so the snapshot is taken in background
+      snapshot.take({
+        block: { ...lastBlock, stateRoot: appHash },
+        validators,
+        txIndex: [...txIndex]
+      }).catch(err => debug('Failed to take snapshot', err))
+    }
+
+    try {
+      await pruning.afterCommit(lastBlock.number, appHash)
+    } catch (err) {
+      // pruning only deletes garbage, it is fine to retry next time
+      debug('Failed to prune state', err)
+    }
+
     // return, no need to wait for save to finish
     return appHash
   }
@@ -97,33 +267,57 @@ class StateManager extends EventEmitter {
   handleTransfer (tx) {
     (tx.value + tx.fee) && decBalance(tx.payer, tx.value + tx.fee)
     tx.value && incBalance(tx.to, tx.value)
-    tx.fee && incBalance(config.feeCollector, tx.fee)
+    if (tx.fee) {
+      incBalance(utils.feeCollector(), tx.fee)
+      collectedFees += BigInt(tx.fee)
+    }
+  }
+
+  // get fees collected since last call and reset the counter
+  takeCollectedFees () {
+    const fees = collectedFees
+    collectedFees = BigInt(0)
+    return fees
   }
 
   produceDraft () {
     // return _.cloneDeep(stateTable)
-    return stateProxy.getStateProxy(stateTable)
+    return stateProxy.getStateProxy(stateTable, lastBlock ? lastBlock.number : 0)
   }
 
-  applyDraft (patch) {
+  validateDraft (patch) {
     const balances = patch.balances
     if (balances) {
       Object.keys(balances).forEach(addr => {
         const value = balances[addr]
         if (value < 0) {
-          throw new Error(`Account ${addr} does not have enough balance, need at least ${-value} more.`)
+          throw errors.create('INSUFFICIENT_BALANCE', { address: addr, shortfall: -value },
+            `Account ${addr} does not have enough balance, need at least ${-value} more.`)
         }
       })
     }
+    return this
+  }
+
+  applyDraft (patch) {
+    this.validateDraft(patch)
 
     // utils.mergeStateTables(stateTable, draft)
-    Object.keys(patch.storages).map(key => needCommitKeys.add(key))
+    // storage drafts of contracts which were only read are left out
+    Object.keys(patch.storageKeys || {}).map(key => needCommitKeys.add(key))
     Object.keys(patch.balances).map(key => needCommitKeys.add(key))
     Object.keys(patch.deployedContracts).map(key => needCommitKeys.add(key))
+    Object.keys(patch.nonces || {}).map(key => needCommitKeys.add(key))
+    Object.keys(patch.storageKeys || {}).map(key => touchStorage(key, patch.storageKeys[key]))
+    Object.keys(patch.deployedContracts).map(key => touchStorage(key, null))
+    if (patch.fees) {
+      collectedFees += patch.fees.collected
+    }
     stateProxy.applyChanges(stateTable, patch)
     return this
   }
 
+  // observers see every run, including the ones execute discards to load the accounts they missed
   beginCheckpoint () {
     this.emit('beginCheckpoint', stateTable)
   }
@@ -132,6 +326,25 @@ class StateManager extends EventEmitter {
     this.emit('endCheckpoint', stateTable)
   }
 
+  /**
+   * replace the initial state with the state of a genesis file, before any block
+   * @param {object} state - state table
+   */
+  importGenesisState (state) {
+    if (lastBlock) {
+      throw new Error('Genesis state can only be imported before the first block.')
+    }
+
+    newStateTable()
+    needCommitKeys.clear()
+    storageChanges.clear()
+    Object.keys(state).forEach(key => {
+      stateTable[key] = state[key]
+      needCommitKeys.add(key)
+      touchStorage(key, null)
+    })
+  }
+
   installSystemContract (address) {
     if (stateTable[address] && stateTable[address].deployedBy) {
       throw new Error(`Contract ${address} already installed.`)
@@ -142,6 +355,8 @@ class StateManager extends EventEmitter {
       deployedBy: 'system'
     })
     needCommitKeys.add(address)
+    // ondeploy of system contracts sets the storage directly
+    touchStorage(address, null)
 
     return stateTable[address]
   }
@@ -178,37 +393,89 @@ class StateManager extends EventEmitter {
   }
 
   async balanceOf (addr, height) {
-    const state = stateTable || {}
+    let state = (stateTable || {})[addr]
     if (height) {
       const block = await patricia.getBlockByHeight(height)
-      if (block.stateRoot) {
-        const stateFromTrie = await patricia.getStateByKey(addr, block.stateRoot)
-        if (stateFromTrie) {
-          state[addr] = stateFromTrie
-        }
+      if (block && block.stateRoot) {
+        // do not put it into stateTable, it is not the current state
+        state = await patricia.getStateByKey(addr, block.stateRoot)
       }
     }
-    return (state[addr] || {}).balance || 0
+    return (state || {}).balance || 0
   }
 
-  getContractAddresses () {
-    return Object.keys(stateTable).reduce((prev, addr) => {
-      if (this.isContract(addr)) {
-        prev.unshift(addr)
+  /**
+   * read and prove an account at a height, and a path of its storage if asked
+   * @param {string} addr - address
+   * @param {number} [height] - block height, the last block if omitted
+   * @param {Array.<string>} [storagePath] - storage path
+   * @returns {object} { height, stateRoot, account, proof, storage }, storage is { path, value, proofs } as
+   * returned by patricia.proveStorage, null if the account proof proves the storage
+   */
+  async proveAccount (addr, height, storagePath) {
+    const block = height ? await patricia.getBlockByHeight(height) : await patricia.getLastBlock()
+    if (!block || !block.stateRoot) {
+      throw new Error(`No committed state found${height ? ` at height ${height}` : ''}.`)
+    }
+
+    const account = await patricia.getStateByKey(addr, block.stateRoot)
+    if (!account) {
+      // the trie cannot prove absence, so just tell the client
+      throw new Error(`Account ${addr} does not exist at height ${block.number}.`)
+    }
+
+    const proof = await patricia.prove(addr, block.stateRoot)
+    const storage = storagePath == null ? undefined : await patricia.proveStorage(addr, storagePath, block.stateRoot)
+    return { height: block.number, stateRoot: block.stateRoot, account, proof, storage }
+  }
+
+  /**
+   * read the accounts of the current state one by one, without loading the whole state in memory
+   * @param {function} fn - called with (address, account) of each account in no particular order, could be async
+   * @param {object} [options] - { storage }, storage also reads the storage of accounts, which is slow
+   */
+  forEachAccount (fn, options) {
+    return table.forEach(fn, options)
+  }
+
+  /**
+   * load accounts from the state trie before reading them, instead of missing them one at a time
+   * @param {Array.<string>} addresses - addresses
+   */
+  loadAccounts (addresses) {
+    return table.load(addresses)
+  }
+
+  async getContractAddresses () {
+    const addresses = []
+    await this.forEachAccount((addr, account) => {
+      if (account.src || account.system) {
+        addresses.unshift(addr)
       }
-      return prev
-    }, [])
+    })
+    return addresses
   }
 
+  /**
+   * dump the whole state for debugging, it is slow for a large state, query a page of it with app.debugState instead
+   * @param {number} [height] - block height, current state if omitted
+   * @returns {object} map of address => account
+   */
   async debugState (height) {
     if (utils.envDevEnabled('DEBUG_STATE')) {
+      const state = {}
+      const add = (addr, account) => {
+        state[addr] = account
+      }
       if (height) {
         const block = await patricia.getBlockByHeight(height)
         if (block.stateRoot) {
-          return patricia.getStateTable(block.stateRoot)
+          await patricia.forEachAccount(block.stateRoot, add, { storage: true })
+          return state
         }
       }
-      return stateTable
+      await this.forEachAccount(add, { storage: true })
+      return state
     }
 
     return {
@@ -216,26 +483,126 @@ class StateManager extends EventEmitter {
     }
   }
 
+  /**
+   * add the receipt of a tx executed in current block, its height and index are set here
+   * @param {object} receipt - receipt
+   */
+  addReceipt (receipt) {
+    receipts.push(Object.assign(receipt, { height: lastBlock.number, index: receipts.length }))
+  }
+
+  getReceipt (hash) {
+    return patricia.getReceipt(hash)
+  }
+
+  queryEvents (options) {
+    return patricia.queryEvents(options)
+  }
+
   onNewTx (tx) {
-    txHashes.push(tx.sigHash)
+    // after this, the nonce is out of replay window and checkTx rejects the tx anyway
+    // txs applied before the replayWindow fork could have any nonce, a non-numeric one is rejected from the fork on
+    const nonce = Number(tx.nonce)
+    const expireAt = Math.ceil((Number.isFinite(nonce) ? nonce : lastBlock.timestamp) + config.replay.window)
+    addedTxs && addedTxs.push(tx.sigHash)
+    txIndex.set(tx.sigHash, expireAt)
+    newTxs.set(tx.sigHash, expireAt)
   }
 
   doesTxExist (txHash) {
-    return txHashes.includes(txHash)
+    return txIndex.has(txHash)
   }
 }
 
 // Private stuff
 
+function pruneTxIndex (now) {
+  const expiredTxs = new Map()
+  txIndex.forEach((expireAt, hash) => {
+    if (expireAt < now) {
+      txIndex.delete(hash)
+      expiredTxs.set(hash, expireAt)
+    }
+  })
+  return expiredTxs
+}
+
+function newStateTable (root) {
+  table = lazyTable.create({
+    root,
+    capacity: config.state.cacheSize,
+    isPinned: key => needCommitKeys.has(key) || PINNED_ADDRESSES.includes(key) || key === utils.feeCollector()
+  })
+  stateTable = table.state
+}
+
 function initStateTable () {
-  return config.initialBalances.reduce((stateTable, item) => {
+  config.initialBalances.forEach(item => {
     stateTable[item.address] = {
       balance: BigInt(item.balance)
     }
     needCommitKeys.add(item.address)
+  })
+}
 
-    return stateTable
-  }, {})
+// run a function on a throwaway copy of state, changes it makes to state or pending block data are discarded
+// unless keep tells to keep them when it ends
+function runIsolated (fn, keep) {
+  const saved = {
+    lastBlock,
+    validators,
+    // a tx is added only if it is not in txIndex yet, so taking back the added ones restores them
+    txIndex,
+    needCommitKeys: [...needCommitKeys],
+    storageChanges: [...storageChanges].map(([addr, changes]) => [addr, changes && new Map(changes)]),
+    collectedFees,
+    receipts: receipts.slice()
+  }
+
+  const added = addedTxs = []
+  table.isolate()
+  try {
+    return fn()
+  } finally {
+    addedTxs = null
+    const kept = keep()
+    table.endIsolate(kept)
+
+    if (!kept) {
+      lastBlock = saved.lastBlock
+      validators = saved.validators
+      txIndex = saved.txIndex
+      added.forEach(hash => {
+        txIndex.delete(hash)
+        newTxs.delete(hash)
+      })
+      needCommitKeys.clear()
+      saved.needCommitKeys.forEach(key => needCommitKeys.add(key))
+      storageChanges.clear()
+      saved.storageChanges.forEach(([addr, changes]) => storageChanges.set(addr, changes))
+      collectedFees = saved.collectedFees
+      receipts = saved.receipts
+    }
+  }
+}
+
+// record storage keys of a contract to commit, keys is null if the whole storage was replaced
+// it must be called before the changes are applied, so that the committed values are kept
+function touchStorage (addr, keys) {
+  const changes = storageChanges.get(addr)
+  if (keys === null || changes === null) {
+    storageChanges.set(addr, null)
+    return
+  }
+
+  const storage = (stateTable[addr] || {}).storage || {}
+  const touched = changes || new Map()
+  keys.forEach(key => {
+    if (!touched.has(key)) {
+      touched.set(key, { exists: Object.prototype.hasOwnProperty.call(storage, key), value: storage[key] })
+    }
+  })
+  storageChanges.set(addr, touched)
 }
 
 function incBalance (addr, delta) {
@@ -247,7 +614,7 @@ function incBalance (addr, delta) {
   const state = stateTable[addr] || (stateTable[addr] = {})
   const balance = state.balance || BigInt(0)
   if (balance + delta < BigInt(0)) {
-    throw new Error('Not enough balance')
+    throw errors.create('INSUFFICIENT_BALANCE', { address: addr, required: -delta, available: balance })
   }
   state.balance = balance + delta
 
@@ -1,12 +1,19 @@
 const _ = require('lodash')
 const { query } = require('query')
-const config = require('../config')
 // const { deepFreeze, validateAddress } = require('../helper/utils')
-const { validateAddress } = require('../helper/utils')
+const { validateAddress, codeHash, feeCollector } = require('../helper/utils')
 const stateSerializer = require('./serializer').getSerializer()
+const errors = require('../helper/errors')
+const storageDraft = require('./storagedraft')
+const forks = require('../helper/forks')
 
 const { ecc, codec } = require('@iceteachain/common')
 
+const MAX_SALT_LENGTH = 64
+
+// addresses read ahead while skipping legacy contract addresses, see _nextNonce
+const NONCE_LOOKAHEAD = 16
+
 // This class purpose is to improve performance
 // By reduce the amount of deepClone when state is large
 
@@ -39,31 +46,42 @@ const _checkCustomizer = customizer => {
 const _makeNotAllowed = (operations, mode = 'view') => {
   return operations.reduce((funcs, op) => {
     funcs.push(() => {
-      throw new Error(`${op} is not allowed in '${mode}' mode.`)
+      throw errors.create('NOT_ALLOWED_IN_MODE', { operation: op, mode })
     })
     return funcs
   }, [])
 }
 
-const _generateContractAddress = (deployedBy, stateTable) => {
-  // make new address for smart contract
-  // should be deterministic
+// address of the contract deployed by deployedBy with its deploy nonce,
+// same format as the former deploy-count addresses so existing contracts keep theirs
+const _nonceContractAddress = (deployedBy, nonce) => {
+  return ecc.toContractAddress(nonce + '_' + deployedBy)
+}
 
-  // TODO: change this
+// CREATE2-style address, src is the contract source as sent in tx (Buffer or base64 string), not the compiled one
+const _saltedContractAddress = (deployedBy, salt, src) => {
+  if (typeof salt !== 'string' || !salt.length || salt.length > MAX_SALT_LENGTH) {
+    throw errors.create('INVALID_SALT', { salt, maxLength: MAX_SALT_LENGTH },
+      `Contract salt must be a non-empty string of at most ${MAX_SALT_LENGTH} characters.`)
+  }
+  if (!src) {
+    throw errors.create('INVALID_SALT', { salt }, 'Contract source is required to derive a salted contract address.')
+  }
 
-  const count = Object.keys(stateTable).reduce((t, k) => (
-    (stateTable[k].src && stateTable[k].deployedBy === deployedBy) ? (t + 1) : t
-  ), 0)
+  const srcBuffer = typeof src === 'string' ? Buffer.from(src, 'base64') : src
+  return ecc.toContractAddress(['salt', deployedBy, salt, codeHash(srcBuffer)].join('_'))
+}
 
-  const id = count + '_' + deployedBy
-  return ecc.toContractAddress(id)
+const _isDeployed = (addr, { stateTable, deployedContracts }) => {
+  const state = deployedContracts[addr] || stateTable[addr]
+  return !!state && !!(state.src || state.system)
 }
 
 const _srcFor = (contractAddress, { stateTable, deployedContracts }, errorMessage) => {
   const state = (deployedContracts && deployedContracts[contractAddress]) ||
         (stateTable && stateTable[contractAddress])
   if (!state || !(state.src || state.system)) {
-    throw new Error(errorMessage || `The address specified is not a valid deployed contract: ${contractAddress}`)
+    throw errors.create('CONTRACT_NOT_FOUND', { address: contractAddress }, errorMessage)
   }
 
   return {
@@ -78,45 +96,37 @@ const _srcFor = (contractAddress, { stateTable, deployedContracts }, errorMessag
 const _stateforAddress = (contractAddress, readonly, {
   stateTable,
   storages,
+  storageKeys,
+  freezesState,
   _incBalance
 }) => {
-  let storage = storages[contractAddress]
-
-  if (!storage) {
-    const contractStorage = (stateTable[contractAddress] || {}).storage
-    if (contractStorage) {
-      // consider using immer instead of cloneDeep to improve performance
-      // or use serialization to avoid the Proxy which often introduces problems
-      // or don't allow regular object access (like ImmutableJS),
-      // which make state objects less "suger" but more controllable without Proxy
-      // in the end, should consider write-on-copy somehow
-      // storage = contractStorage.system ? contractStorage : _.cloneDeep(contractStorage)
-      // storage = contractStorage
-      storage = _.cloneDeep(contractStorage)
-      storages[contractAddress] = storage
-    }
-    // if (readonly && storage && !storage.system) {
-    //   deepFreeze(storage) // this is a trade-off, dev (debug) over user (performance)
-    // }
-  }
+  // shared by view and update access of the contract, so both see changes made so far
+  // the committed storage is never changed, a write copies only the objects along its path, see storagedraft
+  const draft = storages[contractAddress] ||
+    (storages[contractAddress] = storageDraft.create((stateTable[contractAddress] || {}).storage))
 
+  // callers could change values handed out, so they are deep frozen from the frozenState fork, see storagedraft.share,
+  // and deep cloned before it
   const getState = (path, defaultValue) => {
+    const storage = draft.current
     if (!storage) return defaultValue
     const v = _.get(storage, _checkPath(path))
     if (v === undefined) return defaultValue
-    return _.cloneDeep(v)
+    return freezesState ? storageDraft.share(v) : _.cloneDeep(v)
   }
 
   const hasState = path => {
+    const storage = draft.current
     if (!storage) return false
     return _.has(storage, _checkPath(path))
   }
 
   const getStateKeys = ({ path, filter } = {}) => {
-    const o = path == null ? storage : getState(path)
+    const o = path == null ? draft.current : getState(path)
     if (o == null) return []
 
-    const keys = Object.keys(o)
+    // top-level keys are loaded from the storage trie in its own order, sort them to be the same on every node
+    const keys = path == null ? Object.keys(o).sort() : Object.keys(o)
     if (filter && typeof filter !== 'function') {
       throw new Error('Filter is not a function.')
     }
@@ -241,7 +251,10 @@ const _stateforAddress = (contractAddress, readonly, {
         'minBy',
         'maxBy'].forEach(name => call(group, name, true))
 
-      call(group, 'reverse', false)
+      if (group.reverse) {
+        // results could be the stored array, which is frozen
+        results = freezesState ? results.slice().reverse() : results.reverse()
+      }
 
       let rawLength = 0
       if (Array.isArray(results)) {
@@ -281,14 +294,19 @@ const _stateforAddress = (contractAddress, readonly, {
     [transfer, setState, deleteState, ensureState, invokeState, patchState, mergeState] =
       _makeNotAllowed(['transfer', 'setState', 'deleteState', 'ensureState', 'invokeState', 'patchState', 'mergeState'])
   } else {
+    // only storage keys changed are committed, see patricia.save
+    const touch = path => {
+      const keys = storageKeys[contractAddress] || (storageKeys[contractAddress] = new Set())
+      keys.add(String(path[0]))
+    }
+
     setState = (path, value, customizer) => {
       path = _checkPath(path)
-      if (!storage) {
-        storage = {}
-        storages[contractAddress] = storage
-      }
+      touch(path)
+      const storage = draft.writable(path.slice(0, -1))
       if (typeof value === 'function') {
-        _.updateWith(storage, path, oldValue => stateSerializer.sanitize(value(oldValue)), _checkCustomizer(customizer))
+        // the old value could be shared with the committed storage, so the function gets a copy to change
+        _.updateWith(storage, path, oldValue => stateSerializer.sanitize(value(_.cloneDeep(oldValue))), _checkCustomizer(customizer))
       } else {
         const newValue = stateSerializer.sanitize(value)
         _.setWith(storage, path, newValue, _checkCustomizer(customizer))
@@ -297,10 +315,8 @@ const _stateforAddress = (contractAddress, readonly, {
 
     mergeState = (path, value, customizer) => {
       path = _checkPath(path)
-      if (!storage) {
-        storage = { }
-        storages[contractAddress] = storage
-      }
+      touch(path)
+      const storage = draft.writable(path.slice(0, -1))
       _.updateWith(
         storage,
         path,
@@ -327,7 +343,13 @@ const _stateforAddress = (contractAddress, readonly, {
     // e.g. push to a Set
     // invokeState('key', new Set(), 'add', 'some value')
     invokeState = (path, initialValue, funcName, ...args) => {
-      const o = ensureState(path, initialValue)
+      let o = ensureState(path, initialValue)
+      if (freezesState && o != null && typeof o === 'object') {
+        // the value handed out is frozen, invoke on the draft's own copy instead, which changes the storage
+        path = _checkPath(path)
+        touch(path)
+        o = _.get(draft.writable(path), path)
+      }
       if (o != null && typeof o[funcName] === 'function') {
         return o[funcName](...stateSerializer.sanitize(args))
       }
@@ -336,16 +358,18 @@ const _stateforAddress = (contractAddress, readonly, {
     }
 
     deleteState = (path, subKeys) => {
-      if (!storage) return false
+      if (!draft.current) return false
 
       path = _checkPath(path)
 
       if (subKeys == null) {
-        return _.unset(storage, path)
+        touch(path)
+        return _.unset(draft.writable(path.slice(0, -1)), path)
       }
 
-      const o = _.get(storage, path)
-      if (o == null) return false
+      if (_.get(draft.current, path) == null) return false
+      touch(path)
+      const o = _.get(draft.writable(path), path)
 
       let deleted = false
       subKeys.forEach(key => {
@@ -419,6 +443,12 @@ const _stateforAddress = (contractAddress, readonly, {
   }
 }
 
+// replace the content of a patch object in place, since the patch and proxies hold it
+const _restore = (target, saved) => {
+  Object.keys(target).forEach(key => delete target[key])
+  Object.assign(target, saved)
+}
+
 const getMetaProxy = (stateTable) => {
   return {
     tools: {
@@ -427,15 +457,23 @@ const getMetaProxy = (stateTable) => {
   }
 }
 
-const getStateProxy = (stateTable) => {
+// height is of the block the draft is for, to check forks
+const getStateProxy = (stateTable, height) => {
+  // deploy nonces are stored in the deployer account from the contractAddress fork, see _nextNonce
+  const keepsNonces = forks.isActive('contractAddress', height)
+  const freezesState = forks.isActive('frozenState', height)
   const balances = {}
+  // storage drafts, see storagedraft
   const storages = {}
+  const storageKeys = {}
   const deployedContracts = {}
+  const nonces = {}
+  const fees = { collected: BigInt(0) }
 
   const _incBalance = (addr, value) => {
     validateAddress(addr)
     if (codec.isRegularAddress(addr)) {
-      throw new Error('Cannot transfer to regular account.')
+      throw errors.create('TRANSFER_TO_REGULAR_ACCOUNT', { address: addr })
     }
 
     if (!value) return
@@ -455,20 +493,130 @@ const getStateProxy = (stateTable) => {
     return (deployedContracts[addr] || stateTable[addr] || {}).balance || BigInt(0)
   }
 
-  const deployContract = (deployedBy, state) => {
-    const contractAddress = _generateContractAddress(deployedBy, stateTable)
-    deployedContracts[contractAddress] = state
+  // first nonce from start whose address is not taken by a contract in tables
+  const _firstFreeNonce = (deployedBy, start, tables) => {
+    let nonce = start
+    while (_isDeployed(_nonceContractAddress(deployedBy, nonce), tables)) {
+      // each address read from the trie on demand costs a run, so read the next ones too to load them together
+      if ((nonce - start) % NONCE_LOOKAHEAD === 0) {
+        for (let i = 1; i <= NONCE_LOOKAHEAD; i++) {
+          _isDeployed(_nonceContractAddress(deployedBy, nonce + i), tables)
+        }
+      }
+      nonce++
+    }
+    return nonce
+  }
+
+  const _nextNonce = deployedBy => {
+    if (!keepsNonces) {
+      // the old rule: the number of contracts deployed by deployedBy, which take the first addresses,
+      // contracts deployed earlier in the same tx are not counted
+      return _firstFreeNonce(deployedBy, 0, { stateTable, deployedContracts: {} })
+    }
+
+    const nonce = Object.prototype.hasOwnProperty.call(nonces, deployedBy)
+      ? nonces[deployedBy]
+      : ((deployedContracts[deployedBy] || stateTable[deployedBy] || {}).deployNonce || 0)
+
+    // skip addresses taken by contracts deployed before deploy nonces were kept
+    return _firstFreeNonce(deployedBy, nonce, { stateTable, deployedContracts })
+  }
+
+  // address of the next contract deployed by deployedBy, with a salt it does not depend on the deploy nonce
+  // salts are ignored before the contractAddress fork, as they were before they existed
+  const contractAddressOf = (deployedBy, { salt, src } = {}) => {
+    if (salt != null && keepsNonces) {
+      return _saltedContractAddress(deployedBy, salt, src)
+    }
+    return _nonceContractAddress(deployedBy, _nextNonce(deployedBy))
+  }
+
+  const deployContract = (deployedBy, state, { salt, src } = {}) => {
+    let contractAddress
+    if (salt != null && keepsNonces) {
+      contractAddress = _saltedContractAddress(deployedBy, salt, src)
+      if (_isDeployed(contractAddress, { stateTable, deployedContracts })) {
+        throw errors.create('CONTRACT_ALREADY_DEPLOYED', { address: contractAddress })
+      }
+    } else {
+      const nonce = _nextNonce(deployedBy)
+      if (keepsNonces) {
+        nonces[deployedBy] = nonce + 1
+      }
+      contractAddress = _nonceContractAddress(deployedBy, nonce)
+    }
+
+    // keep the balance sent to the address before the contract is deployed
+    const { balance } = stateTable[contractAddress] || {}
+    deployedContracts[contractAddress] = balance ? { ...state, balance } : state
     return contractAddress
   }
 
+  // replace code of a deployed contract, storage and balance are kept as is
+  const upgradeContract = (contractAddress, { src, mode, meta, ...props }) => {
+    _srcFor(contractAddress, { stateTable, deployedContracts })
+    const old = deployedContracts[contractAddress] || stateTable[contractAddress]
+    const state = _.omit(old, ['src', 'mode', 'meta'])
+    state.src = src
+    if (mode) {
+      state.mode = mode
+    }
+    if (meta) {
+      state.meta = meta
+    }
+    deployedContracts[contractAddress] = Object.assign(state, props)
+  }
+
   const refectTxValueAndFee = tx => {
     (tx.value + tx.fee) && _incBalance(tx.payer, -tx.value - tx.fee)
     tx.value && _incBalance(tx.to, tx.value)
-    tx.fee && _incBalance(config.feeCollector, tx.fee)
+    if (tx.fee) {
+      _incBalance(feeCollector(), tx.fee)
+      fees.collected += BigInt(tx.fee)
+    }
+  }
+
+  // run fn in a nested draft, its changes are kept if it returns and discarded if it throws,
+  // so a contract could catch the error of a contract it calls and go on
+  // events emitted by fn are dropped with its changes
+  const checkpoint = (fn, events) => {
+    const saved = {
+      balances: { ...balances },
+      nonces: { ...nonces },
+      deployedContracts: { ...deployedContracts },
+      storageKeys: _.mapValues(storageKeys, keys => new Set(keys)),
+      // later writes copy again, so the storages saved stay as they are
+      // only drafts written since the last checkpoint own objects, each of their paths written again is copied
+      // once more, one shallow copy per object along the path, drafts not written since then copy nothing
+      storages: _.mapValues(storages, draft => draft.finish()),
+      collected: fees.collected,
+      eventCount: events ? events.length : 0
+    }
+
+    try {
+      return fn()
+    } catch (err) {
+      _restore(balances, saved.balances)
+      _restore(nonces, saved.nonces)
+      _restore(deployedContracts, saved.deployedContracts)
+      _restore(storageKeys, saved.storageKeys)
+      Object.keys(storages).forEach(addr => {
+        if (Object.prototype.hasOwnProperty.call(saved.storages, addr)) {
+          storages[addr].restore(saved.storages[addr])
+        } else {
+          // created by fn, back to the committed storage
+          storages[addr].restore()
+        }
+      })
+      fees.collected = saved.collected
+      events && events.splice(saved.eventCount)
+      throw err
+    }
   }
 
   const forAddress = (contractAddress, readonly) => {
-    return _stateforAddress(contractAddress, readonly, { stateTable, storages, _incBalance })
+    return _stateforAddress(contractAddress, readonly, { stateTable, storages, storageKeys, freezesState, _incBalance })
   }
 
   const cacheView = {}
@@ -485,24 +633,42 @@ const getStateProxy = (stateTable) => {
     },
     patch: {
       deployedContracts, // newly deployed contracts
-      storages, // storage of own contract (for contract calls)
+      nonces, // deploy nonces of deployers
+      fees, // fees paid, refunds deducted
+      storages, // storage drafts of own contract (for contract calls)
+      storageKeys, // top-level storage keys changed, as a Set for each contract
       balances // balance changes, for transfer
     },
     tools: {
       getCode: (contractAddress, errorMessage) => _srcFor(contractAddress, { stateTable, deployedContracts }, errorMessage),
       balanceOf,
+      contractAddressOf,
       deployContract,
-      refectTxValueAndFee
+      upgradeContract,
+      refectTxValueAndFee,
+      checkpoint,
+      // for the node only, e.g. to mint block rewards
+      mint: _incBalance
     }
   }
 }
 
-const applyChanges = (stateTable, { deployedContracts, storages, balances }) => {
+const applyChanges = (stateTable, { deployedContracts, nonces, storages, balances }) => {
   Object.assign(stateTable, deployedContracts)
 
+  if (nonces) {
+    Object.keys(nonces).forEach(addr => {
+      stateTable[addr] = stateTable[addr] || {}
+      stateTable[addr].deployNonce = nonces[addr]
+    })
+  }
+
   Object.keys(storages).forEach(addr => {
-    // Because we deep cloned, should be ok with direct assignment, no need for _.merge?
-    stateTable[addr].storage = storages[addr]
+    const storage = storages[addr].finish()
+    // untouched drafts of contracts which were only read have nothing to apply
+    if (storage !== (stateTable[addr] || {}).storage) {
+      stateTable[addr].storage = storage
+    }
   })
 
   if (balances) {
@@ -0,0 +1,112 @@
+/** @module */
+// Copy-on-write draft of a contract storage, used by stateproxy for the changes of one transaction.
+// The storage it starts from is never changed. A write first copies the objects along its path, one level each,
+// so the draft shares everything else with the committed storage instead of deep cloning it.
+// Objects copied by the draft are its own and are changed in place by later writes, unless they were frozen when
+// handed out by share, then they are copied again.
+
+const _ = require('lodash')
+
+const isObject = value => value !== null && typeof value === 'object'
+
+// objects frozen by freeze, all objects they hold are frozen too so they are not walked again
+const frozen = new WeakSet()
+
+// deep freeze plain objects and arrays, false if the value holds other objects (Map, Set, Date, Buffer...)
+// which cannot be frozen
+const freeze = (value, walking = new Set()) => {
+  if (!isObject(value) || frozen.has(value) || walking.has(value)) return true
+  if (!Array.isArray(value) && !_.isPlainObject(value)) return false
+
+  walking.add(value)
+  if (!Object.keys(value).every(key => freeze(value[key], walking))) return false
+  Object.freeze(value)
+  frozen.add(value)
+  return true
+}
+
+/**
+ * hand out a value of a draft without copying it, plain objects and arrays are deep frozen so that the caller
+ * cannot change the storage through them. Values holding other objects, e.g. Map or Set, are deep cloned instead.
+ * @function
+ * @param {*} value - value read from draft.current
+ * @returns {*} the value frozen, or a deep clone of it
+ */
+exports.share = value => freeze(value) ? value : _.cloneDeep(value)
+
+/**
+ * create a draft
+ * @function
+ * @param {object} [base] - committed storage, undefined if the contract has none
+ * @returns {object} draft { current, writable, finish, restore }
+ */
+exports.create = base => {
+  let root = base
+  let owned = new WeakSet()
+
+  // objects frozen by share are no longer the draft's to change
+  const isOwned = o => owned.has(o) && !Object.isFrozen(o)
+
+  const own = o => {
+    const copy = _.clone(o)
+    owned.add(copy)
+    return copy
+  }
+
+  return {
+    /**
+     * the storage with the changes so far, undefined if there is none, it must not be changed directly
+     * @returns {object} storage
+     */
+    get current () {
+      return root
+    },
+
+    /**
+     * make the storage root and the objects along a path the draft's own, so that they could be changed in place,
+     * e.g. by lodash set, update or unset on the parent path of a key. Missing parts are left for the caller to create.
+     * @param {Array} path - path, empty for the root only
+     * @returns {object} the storage root, created if the contract has no storage yet
+     */
+    writable (path) {
+      if (!root) {
+        root = {}
+        owned.add(root)
+      } else if (!isOwned(root)) {
+        root = own(root)
+      }
+
+      let o = root
+      for (const key of path) {
+        const child = o[key]
+        if (!isObject(child)) {
+          break
+        }
+        if (!isOwned(child)) {
+          o[key] = own(child)
+        }
+        o = o[key]
+      }
+      return root
+    },
+
+    /**
+     * give up the objects the draft owns, e.g. when its storage is applied to the state table,
+     * later writes copy them again, so the storage returned is never changed by the draft
+     * @returns {object} storage
+     */
+    finish () {
+      owned = new WeakSet()
+      return root
+    },
+
+    /**
+     * go back to a storage returned by finish, e.g. when a savepoint is rolled back
+     * @param {object} [storage] - storage, the committed one if omitted
+     */
+    restore (storage = base) {
+      owned = new WeakSet()
+      root = storage
+    }
+  }
+}
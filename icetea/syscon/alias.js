@@ -6,6 +6,7 @@
 
 const { Alias: ALIAS_ADDR } = require('./sysconnames')
 const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
 const { setContextMigration, importState, exportState } = require('./migration.js')(this)
 
 const METADATA = Object.freeze({
@@ -102,7 +103,8 @@ const isSatisfied = (text, condition) => {
 const sanitizeAlias = (alias) => {
   alias = alias.trim().toLowerCase()
   if (!/^[a-z0-9][a-z0-9_-]{1,61}[a-z0-9](?:\.[a-z]{2,})*$/.test(alias)) {
-    throw new Error(`Invalid alias '${alias}', make sure it does not contain invalid characters and has appropriate length.`)
+    throw errors.create('INVALID_ARGUMENT', { alias },
+      `Invalid alias '${alias}', make sure it does not contain invalid characters and has appropriate length.`)
   }
   return alias
 }
@@ -121,7 +123,8 @@ exports.run = (context, options) => {
       let count = 0
       return Object.keys(aliases).reduce((prev, alias) => {
         if (count < maxItems && isSatisfied(alias, textOrRegEx)) {
-          const item = aliases[alias]
+          // a copy, as tags are added to it
+          const item = { ...aliases[alias] }
           if (includeTags) {
             const info = did.query(aliases[alias].address)
             info && info.tags && (item.tags = info.tags)
@@ -163,7 +166,7 @@ exports.run = (context, options) => {
     register (alias, address, overwrite = false) {
       alias = sanitizeAlias(alias)
       if (alias.startsWith('system.') || alias.startsWith('account.') || alias.startsWith('contract.')) {
-        throw new Error("Alias cannot start with 'system.', 'account.', or 'contract.'.")
+        throw errors.create('INVALID_ARGUMENT', { alias }, "Alias cannot start with 'system.', 'account.', or 'contract.'.")
       }
 
       if (address == null) {
@@ -183,7 +186,7 @@ exports.run = (context, options) => {
           try {
             deployedBy = options.tools.getCode(address).deployedBy
           } catch (e2) {
-            throw new Error('You do not have permission to register this alias.')
+            throw errors.create('PERMISSION_DENIED', { alias, address }, 'You do not have permission to register this alias.')
           }
 
           checkPerm(deployedBy)
@@ -200,7 +203,8 @@ exports.run = (context, options) => {
       const prefix = isOwnedAccount ? 'account.' : 'contract.'
       const fullAlias = prefix + alias
 
-      const aliases = loadAliases(context)
+      // copies of the maps read from state, to change and save back
+      const aliases = { ...loadAliases(context) }
       const oldAddress = aliases[fullAlias]
 
       // we don't support 'renew'
@@ -208,18 +212,20 @@ exports.run = (context, options) => {
 
       if (oldAddress) {
         if (!overwrite) {
-          throw new Error(`${fullAlias} already maps to ${oldAddress.address}. Specify 'overwrite' argument if you want to overwrite.`)
+          throw errors.create('ALREADY_EXISTS', { alias: fullAlias, address: oldAddress.address },
+            `${fullAlias} already maps to ${oldAddress.address}. Specify 'overwrite' argument if you want to overwrite.`)
         } else {
           // need to check whether caller own this alias before updating
           validateAddressOwner(oldAddress.address)
         }
       }
 
-      const map = loadAddrMap(context)
+      const map = { ...loadAddrMap(context) }
       const oldAlias = map[address]
 
       if (oldAlias && !overwrite) {
-        throw new Error(`${address} already maps to ${oldAlias}. Specify 'overwrite' argument if you want to overwrite.`)
+        throw errors.create('ALREADY_EXISTS', { alias: oldAlias, address },
+          `${address} already maps to ${oldAlias}. Specify 'overwrite' argument if you want to overwrite.`)
       }
 
       // alias to address
@@ -10,6 +10,8 @@
  */
 
 const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
+const { Alias: ALIAS_ADDR } = require('./sysconnames')
 const { initialBotStore } = require('../config')
 const _ = require('lodash')
 
@@ -75,25 +77,27 @@ exports.run = (context, options) => {
     },
 
     register (name, category, icon, overwrite = false) {
-      const alias = exports.systemContracts().Alias
-      const address = alias.resolve(name)
+      // resolve through the tx context rather than committed state,
+      // so an alias registered earlier in the same batch tx is found
+      const address = context.loadContract(ALIAS_ADDR).resolve.invokeView(name)
 
       if (!address) {
-        throw new Error('Require a bot alias. You must register an alias for your bot first.')
+        throw errors.create('NOT_FOUND', { alias: name }, 'Require a bot alias. You must register an alias for your bot first.')
       }
 
-      const store = getStore(context)
+      // a copy of the store read from state, to change and save back
+      const store = { ...getStore(context) }
       const registed = !!store[name]
 
       if (registed && !overwrite) {
-        throw new Error(`Bot ${name} already registered.`)
+        throw errors.create('ALREADY_EXISTS', { alias: name }, `Bot ${name} already registered.`)
       }
 
       let deployedBy
       try {
         deployedBy = options.tools.getCode(address).deployedBy
       } catch (e) {
-        throw new Error('Bot must be a valid smart contract.')
+        throw errors.create('CONTRACT_NOT_FOUND', { address }, 'Bot must be a valid smart contract.')
       }
 
       // TODO: check if it 'looks like' a bot
@@ -9,6 +9,7 @@
 
 const { Did: DID_ADDR } = require('./sysconnames')
 const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
 const _ = require('lodash')
 const { setContextMigration, importState, exportState } = require('./migration.js')(this)
 
@@ -211,7 +212,7 @@ function _checkValidity (owners, threshold) {
     keys.forEach(addr => {
       const v = owners[addr]
       if (typeof v !== 'number' || v <= 0) {
-        throw new Error('Invalid weight for owner ' + addr)
+        throw errors.create('INVALID_ARGUMENT', { owner: addr, weight: v }, 'Invalid weight for owner ' + addr)
       }
       sum += v
     })
@@ -220,11 +221,11 @@ function _checkValidity (owners, threshold) {
   }
 
   if (typeof threshold !== 'number' || threshold <= 0) {
-    throw new Error('Invalid threshold.')
+    throw errors.create('INVALID_ARGUMENT', { threshold }, 'Invalid threshold.')
   }
 
   if (sum < threshold) {
-    throw new Error('Threshold is bigger than sum of all owner weight.')
+    throw errors.create('INVALID_ARGUMENT', { threshold, totalWeight: sum }, 'Threshold is bigger than sum of all owner weight.')
   }
 }
 
@@ -234,7 +235,7 @@ function _checkPerm (address, props, tx, block, asAdmin) {
   if (isAdmin) return
 
   if (asAdmin || tx.value > 0 || !_checkAccessToken(props, tx, now)) {
-    throw new Error('Permission denied.')
+    throw errors.create('PERMISSION_DENIED', { address })
   }
 }
 
@@ -317,6 +318,9 @@ exports.run = (context) => {
   const { msg, block } = context.runtime
   const msgParams = checkMsg(msg, METADATA, { sysContracts: this.systemContracts() })
 
+  // values read from state must not be changed, those to change and save back are cloned
+  const getStateToChange = key => _.cloneDeep(context.getState(key))
+
   const contract = {
     query (address) {
       const props = context.getState(address)
@@ -371,11 +375,11 @@ exports.run = (context) => {
       contract.checkPermission(address, undefined, owners || threshold || tokens || inheritors)
 
       if (!owners && !threshold && !tags && !inheritors && !tokens) {
-        throw new Error('Nothing to register.')
+        throw errors.create('INVALID_ARGUMENT', {}, 'Nothing to register.')
       }
 
       if (context.getState(address)) {
-        throw new Error('This address is already registered.')
+        throw errors.create('ALREADY_EXISTS', { address }, 'This address is already registered.')
       }
 
       _checkValidity(owners, threshold)
@@ -418,7 +422,7 @@ exports.run = (context) => {
     },
 
     addOwner (address, owner, weight = 1) {
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old) {
         contract.register(address, { owners: { [owner]: weight } })
       } else {
@@ -434,13 +438,13 @@ exports.run = (context) => {
     removeOwner (address, owner) {
       contract.checkAdminPermission(address)
 
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old || !old.owners || !old.owners[owner]) {
-        throw new Error(`${owner} is not an owner of ${address}.`)
+        throw errors.create('NOT_FOUND', { address, owner }, `${owner} is not an owner of ${address}.`)
       }
 
       if (Object.keys(old.owners).length === 1 && owner !== address) {
-        throw new Error('Cannot remove the only owner.')
+        throw errors.create('INVALID_STATE', { address, owner }, 'Cannot remove the only owner.')
       }
 
       delete old.owners[owner]
@@ -456,7 +460,7 @@ exports.run = (context) => {
     clearOwnership (address) {
       contract.checkAdminPermission(address)
 
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old) {
         return
       }
@@ -467,7 +471,7 @@ exports.run = (context) => {
     },
 
     setThreshold (address, threshold) {
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old) {
         if (threshold !== undefined && threshold !== 1) {
           contract.register(address, { threshold })
@@ -496,7 +500,7 @@ exports.run = (context) => {
       // FOR NOW, we will skip the spend perm and only allow signing
 
       if (ms < 1 || !Number.isInteger(ms)) {
-        throw new Error('Duration must be a valid integer of milliseconds.')
+        throw errors.create('INVALID_ARGUMENT', { duration: ms }, 'Duration must be a valid integer of milliseconds.')
       }
 
       if (!Array.isArray(contracts)) {
@@ -505,7 +509,7 @@ exports.run = (context) => {
 
       const expireAfter = block.timestamp + ms
 
-      const old = context.getState(ownerAddr)
+      const old = getStateToChange(ownerAddr)
       if (!old) {
         const data = {}
         contracts.forEach(c => {
@@ -541,7 +545,7 @@ exports.run = (context) => {
 
     revokeAccessToken (ownerAddr, contracts, tokenAddr) {
       contract.checkAdminPermission(ownerAddr)
-      const old = context.getState(ownerAddr)
+      const old = getStateToChange(ownerAddr)
       if (!old || !old.tokens) return
       const tokens = old.tokens
 
@@ -564,7 +568,7 @@ exports.run = (context) => {
 
     revokeAllAccessTokens (ownerAddr, contracts) {
       contract.checkAdminPermission(ownerAddr)
-      const old = context.getState(ownerAddr)
+      const old = getStateToChange(ownerAddr)
       if (!old || !old.tokens) return
       const tokens = old.tokens
 
@@ -583,10 +587,10 @@ exports.run = (context) => {
       waitPeriod = parseInt(waitPeriod)
       lockPeriod = parseInt(lockPeriod)
       if (!waitPeriod || waitPeriod <= 0 || !lockPeriod || lockPeriod <= 0) {
-        throw new Error('waitPeriod and lockPeriod must be positive number of days.')
+        throw errors.create('INVALID_ARGUMENT', { waitPeriod, lockPeriod }, 'waitPeriod and lockPeriod must be positive number of days.')
       }
 
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old) {
         contract.register(address, {
           inheritors: {
@@ -605,9 +609,9 @@ exports.run = (context) => {
     removeInheritor (address, inheritor) {
       contract.checkAdminPermission(address)
 
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old || !old.inheritors || !old.inheritors[inheritor]) {
-        throw new Error(`${inheritor} is not an inheritor of ${address}.`)
+        throw errors.create('NOT_FOUND', { address, inheritor }, `${inheritor} is not an inheritor of ${address}.`)
       }
 
       delete old.inheritors[inheritor]
@@ -616,20 +620,21 @@ exports.run = (context) => {
     },
 
     claimInheritance (address, claimer) {
-      const did = context.getState(address)
+      const did = getStateToChange(address)
       if (!did || !did.inheritors || !Object.keys(did.inheritors).length) {
-        throw new Error('No inheritors configured for this account.')
+        throw errors.create('NOT_FOUND', { address }, 'No inheritors configured for this account.')
       }
       const inheritors = did.inheritors
 
       // ensure that claimer is an inheritor
       const data = inheritors[claimer]
       if (!data || !data.waitPeriod || !data.lockPeriod) {
-        throw new Error(`${claimer} is not correctly configured as an inheritor for this account.`)
+        throw errors.create('NOT_FOUND', { address, inheritor: claimer },
+          `${claimer} is not correctly configured as an inheritor for this account.`)
       }
 
       if (data.state === STATE_CLAIMING) {
-        throw new Error('Already claimed.')
+        throw errors.create('INVALID_STATE', { address, inheritor: claimer }, 'Already claimed.')
       }
 
       if (data.lastRejected) {
@@ -637,7 +642,8 @@ exports.run = (context) => {
         dt.setDate(dt.getDate() + data.lockPeriod)
         const lockUntil = dt.getTime()
         if (lockUntil >= block.timestamp) {
-          throw new Error('Claim permission for this inheritor was locked, please wait until ' + dt.toGMTString())
+          throw errors.create('INVALID_STATE', { address, inheritor: claimer, lockUntil },
+            'Claim permission for this inheritor was locked, please wait until ' + dt.toGMTString())
         }
       }
 
@@ -660,20 +666,21 @@ exports.run = (context) => {
       // ensure only owners can call
       contract.checkAdminPermission(address)
 
-      const did = context.getState(address)
+      const did = getStateToChange(address)
       if (!did || !did.inheritors || !Object.keys(did.inheritors).length) {
-        throw new Error('No inheritors configured for this account.')
+        throw errors.create('NOT_FOUND', { address }, 'No inheritors configured for this account.')
       }
       const inheritors = did.inheritors
 
       // ensure that claimer is an inheritor
       const data = inheritors[claimer]
       if (!data) {
-        throw new Error(`${claimer} is not correctly configured as an inheritor for this account.`)
+        throw errors.create('NOT_FOUND', { address, inheritor: claimer },
+          `${claimer} is not correctly configured as an inheritor for this account.`)
       }
 
       if (data.state !== STATE_CLAIMING) {
-        throw new Error(`${claimer} does not currently claim so no need to reject.`)
+        throw errors.create('INVALID_STATE', { address, inheritor: claimer }, `${claimer} does not currently claim so no need to reject.`)
       }
 
       // set last claim timestamp
@@ -697,10 +704,10 @@ exports.run = (context) => {
     setTag (address, name, value) {
       const v = (typeof value === 'undefined') ? name : { [name]: value }
       if (typeof v !== 'object') {
-        throw new Error('Invalid tag value.')
+        throw errors.create('INVALID_ARGUMENT', { name }, 'Invalid tag value.')
       }
 
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old) {
         contract.register(address, { tags: v })
       } else {
@@ -714,9 +721,9 @@ exports.run = (context) => {
     removeTag (address, name) {
       contract.checkPermission(address)
 
-      const old = context.getState(address)
+      const old = getStateToChange(address)
       if (!old || !old.tags || !old.tags[name]) {
-        throw new Error(`${name} is not a tag of ${address}.`)
+        throw errors.create('NOT_FOUND', { address, tag: name }, `${name} is not a tag of ${address}.`)
       }
 
       delete old.tags[name]
@@ -747,10 +754,10 @@ exports.run = (context) => {
   }
 }
 
-exports.checkPermission = function (address, tx, block) {
+exports.checkPermission = function (address, tx, block, asAdmin) {
   const storage = this.unsafeStateManager().getAccountState(DID_ADDR).storage || {}
   const props = storage[address]
-  _checkPerm(address, props, tx, block)
+  _checkPerm(address, props, tx, block, asAdmin)
 }
 
 exports.checkPermissionFromContract = function (address, contract) {
@@ -1,16 +1,28 @@
 /**
  * An MVP implementation of election contract.
  */
+const { createHash } = require('crypto')
 const { checkMsg } = require('../helper/types')
-const { election: config } = require('../config')
+const errors = require('../helper/errors')
+const { election: config, rewards: rewardsConfig } = require('../config')
+const params = require('../helper/params')
 const _ = require('lodash')
 
 const CONTRACT_NAME = 'system.election'
 const CANDIDATES_KEY = 'candidates'
 const WITHDRAW_KEY = 'withdraw'
+const REWARDS_KEY = 'rewards'
+// rewards not distributed yet because of rounding or no validator
+const REWARD_POOL_KEY = 'rewardPool'
+
+const MILLION = 1000000
+const N_MILLION = BigInt(MILLION)
 
 const _rawCandidates = c => c.getState(CANDIDATES_KEY, {})
 const _rawWithdrawList = c => c.getState(WITHDRAW_KEY, {})
+// values read from state must not be changed, those to change and save back are cloned
+const _candidatesToChange = c => _.cloneDeep(_rawCandidates(c))
+const _withdrawListToChange = c => _.cloneDeep(_rawWithdrawList(c))
 
 const METADATA = Object.freeze({
 
@@ -61,8 +73,8 @@ const METADATA = Object.freeze({
     returnType: 'undefined'
   },
 
-  // request unjail for a jailed candidate
-  requestUnjail: {
+  // unjail a jailed candidate once its jail time is over
+  unjail: {
     decorators: ['transaction'],
     params: [
       { name: 'pubkey', type: 'string' }
@@ -70,6 +82,33 @@ const METADATA = Object.freeze({
     returnType: 'undefined'
   },
 
+  // set share of rewards kept by the operator before sharing with voters
+  setCommissionRate: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'pubkey', type: 'string' },
+      { name: 'ratePerMillion', type: 'number' }
+    ],
+    returnType: 'undefined'
+  },
+
+  // withdraw rewards of msg.sender
+  claimRewards: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'claimTo', type: ['address', 'undefined'] }
+    ],
+    returnType: 'bigint'
+  },
+
+  getRewards: {
+    decorators: ['view'],
+    params: [
+      { name: 'addressOrAlias', type: ['address', 'undefined'] }
+    ],
+    returnType: 'bigint'
+  },
+
   // Get all validator candidates
   getCandidates: {
     decorators: ['view'],
@@ -104,28 +143,62 @@ const METADATA = Object.freeze({
   }
 })
 
+const INTERNAL_METADATA = {
+  // called by the node at the beginning of each block, with hex addresses of validators
+  _processValidatorActivity: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'byzantine', type: 'Array' },
+      { name: 'signed', type: 'Array' },
+      { name: 'missed', type: 'Array' }
+    ],
+    returnType: 'undefined'
+  },
+  // called by the node at the end of each block
+  _distributeRewards: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'amount', type: 'bigint' }
+    ],
+    returnType: 'undefined'
+  }
+}
+
 // standard contract interface
 exports.run = (context, options) => {
   const { msg, block } = context.runtime
-  const msgParams = checkMsg(msg, METADATA, { sysContracts: this.systemContracts() })
+  const msgParams = checkMsg(msg, Object.assign({}, INTERNAL_METADATA, METADATA), {
+    sysContracts: this.systemContracts()
+  })
+
+  const punish = (candidates, pubkey, reason) => {
+    const { slashedRatePerMillion, jailedBlockCount } = config.punishment[reason]
+    const slashedAmount = _punish(candidates[pubkey], block.number, { slashedRatePerMillion, jailedBlockCount })
+    context.emitEvent('ValidatorPunished', {
+      pubkey,
+      reason,
+      slashedAmount,
+      jailedUntilBlock: candidates[pubkey].jailedUntilBlock
+    }, ['pubkey'])
+  }
 
   const contract = {
     propose (pubkey, candidateName) {
       pubkey = pubkey.trim()
       if (!pubkey) {
-        throw new Error('Public key is required.')
+        throw errors.create('INVALID_ARGUMENT', {}, 'Public key is required.')
       }
 
       candidateName = candidateName.trim()
       if (!candidateName) {
-        throw new Error('Validator candidate name is required.')
+        throw errors.create('INVALID_ARGUMENT', {}, 'Validator candidate name is required.')
       }
 
-      const candidates = _rawCandidates(context)
+      const candidates = _candidatesToChange(context)
 
       Object.values(candidates).forEach(({ name }) => {
         if (name.toLowerCase() === candidateName.toLowerCase()) {
-          throw new Error(`Candidate name ${candidateName} already exists.`)
+          throw errors.create('ALREADY_EXISTS', { name: candidateName }, `Candidate name ${candidateName} already exists.`)
         }
       })
 
@@ -147,19 +220,21 @@ exports.run = (context, options) => {
         }
       }
 
-      if (candidates[pubkey].deposit < config.minValidatorDeposit) {
-        throw new Error(`Validator must deposit at least ${config.minValidatorDeposit}`)
+      const minValidatorDeposit = params.get('election.minValidatorDeposit')
+      if (candidates[pubkey].deposit < minValidatorDeposit) {
+        throw errors.create('INSUFFICIENT_DEPOSIT', { required: minValidatorDeposit, provided: candidates[pubkey].deposit },
+          `Validator must deposit at least ${minValidatorDeposit}`)
       }
 
       context.setState(CANDIDATES_KEY, candidates)
     },
 
     resign (pubkey) {
-      const candidates = _rawCandidates(context)
+      const candidates = _candidatesToChange(context)
       const me = candidates[pubkey]
 
       if (!me) {
-        throw new Error(`Validator candidate ${pubkey} not found.`)
+        throw errors.create('NOT_FOUND', { candidate: pubkey }, `Validator candidate ${pubkey} not found.`)
       }
 
       // Check resign permission
@@ -167,7 +242,7 @@ exports.run = (context, options) => {
       did.checkPermissionFromContract(me.operator, context)
 
       // move to withdrawal key
-      const withdrawList = _rawWithdrawList(context)
+      const withdrawList = _withdrawListToChange(context)
 
       // add items for validator
       _addToWithdrawList(withdrawList, me.operator, me.deposit, block.number + config.resignValidatorLock)
@@ -187,13 +262,13 @@ exports.run = (context, options) => {
     },
 
     changeVote (fromPubKey, toPubKey, amount) {
-      const candidates = _rawCandidates(context)
+      const candidates = _candidatesToChange(context)
       const from = candidates[fromPubKey]
       if (!from) {
-        throw new Error(`Validator candidate ${fromPubKey} not found.`)
+        throw errors.create('NOT_FOUND', { candidate: fromPubKey }, `Validator candidate ${fromPubKey} not found.`)
       }
       if (!from.voters || !from.voters[msg.sender]) {
-        throw new Error(`You did not vote for ${fromPubKey}.`)
+        throw errors.create('NOT_FOUND', { candidate: fromPubKey, voter: msg.sender }, `You did not vote for ${fromPubKey}.`)
       }
 
       const oldAmount = from.voters[msg.sender]
@@ -202,7 +277,7 @@ exports.run = (context, options) => {
       } else {
         amount = BigInt(amount)
         if (amount > oldAmount) {
-          throw new Error(`Amount too large. Amount must be no greater than ${oldAmount}.`)
+          throw errors.create('INVALID_ARGUMENT', { amount, max: oldAmount }, `Amount too large. Amount must be no greater than ${oldAmount}.`)
         }
       }
 
@@ -216,7 +291,7 @@ exports.run = (context, options) => {
 
       const to = candidates[toPubKey]
       if (!to) {
-        throw new Error(`Validator candidate ${toPubKey} not found.`)
+        throw errors.create('NOT_FOUND', { candidate: toPubKey }, `Validator candidate ${toPubKey} not found.`)
       }
       const toVoters = to.voters || (to.voters = {})
       toVoters[msg.sender] = (toVoters[msg.sender] || BigInt(0)) + amount
@@ -227,7 +302,7 @@ exports.run = (context, options) => {
 
     getWithdrawalList (addrOrAlias = msg.sender) {
       if (!addrOrAlias || typeof addrOrAlias !== 'string') {
-        throw new Error('Invalid address or alias.')
+        throw errors.create('INVALID_ARGUMENT', { address: addrOrAlias }, 'Invalid address or alias.')
       }
       const withdrawList = _rawWithdrawList(context)
       const me = withdrawList[addrOrAlias]
@@ -241,11 +316,11 @@ exports.run = (context, options) => {
 
     withdraw (withDrawTo = msg.sender) {
       // move to withdrawal key
-      const withdrawList = _rawWithdrawList(context)
+      const withdrawList = _withdrawListToChange(context)
       const me = withdrawList[msg.sender]
 
       if (!me) {
-        throw new Error('You do not have any pending asset to withdraw.')
+        throw errors.create('NOT_FOUND', { address: msg.sender }, 'You do not have any pending asset to withdraw.')
       }
 
       let amount = BigInt(0)
@@ -257,7 +332,8 @@ exports.run = (context, options) => {
       })
 
       if (!amount) {
-        throw new Error('No asset eligible for withdrawal. Call getWithdrawalList to see when you can withdraw.')
+        throw errors.create('INVALID_STATE', { address: msg.sender },
+          'No asset eligible for withdrawal. Call getWithdrawalList to see when you can withdraw.')
       }
 
       if (!Object.keys(me).length) {
@@ -276,18 +352,21 @@ exports.run = (context, options) => {
     },
 
     vote (pubkey) {
-      if (msg.value < config.minVoterValue) {
-        throw new Error(`You must attach at least ${config.minVoterValue} when voting.`)
+      const minVoterValue = params.get('election.minVoterValue')
+      if (msg.value < minVoterValue) {
+        throw errors.create('INSUFFICIENT_DEPOSIT', { required: minVoterValue, provided: msg.value },
+          `You must attach at least ${minVoterValue} when voting.`)
       }
 
-      const candidates = _rawCandidates(context)
+      const candidates = _candidatesToChange(context)
       const votee = candidates[pubkey]
       if (!votee) {
-        throw new Error(`${pubkey} is not a valid validator candidate public key.`)
+        throw errors.create('NOT_FOUND', { candidate: pubkey }, `${pubkey} is not a valid validator candidate public key.`)
       }
 
       if (votee.jailed) {
-        throw new Error(`${pubkey} is currently jailed, please wait until it get unjail before voting.`)
+        throw errors.create('INVALID_STATE', { candidate: pubkey, jailedUntilBlock: votee.jailedUntilBlock },
+          `${pubkey} is currently jailed, please wait until it get unjail before voting.`)
       }
 
       votee.voters = votee.voters || {}
@@ -299,20 +378,20 @@ exports.run = (context, options) => {
     },
 
     unvote (pubkey) {
-      const candidates = _rawCandidates(context)
+      const candidates = _candidatesToChange(context)
       const votee = candidates[pubkey]
       if (!votee) {
-        throw new Error(`${pubkey} is not a valid validator candidate public key.`)
+        throw errors.create('NOT_FOUND', { candidate: pubkey }, `${pubkey} is not a valid validator candidate public key.`)
       }
 
       const amount = (votee.voters || {})[msg.sender]
 
       if (!amount) {
-        throw new Error('You did not vote for this node, so no need to unvote.')
+        throw errors.create('NOT_FOUND', { candidate: pubkey, voter: msg.sender }, 'You did not vote for this node, so no need to unvote.')
       }
 
       // move to withdrawal key
-      const withdrawList = _rawWithdrawList(context)
+      const withdrawList = _withdrawListToChange(context)
       _addToWithdrawList(withdrawList, msg.sender, amount, block.number + config.unvoteLock)
 
       // delete the voter
@@ -324,6 +403,131 @@ exports.run = (context, options) => {
       // save things
       context.setState(CANDIDATES_KEY, candidates)
       context.setState(WITHDRAW_KEY, withdrawList)
+    },
+
+    unjail (pubkey) {
+      const candidates = _candidatesToChange(context)
+      const me = candidates[pubkey]
+      if (!me) {
+        throw errors.create('NOT_FOUND', { candidate: pubkey }, `Validator candidate ${pubkey} not found.`)
+      }
+
+      const did = exports.systemContracts().Did
+      did.checkPermissionFromContract(me.operator, context)
+
+      if (!me.jailed) {
+        throw errors.create('INVALID_STATE', { candidate: pubkey }, `${pubkey} is not jailed.`)
+      }
+      if (block.number < me.jailedUntilBlock) {
+        throw errors.create('INVALID_STATE', { candidate: pubkey, jailedUntilBlock: me.jailedUntilBlock },
+          `${pubkey} is jailed until block ${me.jailedUntilBlock}.`)
+      }
+      const minValidatorDeposit = params.get('election.minValidatorDeposit')
+      if (me.deposit < minValidatorDeposit) {
+        throw errors.create('INSUFFICIENT_DEPOSIT', { required: minValidatorDeposit, provided: me.deposit },
+          `Deposit is less than ${minValidatorDeposit}, please call propose to deposit more before unjailing.`)
+      }
+
+      delete me.jailed
+      delete me.jailedUntilBlock
+      context.setState(CANDIDATES_KEY, candidates)
+    },
+
+    setCommissionRate (pubkey, ratePerMillion) {
+      const candidates = _candidatesToChange(context)
+      const me = candidates[pubkey]
+      if (!me) {
+        throw errors.create('NOT_FOUND', { candidate: pubkey }, `Validator candidate ${pubkey} not found.`)
+      }
+
+      const did = exports.systemContracts().Did
+      did.checkPermissionFromContract(me.operator, context)
+
+      if (!Number.isInteger(ratePerMillion) || ratePerMillion < 0 || ratePerMillion > MILLION) {
+        throw errors.create('INVALID_ARGUMENT', { ratePerMillion }, `Invalid commission rate, it must be an integer between 0 and ${MILLION}.`)
+      }
+
+      me.commissionRatePerMillion = ratePerMillion
+      context.setState(CANDIDATES_KEY, candidates)
+    },
+
+    getRewards (addrOrAlias = msg.sender) {
+      return context.getState([REWARDS_KEY, addrOrAlias], BigInt(0))
+    },
+
+    claimRewards (claimTo = msg.sender) {
+      const amount = context.getState([REWARDS_KEY, msg.sender])
+      if (!amount) {
+        throw errors.create('NOT_FOUND', { address: msg.sender }, 'You do not have any reward to claim.')
+      }
+
+      context.deleteState([REWARDS_KEY, msg.sender])
+      context.transfer(claimTo, amount)
+      return amount
+    },
+
+    _distributeRewards (amount) {
+      if (msg.sender !== 'system') {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'This function can only be called by the system.')
+      }
+
+      const pool = context.getState(REWARD_POOL_KEY, BigInt(0)) + amount
+      const validators = _getValidators(_getCandidates(_rawCandidates(context)))
+      const totalCapacity = validators.reduce((sum, v) => sum + v.capacity, BigInt(0))
+
+      const rewards = { ...context.getState(REWARDS_KEY, {}) }
+      let distributed = BigInt(0)
+      const addReward = (address, value) => {
+        if (value > BigInt(0)) {
+          rewards[address] = (rewards[address] || BigInt(0)) + value
+          distributed += value
+        }
+      }
+
+      totalCapacity > BigInt(0) && validators.forEach(v => {
+        // share of a validator is proportional to its capacity, the operator takes the commission first,
+        // then the rest is shared by the deposit (for the operator) and the votes
+        const share = pool * v.capacity / totalCapacity
+        const rate = v.commissionRatePerMillion != null ? v.commissionRatePerMillion : rewardsConfig.defaultCommissionRatePerMillion
+        const commission = share * BigInt(rate) / N_MILLION
+        const rest = share - commission
+
+        Object.entries(v.voters || {}).forEach(([voter, vote]) => {
+          addReward(voter, rest * vote / v.capacity)
+        })
+        addReward(v.operator, commission + rest * v.deposit / v.capacity)
+      })
+
+      context.setState(REWARDS_KEY, rewards)
+      context.setState(REWARD_POOL_KEY, pool - distributed)
+    },
+
+    _processValidatorActivity (byzantine, signed, missed) {
+      if (msg.sender !== 'system') {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'This function can only be called by the system.')
+      }
+
+      const candidates = _candidatesToChange(context)
+      const { maxMissedBlocks } = config.punishment.downtime
+      Object.entries(candidates).forEach(([pubkey, c]) => {
+        const address = _toValidatorAddress(pubkey)
+        if (byzantine.includes(address)) {
+          punish(candidates, pubkey, 'byzantine')
+        }
+
+        // count consecutive missed blocks, reset when it signs or is no longer a validator
+        if (!c.jailed && missed.includes(address)) {
+          c.missedBlocks = (c.missedBlocks || 0) + 1
+          if (c.missedBlocks >= maxMissedBlocks) {
+            punish(candidates, pubkey, 'downtime')
+          }
+        }
+        if (c.jailed || !missed.includes(address)) {
+          delete c.missedBlocks
+        }
+      })
+
+      context.setState(CANDIDATES_KEY, candidates)
     }
   }
 
@@ -374,13 +578,54 @@ function _getValidators (candidates) {
   candidates = _populateCapacity(candidates, true)
 
   // cut to max number of validator
-  if (candidates.length > config.numberOfValidators) {
-    candidates.length = config.numberOfValidators
+  const numberOfValidators = params.get('election.numberOfValidators')
+  if (candidates.length > numberOfValidators) {
+    candidates.length = numberOfValidators
   }
 
   return candidates
 }
 
+// tendermint address of a validator: first 20 bytes of sha256 of its ed25519 public key, in hex
+function _toValidatorAddress (pubkey) {
+  return createHash('sha256').update(Buffer.from(pubkey, 'base64')).digest().slice(0, 20).toString('hex')
+}
+
+function _punish (candidate, blockNum, { slashedRatePerMillion = 0, jailedBlockCount = 0 }) {
+  if (typeof slashedRatePerMillion !== 'number' || slashedRatePerMillion < 0 ||
+    !Number.isInteger(slashedRatePerMillion) || slashedRatePerMillion > MILLION) {
+    throw errors.create('INVALID_ARGUMENT', { slashedRatePerMillion },
+      'Invalid slashedRatePerMillion. slashedRatePerMillion must be an integer between 0 and 1000000.')
+  }
+
+  if (typeof jailedBlockCount !== 'number' || jailedBlockCount < 0 || !Number.isInteger(jailedBlockCount)) {
+    throw errors.create('INVALID_ARGUMENT', { jailedBlockCount }, 'Invalid jailedBlockCount. jailedBlockCount must be a positive integer.')
+  }
+
+  if (slashedRatePerMillion === 0 && jailedBlockCount === 0) {
+    throw errors.create('INVALID_ARGUMENT', {}, 'Either slashedRate or jailedBlockCount must be specified.')
+  }
+
+  let slashedAmount = BigInt(0)
+  if (slashedRatePerMillion > 0) {
+    // Currently, for simplicity, just slash the validator, not the voters
+    // the slashed amount is kept by the contract
+    slashedAmount = candidate.deposit * BigInt(slashedRatePerMillion) / N_MILLION
+    candidate.slashed = (candidate.slashed || BigInt(0)) + slashedAmount
+    candidate.deposit -= slashedAmount
+  }
+
+  if (jailedBlockCount > 0) {
+    candidate.jailed = true
+    const pendingJailedBlock = (candidate.jailedUntilBlock && (candidate.jailedUntilBlock > blockNum))
+      ? (candidate.jailedUntilBlock - blockNum)
+      : 0
+    candidate.jailedUntilBlock = blockNum + pendingJailedBlock + jailedBlockCount
+  }
+
+  return slashedAmount
+}
+
 function _addToWithdrawList (withdrawList, address, amount, unlockBlock) {
   const w = withdrawList[address] || (withdrawList[address] = {})
   w[unlockBlock] = (w[unlockBlock] || BigInt(0)) + amount
@@ -411,53 +656,41 @@ exports.getValidators = function () {
   return _getValidators(_getCandidates(candidates))
 }
 
-exports.punish = function (pubkey, blockNum, tags, { slashedRatePerMillion = 0, jailedBlockCount = 0 } = {}) {
-  const MILLION = 1000000; const N_MILLION = BigInt(MILLION)
-
-  if (typeof slashedRatePerMillion !== 'number' || slashedRatePerMillion < 0 ||
-    !Number.isInteger(slashedRatePerMillion) || slashedRatePerMillion > MILLION) {
-    throw new Error('Invalid slashedRatePerMillion. slashedRatePerMillion must be a number between 0 and 1.')
-  }
-
-  if (typeof jailedBlockCount !== 'number' || jailedBlockCount < 0 || !Number.isInteger(jailedBlockCount)) {
-    throw new Error('Invalid jailedBlockCount. jailedBlockCount must be a positive integer.')
-  }
-
-  if (slashedRatePerMillion === 0 || jailedBlockCount === 0) {
-    throw new Error('Either slashedRate or jailedBlockCount must be specified.')
-  }
-
+/**
+ * check if any candidate has missed blocks recently, so that its counter needs updating even if all validators signed
+ * @returns {boolean} has missed blocks
+ */
+exports.hasMissedBlocks = function () {
   const storage = this.unsafeStateManager().getAccountState(CONTRACT_NAME).storage || {}
-  const candidateList = storage[CANDIDATES_KEY] || {}
-  const candidate = candidateList[pubkey]
-
-  if (!candidate) {
-    throw new Error(`Validator ${pubkey} not found. Cannot punish.`)
-  }
-
-  if (slashedRatePerMillion > 0) {
-    // Currently, for simplicity, just slash the validator, not the voters
-    const slashedAmount = candidate.deposit * N_MILLION / BigInt(slashedRatePerMillion)
-    candidate.slashed = (candidate.slashed || BigInt(0)) + slashedAmount
-    candidate.deposit -= slashedAmount
-  }
-
-  if (jailedBlockCount > 0) {
-    candidate.jailed = true
-    const pendingJailedBlock = (candidate.jailedUntilBlock && (candidate.jailedUntilBlock > blockNum))
-      ? (candidate.jailedUntilBlock - blockNum)
-      : 0
-    candidate.jailedUntilBlock = blockNum + pendingJailedBlock + jailedBlockCount
-  }
-
-  // For simplicity, we don't store punishment history
-  // Just raise an event at block level (tags are block level at begin/endBlock)
+  const candidates = storage[CANDIDATES_KEY] || {}
+  return Object.values(candidates).some(c => c.missedBlocks)
+}
 
-  // TODO: consider using tags directly instead of events
+/**
+ * get the stake of an address: deposits of candidates it operates plus its votes
+ * @param {string} address - operator or voter address
+ * @returns {bigint} stake
+ */
+exports.getStake = function (address) {
+  const storage = this.unsafeStateManager().getAccountState(CONTRACT_NAME).storage || {}
+  const candidates = storage[CANDIDATES_KEY] || {}
+  return Object.values(candidates).reduce((sum, c) => {
+    if (c.operator === address) {
+      sum += c.deposit
+    }
+    if (c.voters && c.voters[address]) {
+      sum += c.voters[address]
+    }
+    return sum
+  }, BigInt(0))
+}
 
-  // utils.emitEvent(CONTRACT_NAME, tags, 'ValidatorPunished', {
-  //   pubkey,
-  //   slashedRatePerMillion,
-  //   jailedBlockCount
-  // }, ['pubkey'])
+/**
+ * get total stake of all candidates, including deposits and votes
+ * @returns {bigint} total stake
+ */
+exports.getTotalStake = function () {
+  const storage = this.unsafeStateManager().getAccountState(CONTRACT_NAME).storage || {}
+  const candidates = storage[CANDIDATES_KEY] || {}
+  return _populateCapacity(_getCandidates(candidates, true)).reduce((sum, c) => sum + c.capacity, BigInt(0))
 }
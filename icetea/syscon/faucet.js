@@ -3,6 +3,7 @@
  */
 
 const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
 
 const METADATA = Object.freeze({
   getQuota: {
@@ -52,11 +53,11 @@ exports.run = (context) => {
       const paid = BigInt(this.getState(msg.sender, BigInt(0)))
       const toPay = REQUEST_QUOTA - paid
       if (toPay <= 0) {
-        throw new Error(`You already received ${paid} microtea. No more.`)
+        throw errors.create('INVALID_STATE', { address: msg.sender, paid }, `You already received ${paid} microtea. No more.`)
       }
 
       if (!this.balance) {
-        throw new Error('This faucet is out of balance.')
+        throw errors.create('INSUFFICIENT_BALANCE', { address: this.address, available: this.balance }, 'This faucet is out of balance.')
       }
 
       const available = REQUEST_QUOTA > this.balance ? this.balance : REQUEST_QUOTA
@@ -82,12 +83,12 @@ exports.run = (context) => {
       const amount = paid + requested
       if (amount > REQUEST_QUOTA) {
         // throw an error to provide more info than just false
-        throw new Error('Requested amount from faucet is bigger than remaining quota.')
+        throw errors.create('INVALID_ARGUMENT', { requested, paid, quota: REQUEST_QUOTA }, 'Requested amount from faucet is bigger than remaining quota.')
       }
 
       if (amount > this.balance) {
         // throw an error to provide more info than just false
-        throw new Error('Faucet out of money.')
+        throw errors.create('INSUFFICIENT_BALANCE', { address: this.address, required: amount, available: this.balance }, 'Faucet out of money.')
       }
 
       return true
@@ -95,7 +96,7 @@ exports.run = (context) => {
 
     _beforePayFor (tx) {
       if (msg.sender !== 'system') {
-        throw new Error('This function is reserved for internal use.')
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'This function is reserved for internal use.')
       }
 
       const requested = tx.value + tx.fee
@@ -107,12 +108,12 @@ exports.run = (context) => {
       const amount = paid + requested
       if (amount > REQUEST_QUOTA) {
         // throw an error to provide more info than just returning false
-        throw new Error('Requested amount from faucet is bigger than remaining quota.')
+        throw errors.create('INVALID_ARGUMENT', { requested, paid, quota: REQUEST_QUOTA }, 'Requested amount from faucet is bigger than remaining quota.')
       }
 
       if (amount > this.balance) {
         // throw an error to provide more info than just returning false
-        throw new Error('Faucet out of money.')
+        throw errors.create('INSUFFICIENT_BALANCE', { address: this.address, required: amount, available: this.balance }, 'Faucet out of money.')
       }
 
       this.setState(tx.from, String(amount))
@@ -3,7 +3,9 @@
  */
 
 const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
 const { gate: config } = require('../config')
+const params = require('../helper/params')
 const _ = require('lodash')
 const utils = require('../helper/utils')
 
@@ -87,7 +89,8 @@ const METADATA = Object.freeze({
 const PROVIDERS_KEY = 'providers'
 // const TOPICS_KEY = 'topics'
 
-const _getProviders = c => c.getState(PROVIDERS_KEY, {})
+// a copy, since providers are changed and saved back
+const _getProviders = c => _.cloneDeep(c.getState(PROVIDERS_KEY, {}))
 const _saveProviders = (c, ps) => c.setState(PROVIDERS_KEY, ps)
 
 // const _getTopics = c => c.getState(TOPICS_KEY, {})
@@ -128,7 +131,7 @@ const _getProviderWithCheck = (context, providerAddr, block, msg) => {
   const providers = _getProviders(context)
   const p = providers[providerAddr]
   if (!p || !p.operator) {
-    throw new Error(`Invalid provider address ${providerAddr}.`)
+    throw errors.create('NOT_FOUND', { provider: providerAddr }, `Invalid provider address ${providerAddr}.`)
   }
 
   const did = exports.systemContracts().Did
@@ -153,13 +156,15 @@ exports.run = (context, options) => {
     registerProvider (providerAddr, options = {}) {
       providerAddr = providerAddr || msg.sender
 
-      if (msg.value < config.minProviderDeposit) {
-        throw new Error(`Gate Provider must deposit at least ${config.minProviderDeposit}.`)
+      const minProviderDeposit = params.get('gate.minProviderDeposit')
+      if (msg.value < minProviderDeposit) {
+        throw errors.create('INSUFFICIENT_DEPOSIT', { required: minProviderDeposit, provided: msg.value },
+          `Gate Provider must deposit at least ${minProviderDeposit}.`)
       }
 
       const providers = _getProviders(context)
       if (Object.prototype.hasOwnProperty.call(providers, providerAddr)) {
-        throw new Error(`Provider ${providerAddr} already exists.`)
+        throw errors.create('ALREADY_EXISTS', { provider: providerAddr }, `Provider ${providerAddr} already exists.`)
       }
 
       const p = _assignOptions({
@@ -201,7 +206,7 @@ exports.run = (context, options) => {
       const [p, ps] = _getProviderWithCheck(context, providerAddr, block, msg)
 
       if (!p.paused) {
-        throw new Error('Provider is not paused.')
+        throw errors.create('INVALID_STATE', { provider: providerAddr }, 'Provider is not paused.')
       }
 
       delete p.paused
@@ -221,12 +226,13 @@ exports.run = (context, options) => {
       const [p, providers] = _getProviderWithCheck(context, providerAddr, block, msg)
 
       if (!p.unregistered) {
-        throw new Error('You must unregister the provider first.')
+        throw errors.create('INVALID_STATE', { provider: providerAddr }, 'You must unregister the provider first.')
       }
 
       const waitTill = p.unregistered + config.unregistrationLock
       if (waitTill < block.number) {
-        throw new Error(`Please wait to block ${waitTill} to withdraw, current block is ${block.number}.`)
+        throw errors.create('INVALID_STATE', { provider: providerAddr, waitTill },
+          `Please wait to block ${waitTill} to withdraw, current block is ${block.number}.`)
       }
 
       const rAddr = receivingAddr || msg.sender
@@ -286,7 +292,7 @@ exports.run = (context, options) => {
     setResult (requestId, result) {
       const providers = _getProviders(context)
       if (!Object.prototype.hasOwnProperty.call(providers, msg.sender)) {
-        throw new Error(`Provider not registered: ${msg.sender}.`)
+        throw errors.create('NOT_FOUND', { provider: msg.sender }, `Provider not registered: ${msg.sender}.`)
       }
 
       // TODO: check provider conditions/topics
@@ -294,7 +300,7 @@ exports.run = (context, options) => {
 
       const requestData = this.getState(requestId)
       if (!requestData) {
-        throw new Error(`Request ${requestId} no longer exists.`)
+        throw errors.create('NOT_FOUND', { request: requestId }, `Request ${requestId} no longer exists.`)
       }
 
       const contract = loadContract(requestData.options.requester)
@@ -0,0 +1,245 @@
+/**
+ * On-chain governance of chain parameters listed in config.governance.params.
+ * Those who stake in system.election, as validator operators or voters, can propose parameter changes and vote.
+ * When the voting period ends, votes are weighted by the stake of voters at that time.
+ * An approved proposal takes effect at the block height set by the proposer.
+ */
+
+const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
+const { Governance: CONTRACT_NAME } = require('./sysconnames')
+const { governance: config } = require('../config')
+const _ = require('lodash')
+
+const METADATA = Object.freeze({
+  propose: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'changes', type: 'object' },
+      { name: 'activateAt', type: 'number' },
+      { name: 'description', type: ['string', 'undefined'] }
+    ],
+    returnType: 'string'
+  },
+  vote: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'id', type: 'string' },
+      { name: 'approve', type: 'boolean' }
+    ],
+    returnType: 'undefined'
+  },
+  getProposal: {
+    decorators: ['view'],
+    params: [
+      { name: 'id', type: 'string' }
+    ],
+    returnType: ['object', 'undefined']
+  },
+  getProposals: {
+    decorators: ['view'],
+    params: [
+      { name: 'status', type: ['string', 'undefined'] }
+    ],
+    returnType: 'Array'
+  },
+  getParams: {
+    decorators: ['view'],
+    params: [],
+    returnType: 'object'
+  }
+})
+
+const INTERNAL_METADATA = {
+  // called by the node at the beginning of each block
+  _processProposals: {
+    decorators: ['transaction'],
+    params: [],
+    returnType: 'undefined'
+  }
+}
+
+const PROPOSALS_KEY = 'proposals'
+const PARAMS_KEY = 'params'
+const SEQ_KEY = 'seq'
+
+const MILLION = BigInt(1000000)
+
+// parameters which could not be zero
+const POSITIVE_PARAMS = ['election.epoch', 'election.numberOfValidators', 'gas.maxTxGas']
+
+const isDue = (p, block) => {
+  return (p.status === 'voting' && block.number >= p.votingEndsAt) ||
+    (p.status === 'approved' && block.number >= p.activateAt)
+}
+
+const validateChanges = changes => {
+  const paths = Object.keys(changes)
+  if (!paths.length) {
+    throw errors.create('INVALID_ARGUMENT', {}, 'Proposal must change at least one parameter.')
+  }
+
+  paths.forEach(path => {
+    if (!config.params.includes(path)) {
+      throw errors.create('INVALID_ARGUMENT', { path }, `Parameter ${path} cannot be changed by governance.`)
+    }
+
+    const value = changes[path]
+    const min = POSITIVE_PARAMS.includes(path) ? 1 : 0
+    if (!Number.isInteger(value) || value < min) {
+      throw errors.create('INVALID_ARGUMENT', { path, value, min }, `Invalid value for ${path}, must be an integer not less than ${min}.`)
+    }
+  })
+}
+
+exports.ondeploy = state => {
+  state.storage = {
+    [PROPOSALS_KEY]: {},
+    [PARAMS_KEY]: {},
+    [SEQ_KEY]: 0
+  }
+  return state
+}
+
+// standard contract interface
+exports.run = (context, options) => {
+  const { msg, block } = context.runtime
+  const msgParams = checkMsg(msg, Object.assign({}, INTERNAL_METADATA, METADATA), {
+    sysContracts: this.systemContracts()
+  })
+
+  const election = exports.systemContracts().Election
+
+  const getProposal = id => {
+    const proposal = context.getState([PROPOSALS_KEY, id])
+    if (!proposal) {
+      throw errors.create('NOT_FOUND', { proposal: id }, `Proposal ${id} does not exist.`)
+    }
+    return proposal
+  }
+
+  const tally = proposal => {
+    let yes = BigInt(0)
+    let no = BigInt(0)
+    Object.entries(proposal.votes).forEach(([voter, approve]) => {
+      const stake = election.getStake(voter)
+      approve ? (yes += stake) : (no += stake)
+    })
+
+    const total = election.getTotalStake()
+    const voted = yes + no
+    const quorum = voted > BigInt(0) && voted * MILLION >= total * BigInt(config.quorumPerMillion)
+    return quorum && yes * MILLION >= voted * BigInt(config.thresholdPerMillion)
+  }
+
+  const contract = {
+    propose (changes, activateAt, description) {
+      if (election.getStake(msg.sender) <= BigInt(0)) {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'Only those who stake in system.election can propose.')
+      }
+
+      validateChanges(changes)
+
+      const votingEndsAt = block.number + config.votingPeriod
+      if (!Number.isInteger(activateAt) || activateAt <= votingEndsAt) {
+        throw errors.create('INVALID_ARGUMENT', { activateAt, votingEndsAt }, `Proposal must be activated after voting ends at block ${votingEndsAt}.`)
+      }
+
+      const seq = context.getState(SEQ_KEY, 0) + 1
+      const id = String(seq)
+      context.setState(SEQ_KEY, seq)
+      context.setState([PROPOSALS_KEY, id], {
+        id,
+        proposer: msg.sender,
+        changes,
+        description,
+        activateAt,
+        votingEndsAt,
+        votes: {},
+        status: 'voting'
+      })
+
+      context.emitEvent('ProposalCreated', { id, proposer: msg.sender }, ['proposer'])
+
+      return id
+    },
+
+    vote (id, approve) {
+      const proposal = getProposal(id)
+      if (proposal.status !== 'voting' || block.number >= proposal.votingEndsAt) {
+        throw errors.create('INVALID_STATE', { proposal: id, status: proposal.status }, `Voting for proposal ${id} is over.`)
+      }
+      if (election.getStake(msg.sender) <= BigInt(0)) {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'Only those who stake in system.election can vote.')
+      }
+
+      context.setState([PROPOSALS_KEY, id, 'votes', msg.sender], approve)
+    },
+
+    getProposal (id) {
+      return _.cloneDeep(context.getState([PROPOSALS_KEY, id]))
+    },
+
+    getProposals (status) {
+      const proposals = Object.values(context.getState(PROPOSALS_KEY, {}))
+      return proposals.filter(p => !status || p.status === status).map(p => _.cloneDeep(p))
+    },
+
+    getParams () {
+      return context.getState(PARAMS_KEY, {})
+    },
+
+    _processProposals () {
+      if (msg.sender !== 'system') {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'This function can only be called by the system.')
+      }
+
+      // a copy, as the status of proposals is changed and saved back
+      const proposals = _.cloneDeep(context.getState(PROPOSALS_KEY, {}))
+      Object.values(proposals)
+        .filter(p => isDue(p, block))
+        .sort((a, b) => Number(a.id) - Number(b.id))
+        .forEach(p => {
+          if (p.status === 'voting') {
+            p.status = tally(p) ? 'approved' : 'rejected'
+            context.emitEvent('ProposalClosed', { id: p.id, status: p.status })
+          }
+
+          // activateAt is always after votingEndsAt, but the node might skip blocks when restoring
+          if (p.status === 'approved' && block.number >= p.activateAt) {
+            context.setState(PARAMS_KEY, Object.assign({}, context.getState(PARAMS_KEY, {}), p.changes))
+            p.status = 'activated'
+            context.emitEvent('ProposalActivated', { id: p.id })
+          }
+        })
+
+      context.setState(PROPOSALS_KEY, proposals)
+    }
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(contract, msg.name)) {
+    return METADATA
+  } else {
+    return contract[msg.name].apply(context, msgParams)
+  }
+}
+
+const storageOf = self => self.unsafeStateManager().getAccountState(CONTRACT_NAME).storage || {}
+
+/**
+ * check if there are proposals to close or activate at a block
+ * @param {object} block - current block
+ * @returns {boolean} has due proposals
+ */
+exports.hasDueProposals = function (block) {
+  const proposals = storageOf(this)[PROPOSALS_KEY] || {}
+  return Object.values(proposals).some(p => isDue(p, block))
+}
+
+/**
+ * get parameter changes in effect
+ * @returns {object} map of config path => value
+ */
+exports.getParams = function () {
+  return storageOf(this)[PARAMS_KEY] || {}
+}
@@ -1,4 +1,5 @@
 const SysContractNames = require('./sysconnames')
+const errors = require('../helper/errors')
 
 const systemContracts = Object.keys(SysContractNames).reduce((prev, key) => {
   prev[SysContractNames[key]] = exports[key] = require('./' + key.toLowerCase())
@@ -11,7 +12,7 @@ exports.has = key => Object.prototype.hasOwnProperty.call(systemContracts, key)
 
 exports.run = (key, context, options) => {
   if (!Object.prototype.hasOwnProperty.call(systemContracts, key)) {
-    throw new Error(`System contract ${key} cannot be found.`)
+    throw errors.create('SYSCON_NOT_FOUND', { name: key })
   }
 
   return systemContracts[key].run.call(context, context, options)
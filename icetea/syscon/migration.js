@@ -1,3 +1,5 @@
+const errors = require('../helper/errors')
+
 const canMerge = (o, n) => {
   if (o == null || typeof o !== 'object') return false
   if (n == null || typeof n !== 'object') return false
@@ -15,7 +17,7 @@ const merge = (o, n) => {
 
 const expectOwner = context => {
   if (context.runtime.msg.sender !== process.env.MIGRATE_ADDRESS) {
-    throw new Error('Permission denied.')
+    throw errors.create('PERMISSION_DENIED', { address: context.runtime.msg.sender })
   }
 }
 
@@ -37,7 +39,7 @@ module.exports = () => {
   function importState (data, overwrite) {
     expectOwner(this.context)
     const maxBlockNumber = process.env.MAX_BLOCK_MIGRATE
-    if (this.context.runtime.block.number > maxBlockNumber) throw new Error(`Can't importState when blocknumber > ${maxBlockNumber}`)
+    if (this.context.runtime.block.number > maxBlockNumber) throw errors.create('INVALID_STATE', { maxBlockNumber }, `Can't importState when blocknumber > ${maxBlockNumber}`)
 
     let count = 0
     Object.entries(data).forEach(([key, value]) => {
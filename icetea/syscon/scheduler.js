@@ -0,0 +1,242 @@
+/**
+ * Schedule a contract call or a transfer to be executed at a future block height or time.
+ * The value and fee of the call are deposited when scheduling,
+ * the node executes due calls at the beginning of each block as if they were sent by the one who scheduled them.
+ * If the call fails, the value is refunded but the fee is not.
+ */
+
+const { codec } = require('@iceteachain/common')
+const { checkMsg } = require('../helper/types')
+const errors = require('../helper/errors')
+const chainParams = require('../helper/params')
+const { Scheduler: CONTRACT_NAME } = require('./sysconnames')
+const _ = require('lodash')
+
+const METADATA = Object.freeze({
+  schedule: {
+    decorators: ['payable'],
+    params: [
+      { name: 'to', type: 'address' },
+      { name: 'name', type: ['string', 'null', 'undefined'] },
+      { name: 'params', type: ['Array', 'null', 'undefined'] },
+      { name: 'at', type: 'object' },
+      { name: 'fee', type: ['number', 'string', 'bigint', 'undefined'] }
+    ],
+    returnType: 'string'
+  },
+  cancel: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'id', type: 'string' }
+    ],
+    returnType: 'undefined'
+  },
+  getScheduled: {
+    decorators: ['view'],
+    params: [
+      { name: 'id', type: 'string' }
+    ],
+    returnType: ['object', 'undefined']
+  },
+  getScheduledBy: {
+    decorators: ['view'],
+    params: [
+      { name: 'from', type: 'address' }
+    ],
+    returnType: 'Array'
+  }
+})
+
+const INTERNAL_METADATA = {
+  _release: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'id', type: 'string' }
+    ],
+    returnType: 'undefined'
+  },
+  _drop: {
+    decorators: ['transaction'],
+    params: [
+      { name: 'id', type: 'string' }
+    ],
+    returnType: 'undefined'
+  }
+}
+
+const CALLS_KEY = 'calls'
+const SEQ_KEY = 'seq'
+// pending calls in the order they fall due, arrays of [due, seq], one for calls at a height and one for calls at a time
+const BLOCK_QUEUE_KEY = 'blockQueue'
+const TIME_QUEUE_KEY = 'timeQueue'
+
+const isDue = (call, block) => {
+  return call.at.block != null ? block.number >= call.at.block : block.timestamp >= call.at.timestamp
+}
+
+const queueKeyOf = ({ at }) => at.block != null ? BLOCK_QUEUE_KEY : TIME_QUEUE_KEY
+
+const queueEntryOf = ({ at, seq }) => [at.block != null ? at.block : at.timestamp, seq]
+
+const compareEntries = ([due1, seq1], [due2, seq2]) => (due1 - due2) || (seq1 - seq2)
+
+const validateTime = (at, block) => {
+  const keys = Object.keys(at)
+  if (keys.length !== 1 || !['block', 'timestamp'].includes(keys[0]) || !Number.isInteger(at[keys[0]])) {
+    throw errors.create('INVALID_ARGUMENT', { at }, 'Invalid schedule time, must be either { block: height } or { timestamp: milliseconds }.')
+  }
+  if (isDue({ at }, block)) {
+    throw errors.create('INVALID_ARGUMENT', { at }, 'Schedule time must be in the future.')
+  }
+}
+
+exports.ondeploy = state => {
+  state.storage = {
+    [CALLS_KEY]: {},
+    [SEQ_KEY]: 0,
+    [BLOCK_QUEUE_KEY]: [],
+    [TIME_QUEUE_KEY]: []
+  }
+  return state
+}
+
+// standard contract interface
+exports.run = (context, options) => {
+  const { msg, block } = context.runtime
+  const msgParams = checkMsg(msg, Object.assign({}, INTERNAL_METADATA, METADATA), {
+    sysContracts: this.systemContracts()
+  })
+
+  const getCall = id => {
+    const call = context.getState([CALLS_KEY, id])
+    if (!call) {
+      throw errors.create('NOT_FOUND', { call: id }, `Scheduled call ${id} does not exist.`)
+    }
+    return call
+  }
+
+  const enqueue = call => {
+    const key = queueKeyOf(call)
+    const queue = context.getState(key, []).concat([queueEntryOf(call)])
+    context.setState(key, queue.sort(compareEntries))
+  }
+
+  const remove = call => {
+    const key = queueKeyOf(call)
+    context.setState(key, context.getState(key, []).filter(([, seq]) => seq !== call.seq))
+  }
+
+  const contract = {
+    schedule (to, name, params, at, fee = 0) {
+      // value & fee of the call are paid by msg.sender when executed, so it must be able to hold balance
+      if (!codec.isBankAddress(msg.sender)) {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'Only bank accounts can schedule calls.')
+      }
+      validateTime(at, block)
+
+      fee = BigInt(fee)
+      const maxTxGas = chainParams.get('gas.maxTxGas')
+      if (Number(fee) > maxTxGas) {
+        throw errors.create('TX_FEE_TOO_HIGH', { fee, max: maxTxGas })
+      }
+      const value = BigInt(msg.value || 0) - fee
+      if (fee < BigInt(0) || value < BigInt(0)) {
+        throw errors.create('INSUFFICIENT_DEPOSIT', { required: fee, provided: msg.value }, 'Invalid fee, the fee must be deposited together with the value.')
+      }
+
+      const seq = context.getState(SEQ_KEY, 0) + 1
+      const id = String(seq)
+      const call = {
+        id,
+        seq,
+        from: msg.sender,
+        to,
+        name: name || undefined,
+        params: params || [],
+        value,
+        fee,
+        at,
+        scheduledAt: block.number
+      }
+      context.setState(SEQ_KEY, seq)
+      context.setState([CALLS_KEY, id], call)
+      enqueue(call)
+
+      context.emitEvent('CallScheduled', { id, from: msg.sender, to }, ['from'])
+
+      return id
+    },
+
+    cancel (id) {
+      const call = getCall(id)
+      if (call.from !== msg.sender) {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'Only the one who scheduled the call can cancel it.')
+      }
+
+      context.deleteState([CALLS_KEY, id])
+      remove(call)
+      context.transfer(call.from, call.value + call.fee)
+
+      context.emitEvent('ScheduledCallCanceled', { id, from: call.from }, ['from'])
+    },
+
+    getScheduled (id) {
+      return _.cloneDeep(context.getState([CALLS_KEY, id]))
+    },
+
+    getScheduledBy (from) {
+      const calls = context.getState(CALLS_KEY, {})
+      return Object.values(calls).filter(c => c.from === from).map(c => _.cloneDeep(c))
+    },
+
+    // called by the node before executing a due call
+    _release (id) {
+      if (msg.sender !== 'system') {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'This function can only be called by the system.')
+      }
+
+      const call = getCall(id)
+      context.deleteState([CALLS_KEY, id])
+      remove(call)
+
+      // the call transfers value and pays fee from call.from as a normal tx
+      context.transfer(call.from, call.value + call.fee)
+    },
+
+    // called by the node to give up a due call it could not execute nor charge, the deposit is kept
+    _drop (id) {
+      if (msg.sender !== 'system') {
+        throw errors.create('PERMISSION_DENIED', { address: msg.sender }, 'This function can only be called by the system.')
+      }
+
+      const call = getCall(id)
+      context.deleteState([CALLS_KEY, id])
+      remove(call)
+    }
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(contract, msg.name)) {
+    return METADATA
+  } else {
+    return contract[msg.name].apply(context, msgParams)
+  }
+}
+
+/**
+ * get calls which are due at a block, up to max of the earliest due at a height and at a time,
+ * in the order they were scheduled
+ * @param {object} block - current block
+ * @param {number} max - maximum number of calls to return
+ * @returns {Array.<object>} due calls
+ */
+exports.getDueCalls = function (block, max) {
+  const storage = this.unsafeStateManager().getAccountState(CONTRACT_NAME).storage || {}
+  const calls = storage[CALLS_KEY] || {}
+
+  // only the heads of the queues are read, at most max of each
+  const dueOf = (key, now) => _.takeWhile((storage[key] || []).slice(0, max), ([due]) => now >= due)
+  return dueOf(BLOCK_QUEUE_KEY, block.number).concat(dueOf(TIME_QUEUE_KEY, block.timestamp))
+    .sort(([, seq1], [, seq2]) => seq1 - seq2)
+    .slice(0, max)
+    .map(([, seq]) => _.cloneDeep(calls[String(seq)]))
+}
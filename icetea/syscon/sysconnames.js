@@ -5,5 +5,7 @@ module.exports = Object.freeze({
   BotStore: 'system.botstore',
   Gate: 'system.gate',
   Faucet: 'system.faucet',
+  Scheduler: 'system.scheduler',
+  Governance: 'system.governance',
   EchoBot: 'system.echo_bot'
 })
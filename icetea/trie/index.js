@@ -1,4 +1,4 @@
-const { Trie } = require('./trie')
+const { Trie, computeRoot } = require('./trie')
 const trieHash = require('./hash')
 const { MemDB } = require('./memdb')
 
@@ -7,3 +7,5 @@ exports.createTrie = ({ rootHash, backingDb } = {}) => {
   const trie = new Trie(rootHash, trieHash, backingDb, trieHash.naiveHash)
   return trie
 }
+
+exports.computeRoot = (key, value, siblings) => computeRoot(key, value, siblings, trieHash, trieHash.naiveHash)
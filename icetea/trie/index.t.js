@@ -1,15 +1,14 @@
 const assert = require('assert')
 const { createTrie } = require('.')
 
-const testBasic = () => {
+const testBasic = async () => {
   const trie = createTrie()
   const key1 = Buffer.from('key1')
   const value1 = Buffer.from('value1')
-  console.log(trie.get(key1))
-  assert.strictEqual(trie.get(key1), undefined)
+  assert.strictEqual(await trie.get(key1), undefined)
 
-  trie.put(key1, value1)
-  assert.strictEqual(trie.get(key1).equals(value1), true)
+  await trie.put(key1, value1)
+  assert.strictEqual((await trie.get(key1)).equals(value1), true)
 }
 
 testBasic()
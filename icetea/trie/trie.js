@@ -1,4 +1,6 @@
 const HASH_SIZE = 32
+// depth of leaves, nodes above are at depth 0 (root) to LEAF_DEPTH - 1
+const LEAF_DEPTH = HASH_SIZE * 8 - 1
 
 // convert to bit field (not very optimal way)
 const keyToPath = key => key.reduce((s, b) => {
@@ -9,7 +11,7 @@ const keyToPath = key => key.reduce((s, b) => {
 class Trie {
     rootHash
 
-    // the backing DB, should support sync put and get
+    // the backing DB, should support sync put, get could be sync or return a promise
     backingDb
 
     // hash should be 256 bit size
@@ -43,7 +45,7 @@ class Trie {
 
     // key is a buffer of 256 bits (tx hash, block hash)
     // if it is not so, it should be hashed first (similar to 'secure' option of Pacitria)
-    get (key) {
+    async get (key) {
       if (this.keyHash) {
         key = this.keyHash(key)
       }
@@ -53,10 +55,10 @@ class Trie {
       let currentHash = this.rootHash
       const lastIndex = path.length - 1
       for (let i = 0; i <= lastIndex; i++) {
-        const buf = this.getNode(currentHash)
+        const buf = await this.getNode(currentHash)
         if (i === lastIndex) {
           // we are at leaf level, just return the value stored there
-          return buf
+          return buf === 0 ? undefined : buf
         } else if (buf === 0) {
           // got zero at non-leaf => key not exsit
           return
@@ -73,7 +75,20 @@ class Trie {
 
     // key is a buffer of 256 bits (tx hash, block hash)
     // if it is not so, it should be hashed first (similar to 'secure' option of Pacitria)
-    put (key, value) {
+    async put (key, value) {
+      const leafHash = this.trieHash.naiveHash(value)
+      leafHash.writeUInt16BE(1, 0)
+      this.backingDb.put(leafHash, value)
+      return this.update(key, leafHash)
+    }
+
+    // remove a key, the trie becomes the same as if the key was never put
+    async del (key) {
+      return this.update(key, this.trieHash.zeroHash())
+    }
+
+    // set the leaf hash of a key and rehash nodes along its path up to the root
+    async update (key, leafHash) {
       if (this.keyHash) {
         key = this.keyHash(key)
       }
@@ -88,50 +103,102 @@ class Trie {
       // we did not mutate zeroHash, so no need to create new for each loop
       const zeroBuf = this.trieHash.zeroHash()
 
-      for (let i = 0; i <= lastIndex; i++) {
-        if (i < lastIndex) {
-          // We are en-route (not reach leaf yet)
+      for (let i = 0; i < lastIndex; i++) {
+        const buf = await this.getNode(currentHash)
+        const goLeft = path[i] === '0'
+        const left = buf === 0 ? zeroBuf : buf.slice(0, HASH_SIZE)
+        const right = buf === 0 ? zeroBuf : buf.slice(HASH_SIZE)
+        pathHashes[i] = { goLeft, left, right }
 
-          const buf = this.getNode(currentHash)
-          const goLeft = path[i] === '0'
-          const left = buf === 0 ? zeroBuf : buf.slice(0, HASH_SIZE)
-          const right = buf === 0 ? zeroBuf : buf.slice(HASH_SIZE)
-          pathHashes[i] = { goLeft, left, right }
+        currentHash = goLeft ? left : right
+      }
 
-          currentHash = goLeft ? left : right
-        } else {
-          // we reach leaf
-
-          // update the leaf
-          currentHash = this.trieHash.naiveHash(value)
-          currentHash.writeUInt16BE(1, 0)
-          this.backingDb.put(currentHash, value)
-
-          // going back to update hashes
-          for (let j = lastIndex - 1; j >= 0; j--) {
-            // Go back one step
-            // at this point
-            const { goLeft, left, right } = pathHashes[j]
-
-            // either left or right must has changed then we need to rehash
-            const { hash, content, shortcut } = this.trieHash.hash(goLeft ? currentHash : left, goLeft ? right : currentHash)
-
-            // if it is not shortcut (i.e. the content can't be derived from the hash itself)
-            // we need to store the content in database
-            if (!shortcut) {
-              this.backingDb.put(hash, content)
-            }
-
-            // remember current hash for next loop
-            currentHash = hash
-
-            if (j === 0) {
-              this.rootHash = hash
-            }
-          }
+      // we reach leaf, going back to update hashes
+      currentHash = leafHash
+      for (let j = lastIndex - 1; j >= 0; j--) {
+        // Go back one step
+        // at this point
+        const { goLeft, left, right } = pathHashes[j]
+
+        // either left or right must has changed then we need to rehash
+        // hash could shift its input in place, so do not pass the sibling, which is a slice of a stored node
+        const sibling = Buffer.from(goLeft ? right : left)
+        const { hash, content, shortcut } = this.trieHash.hash(goLeft ? currentHash : sibling, goLeft ? sibling : currentHash)
+
+        // if it is not shortcut (i.e. the content can't be derived from the hash itself)
+        // we need to store the content in database
+        if (!shortcut) {
+          this.backingDb.put(hash, content)
+        }
+
+        // remember current hash for next loop
+        currentHash = hash
+      }
+      this.rootHash = currentHash
+    }
+
+    // get the value of a key with the hashes of its siblings along the path, to prove the value
+    // siblings are from the root down, the root could be computed back by computeRoot
+    async prove (key) {
+      if (this.keyHash) {
+        key = this.keyHash(key)
+      }
+      const path = keyToPath(key)
+
+      const siblings = []
+      let currentHash = this.rootHash
+      for (let i = 0; i < LEAF_DEPTH; i++) {
+        const buf = await this.getNode(currentHash)
+        if (buf === 0) {
+          return { siblings }
         }
+
+        const goLeft = path[i] === '0'
+        siblings.push(goLeft ? buf.slice(HASH_SIZE) : buf.slice(0, HASH_SIZE))
+        currentHash = goLeft ? buf.slice(0, HASH_SIZE) : buf.slice(HASH_SIZE)
+      }
+
+      const value = await this.getNode(currentHash)
+      return { value: value || undefined, siblings }
+    }
+
+    // visit nodes depth-first, empty subtrees are skipped
+    // visit({ hash, node, leaf, stored }) could return false to skip the subtree of a node
+    // stored is false if the node is a shortcut derived from its hash, so it is not in backingDb
+    async walk (visit, hash = this.rootHash, depth = 0) {
+      if (!hash || this.trieHash.isAllZero(hash)) {
+        return
+      }
+
+      const stored = this.trieHash.dehash(hash) === undefined
+      const node = await this.getNode(hash)
+      const leaf = depth === LEAF_DEPTH
+      if ((await visit({ hash, node, leaf, stored })) === false || leaf) {
+        return
       }
+
+      await this.walk(visit, node.slice(0, HASH_SIZE), depth + 1)
+      await this.walk(visit, node.slice(HASH_SIZE), depth + 1)
     }
 }
 
-module.exports = { Trie }
+// compute the root hash from a value and its siblings, as returned by Trie.prove
+const computeRoot = (key, value, siblings, trieHash, keyHash) => {
+  if (keyHash) {
+    key = keyHash(key)
+  }
+  const path = keyToPath(key)
+
+  let currentHash = trieHash.naiveHash(value)
+  currentHash.writeUInt16BE(1, 0)
+  for (let j = LEAF_DEPTH - 1; j >= 0; j--) {
+    // hash could shift its input in place, so do not pass the caller's buffer
+    const sibling = Buffer.from(siblings[j])
+    const goLeft = path[j] === '0'
+    currentHash = trieHash.hash(goLeft ? currentHash : sibling, goLeft ? sibling : currentHash).hash
+  }
+
+  return currentHash
+}
+
+module.exports = { Trie, computeRoot, LEAF_DEPTH }
@@ -8,6 +8,7 @@ const { isContract } = require('../../state/statemanager')
 const crypto = require('crypto')
 const { ContractMode, TxOp } = require('@iceteachain/common')
 const { ensureAddress } = require('../../syscon/alias')
+const forks = require('../../helper/forks')
 
 const moduleUtils = Object.freeze(require('@iceteachain/utils/utils.js'))
 const moduleCrypto = Object.freeze({
@@ -48,6 +49,13 @@ const _require = (name) => {
   return reload(name)
 }
 
+// run a call to another contract in a nested draft, so that the caller could catch its error
+// without keeping its changes, see stateproxy checkpoint
+// before the checkpoint fork, the changes made until the error are kept
+const _checkpoint = ({ block, tools, events }, fn) => {
+  return forks.isActive('checkpoint', block.number) ? tools.checkpoint(fn, events) : fn()
+}
+
 function _makeLoadContract (invokerTypes, srcContract, options) {
   return destContract => {
     return new Proxy({}, {
@@ -79,7 +87,7 @@ function _makeLoadLibrary (invokerTypes, srcContract, options) {
 }
 
 function _makeTransfer (transferMethod, srcContract, options) {
-  return (to, value) => {
+  return (to, value) => _checkpoint(options, () => {
     transferMethod(to, value)
     if (!isContract(to)) {
       return
@@ -94,7 +102,7 @@ function _makeTransfer (transferMethod, srcContract, options) {
     if (!invoked[to]) { // prevent cycle onreceive
       return invoker.invokeUpdate(to, config.messages.onreceive, [], newOpts)
     }
-  }
+  })
 }
 
 function _makeInvokableMethod (invokerTypes, destContract, method, options) {
@@ -102,7 +110,8 @@ function _makeInvokableMethod (invokerTypes, destContract, method, options) {
 
   return invokerTypes.reduce((obj, t) => {
     obj[t] = (...params) => {
-      return invoker[t](destContract, method, params, options)
+      const invoke = () => invoker[t](destContract, method, params, options)
+      return t === 'invokeUpdate' ? _checkpoint(options, invoke) : invoke()
     }
 
     if (t === 'invokeUpdate') {
@@ -111,7 +120,7 @@ function _makeInvokableMethod (invokerTypes, destContract, method, options) {
         const newOpts = { ...options, tx }
         return {
           [t] (...params) {
-            return invoker[t](destContract, method, params, newOpts)
+            return _checkpoint(newOpts, () => invoker[t](destContract, method, params, newOpts))
           }
         }
       }
@@ -135,12 +144,12 @@ function _makeLibraryMethod (invokerTypes, destContract, method, options) {
 }
 
 function _makeDeployContract (tools, contractHelpers, address, options) {
-  return (contractSrc, deployOptions = {}) => {
+  return (contractSrc, deployOptions = {}) => _checkpoint(options, () => {
     const isBuf = Buffer.isBuffer(contractSrc)
     const srcBuffer = isBuf ? contractSrc : Buffer.from(contractSrc)
     const defMode = isBuf ? ContractMode.JS_WASM : ContractMode.JS_RAW
     let src
-    const { mode = defMode, value = 0, params = [] } = deployOptions
+    const { mode = defMode, value = 0, params = [], salt } = deployOptions
     if (mode === ContractMode.JS_RAW) {
       src = srcBuffer.toString('base64')
     } else if (mode === ContractMode.JS_WASM) {
@@ -161,7 +170,7 @@ function _makeDeployContract (tools, contractHelpers, address, options) {
       value: BigInt(value)
     }
     const contractState = invoker.prepareContract(tx)
-    const newAddress = tools.deployContract(address, contractState)
+    const newAddress = tools.deployContract(address, contractState, { salt, src: srcBuffer })
 
     // NOTE: No call __on_received when deploying
     // Should transfer before call ondeploy
@@ -172,6 +181,13 @@ function _makeDeployContract (tools, contractHelpers, address, options) {
     // must include tx into the options so that ondeploy can access tx.value, etc.
     invoker.invokeUpdate(newAddress, config.messages.ondeploy, tx.data.params, { ...options, tx })
     return newAddress
+  })
+}
+
+function _makePredictContractAddress (tools, address) {
+  return ({ salt, src } = {}) => {
+    const srcBuffer = (src == null || Buffer.isBuffer(src)) ? src : Buffer.from(src)
+    return tools.contractAddressOf(address, { salt, src: srcBuffer })
   }
 }
 
@@ -251,7 +267,8 @@ exports.forTransaction = (contractAddress, methodName, methodParams, options) =>
       isValidAddress,
       getContractInfo: (addr, errorMessage) => _getContractInfo(tools, addr, errorMessage),
       require: _require,
-      deployContract: _makeDeployContract(tools, contractHelpers, contractAddress, options)
+      deployContract: _makeDeployContract(tools, contractHelpers, contractAddress, options),
+      predictContractAddress: _makePredictContractAddress(tools, contractAddress)
     },
     emitEvent: (eventName, eventData, indexes = []) => {
       utils.emitEvent(contractAddress, events, eventName, eventData, indexes)
@@ -8,8 +8,9 @@ const wrapper = require('./wrapper/raw')
 const transpilePlugins = require('../../config').rawJs.transpile
 const utils = require('../../helper/utils')
 const config = require('../../config')
+const params = require('../../helper/params')
+const errors = require('../../helper/errors')
 
-const { freeGasLimit, minStateGas, gasPerByte, maxTxGas } = config.gas
 const path = require('path')
 const fs = require('fs')
 const debugFactory = require('debug')
@@ -98,6 +99,10 @@ module.exports = class extends Runner {
   }
 
   doRun (srcWrapper, { context, guard, info }) {
+    const { freeGasLimit, minStateGas, gasPerByte, maxTxGas } = params.get('gas')
+    // view calls out of a block have no block number, so they get the errors of the current rules
+    const { number: height = Infinity } = context.runtime.block || {}
+    const outOfGas = (data, message) => errors.createAt(height, 'OUT_OF_GAS', data, message)
     let gasLimit = maxTxGas
     if (context.emitEvent) { // isTx
       const userGas = freeGasLimit + Number(context.runtime.msg.fee)
@@ -144,7 +149,7 @@ module.exports = class extends Runner {
       }
 
       if (gasUsed > gasLimit) {
-        throw new Error(`setState ${key} failed: out of gas`)
+        throw outOfGas({ gasUsed, gasLimit }, `setState ${key} failed: out of gas`)
       }
 
       context.setState(key, value)
@@ -153,7 +158,7 @@ module.exports = class extends Runner {
       gasUsed += minStateGas
 
       if (gasUsed > gasLimit) {
-        throw new Error(`deleteState ${key} failed: out of gas.`)
+        throw outOfGas({ gasUsed, gasLimit }, `deleteState ${key} failed: out of gas.`)
       }
 
       context.deleteState(key, subKeys)
@@ -168,7 +173,7 @@ module.exports = class extends Runner {
 
       if (gasUsed > gasLimit) {
         if (context.emitEvent) { // isTX
-          throw new Error('Out of gas.')
+          throw outOfGas({ gasUsed, gasLimit })
         }
         throw new Error('Out of allowed resources.')
       }
@@ -190,7 +195,7 @@ module.exports = class extends Runner {
       // last check for contract call contract
       if (info.__gas_used > gasLimit) {
         if (context.emitEvent) { // isTX
-          throw new Error('Out of gas.')
+          throw outOfGas({ gasUsed: info.__gas_used, gasLimit })
         }
         throw new Error('Out of allowed resources.')
       }
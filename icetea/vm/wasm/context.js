@@ -1,6 +1,7 @@
 /** @module */
 const { emitEvent } = require('../../helper/utils')
 const invoker = require('../../invoker/contractinvoker')
+const forks = require('../../helper/forks')
 
 /**
  * context for (with invoke type)
@@ -63,7 +64,9 @@ exports.forTransaction = (address, fname, fparams = [], options) => {
       return invoker.invokeView(to, method, params, { ...options, from: address })
     },
     write_contract: (to, method, params) => {
-      return invoker.invokeUpdate(to, method, params, options)
+      const invoke = () => invoker.invokeUpdate(to, method, params, options)
+      // in a nested draft from the checkpoint fork, see stateproxy checkpoint
+      return forks.isActive('checkpoint', block.number) ? tools.checkpoint(invoke, events) : invoke()
     },
     has_state: hasState,
     load: key => getState(key, ''),
@@ -2,13 +2,13 @@
 /*eslint-disable*/
 const util = require('util');
 const sizeof = require('object-sizeof')
-const config = require('../../config')
-const { minStateGas, gasPerByte, freeGasLimit, maxTxGas } = config.gas
+const params = require('../../helper/params')
 const debug = require('debug')('icetea:wasm')
 
 const wasm_bindgen = function ({ log, importTableName, get_sender, get_address, get_balance, now, get_block_hash, get_block_number, get_msg_value, get_msg_fee, load, save, has_state, delete_state, transfer, read_contract, write_contract, emit_event }) {
   var wasm
   const __exports = {}
+  const { freeGasLimit, maxTxGas } = params.get('gas')
   let gasLimit = maxTxGas // mocking, change this depend on bussiness (gas price)
   let gasUsed = 0
   let isTx = false
@@ -742,6 +742,7 @@ const wasm_bindgen = function ({ log, importTableName, get_sender, get_address,
  */
 module.exports = (wasmBuffer) => {
   return (ctx, info) => {
+    const { minStateGas, gasPerByte, freeGasLimit, maxTxGas } = params.get('gas')
     let gasLimit = maxTxGas
     let isTx = false
     if(ctx.get_msg_fee) {
@@ -2,6 +2,8 @@ require('dotenv').config()
 const fs = require('fs')
 const { transpile, setWhiteListModules } = require('@iceteachain/sunseed')
 const { whitelistModules } = require('../icetea/config')
+const { TxOp } = require('../icetea/helper/txop')
+const { ContractMode } = require('@iceteachain/common')
 
 global.fetch = require('node-fetch')
 setWhiteListModules(whitelistModules)
@@ -26,11 +28,8 @@ async function deploy () {
   tweb3.wallet.importAccount(key)
   const botstore = tweb3.contract('system.botstore')
 
-  // deploy the astrobot
   const src = await transpile(fs.readFileSync(botFile, 'utf8'), { prettier: true })
-  const theBot = await tweb3.deploy(src, { value: 10000e6 })
 
-  // add astrobot alias
   const alias = tweb3.contract('system.alias', key)
   const oldBot = await alias.methods.resolve('contract.' + botName).call()
   if (oldBot) {
@@ -38,15 +37,30 @@ async function deploy () {
     botName = botName + '_' + Date.now().toString(36).substr(-4)
     console.log('Use new bot name: ' + botName)
   }
-  console.log(botName, theBot)
-  await alias.methods.register(botName, theBot.address).sendCommit()
 
-  // register astrobot with botstore
+  // deploy the bot, add its alias and register it with botstore in one atomic batch tx
+  const ops = [
+    {
+      value: 10000e6,
+      data: { op: TxOp.DEPLOY_CONTRACT, mode: ContractMode.JS_RAW, src: Buffer.from(src).toString('base64') }
+    },
+    {
+      to: 'system.alias',
+      data: { op: TxOp.CALL_CONTRACT, name: 'register', params: [botName, { $ref: 0 }] }
+    }
+  ]
+
   const existed = await botstore.methods.resolve('contract.' + botName).call()
   if (!existed) {
     const avatar = 'http://i.pravatar.cc/150?img=' + (Date.now() % 70 + 1)
-    await botstore.methods.register('contract.' + botName, 0, avatar).sendCommit()
+    ops.push({
+      to: 'system.botstore',
+      data: { op: TxOp.CALL_CONTRACT, name: 'register', params: ['contract.' + botName, 0, avatar] }
+    })
   }
+
+  const result = await tweb3.sendTransactionCommit({ data: { op: TxOp.BATCH, ops } })
+  console.log(botName, result.returnValue[0])
 }
 
 (async function () {
@@ -6,8 +6,10 @@ merkle.load().then(async data => {
     originHash = data.block.stateRoot
     console.log('Stored Hash: ', originHash)
   }
-  if (data && data.state) {
-    calcHash = await merkle.getHash(data.state)
+  if (data && data.root) {
+    // accounts are not loaded with data, read them one by one
+    await merkle.forEachAccount(data.root, (address, account) => console.log(address, account), { storage: true })
+    calcHash = await merkle.getHash(data.root)
     console.log('Recaculated Hash: ', calcHash)
     if (originHash.toString('base64') === calcHash.toString('base64')) {
       console.log('HASH MATCHES')
@@ -0,0 +1,26 @@
+// Export the last committed state to the app_state of a tendermint genesis file, so that a new chain could start from it.
+// Usage: node scripts/export.js <genesis.json>
+// The file is created if it does not exist, otherwise its app_state and validators are replaced.
+const fs = require('fs')
+const patricia = require('../icetea/helper/patricia')
+const { exportAppState, exportValidators } = require('../icetea/helper/genesis')
+
+const file = process.argv[2]
+if (!file) {
+  console.error('Usage: node scripts/export.js <genesis.json>')
+  process.exit(1)
+}
+
+patricia.load().then(async data => {
+  if (!data || !data.root) {
+    throw new Error('No committed state to export.')
+  }
+
+  const state = await patricia.getStateTable(data.root)
+  const doc = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+  doc.app_state = exportAppState({ state, height: data.block.number })
+  doc.validators = exportValidators(data.validators || [])
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2))
+
+  console.log(`State at height ${data.block.number} exported to ${file}.`)
+}).catch(console.error)
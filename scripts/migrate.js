@@ -0,0 +1,27 @@
+// Convert the state db to another state backend (config.state.backend), e.g. from 'patricia' to 'smt'.
+// Usage: node scripts/migrate.js <backend> <target path> [source path]
+// The source db is kept, the state of its last block is rebuilt into the target db and checked entry by entry.
+// The backend decides the app hash, so every node of a chain must migrate at the same height,
+// and the chain continues from the new app hash printed here, e.g. as a new chain exported with scripts/export.js.
+const fs = require('fs')
+const patricia = require('../icetea/helper/patricia')
+const config = require('../icetea/config')
+
+const [backend, target, source = config.state.path] = process.argv.slice(2)
+if (!backend || !target) {
+  console.error('Usage: node scripts/migrate.js <backend> <target path> [source path]')
+  process.exit(1)
+}
+if (fs.existsSync(target) && fs.readdirSync(target).length) {
+  console.error(`Target ${target} is not empty.`)
+  process.exit(1)
+}
+
+patricia.migrate({ source, target, backend }).then(({ height, entries, oldRoot, newRoot }) => {
+  console.log(`State at height ${height} matches app hash ${oldRoot.toString('hex').toUpperCase()}.`)
+  console.log(`${entries} entries migrated to ${target}, new app hash ${newRoot.toString('hex').toUpperCase()}.`)
+  console.log(`Set config.state.backend to '${backend}' and config.state.path to '${target}' to use it.`)
+}).catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,100 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance, switchEncoding } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { TxOp } = require('../../icetea/helper/txop')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { ecc, ContractMode } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let instance
+beforeAll(async () => {
+  const handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+async function deployOp () {
+  const src = await transpile(`
+    @contract class Bot {
+      @view @state name = 'test bot'
+    }`)
+  return {
+    data: { op: TxOp.DEPLOY_CONTRACT, mode: ContractMode.JS_RAW, src: switchEncoding(src, 'utf8', 'base64') }
+  }
+}
+
+describe('batch transaction', () => {
+  test('deploy, register alias and botstore atomically', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    const name = 'batchbot' + Date.now().toString(36)
+
+    const ops = [
+      await deployOp(),
+      { to: 'system.alias', data: { op: TxOp.CALL_CONTRACT, name: 'register', params: [name, { $ref: 0 }] } },
+      { to: 'system.botstore', data: { op: TxOp.CALL_CONTRACT, name: 'register', params: ['contract.' + name, 0] } }
+    ]
+    const result = await tweb3.sendTransactionCommit({ from, data: { op: TxOp.BATCH, ops } }, { from })
+    const [address, alias] = result.returnValue
+    expect(alias).toBe('contract.' + name)
+
+    const resolved = await tweb3.contract('system.alias').methods.resolve('contract.' + name).call()
+    expect(resolved).toBe(address)
+    const bot = await tweb3.contract('system.botstore').methods.resolve('contract.' + name).call()
+    expect(bot).toBeDefined()
+
+    expect(Number((await tweb3.getBalance(from)).balance)).toBe(10000)
+  })
+
+  test('nothing is applied when an operation fails', async () => {
+    const { address: from } = account10k
+    const { address: to } = await ecc.newBankKeys()
+    const name = 'failbot' + Date.now().toString(36)
+
+    const ops = [
+      { to, value: 100 },
+      await deployOp(),
+      { to: 'system.alias', data: { op: TxOp.CALL_CONTRACT, name: 'register', params: [name, { $ref: 1 }] } },
+      // not a bot alias
+      { to: 'system.botstore', data: { op: TxOp.CALL_CONTRACT, name: 'register', params: ['contract.not_existed', 0] } }
+    ]
+    await expect(tweb3.sendTransactionCommit({ from, data: { op: TxOp.BATCH, ops } }, { from }))
+      .rejects.toThrowError('Require a bot alias.')
+
+    expect(Number((await tweb3.getBalance(to)).balance)).toBe(0)
+    expect(Number((await tweb3.getBalance(from)).balance)).toBe(10000)
+    const resolved = await tweb3.contract('system.alias').methods.resolve('contract.' + name).call()
+    expect(resolved).toBeUndefined()
+  })
+
+  test('invalid batch transaction', async () => {
+    const { address: from } = account10k
+    const { address: to } = await ecc.newBankKeys()
+
+    await expect(tweb3.sendTransactionCommit({ from, value: 1, data: { op: TxOp.BATCH, ops: [{ to, value: 1 }] } }, { from }))
+      .rejects.toThrowError('Batch transaction value must be zero')
+
+    await expect(tweb3.sendTransactionCommit({ from, data: { op: TxOp.BATCH, ops: [] } }, { from }))
+      .rejects.toThrowError('Batch transaction must have at least one operation.')
+
+    const ops = [{ to: 'system.alias', data: { op: TxOp.CALL_CONTRACT, name: 'register', params: ['abc', { $ref: 0 }] } }]
+    await expect(tweb3.sendTransactionCommit({ from, data: { op: TxOp.BATCH, ops } }, { from }))
+      .rejects.toThrowError('Operation 0 references result of operation 0')
+  })
+})
@@ -0,0 +1,99 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { ContractMode } = require('@iceteachain/common')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let instance
+beforeAll(async () => {
+  const handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+const CALLEE_SRC = `
+  const { msg } = this.runtime;
+  switch (msg.name) {
+  case 'getValue':
+    return this.getState('value');
+  case 'setValue':
+    this.setState('value', msg.params[0]);
+    this.emitEvent('ValueChanged', { value: msg.params[0] });
+    if (msg.params[1]) {
+      throw new Error('callee failed');
+    }
+    return msg.params[0];
+  }`
+
+const CALLER_SRC = `
+  const { msg, loadContract } = this.runtime;
+  const { name, params } = msg;
+  switch (name) {
+  case 'getState':
+    return { calls: this.getState('calls'), error: this.getState('error') };
+  case 'trySetValue': {
+    this.setState('calls', (this.getState('calls') || 0) + 1);
+    try {
+      return loadContract(params[0]).setValue.invokeUpdate(params[1], params[2]);
+    } catch (err) {
+      this.setState('error', err.message);
+    }
+    return;
+  }
+  case 'setValue':
+    this.setState('calls', (this.getState('calls') || 0) + 1);
+    return loadContract(params[0]).setValue.invokeUpdate(params[1], params[2]);
+  }`
+
+describe('checkpoint', () => {
+  test('caller catches a failed call and keeps its own changes', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const callee = await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLEE_SRC }, { from })
+    const caller = await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLER_SRC }, { from })
+
+    let r = await caller.methods.trySetValue(callee.address, 1, false).sendCommit({ from })
+    expect(r.deliver_tx.code).toBeFalsy()
+    expect(r.events.filter(e => e.eventName === 'ValueChanged')).toEqual([{
+      emitter: callee.address,
+      eventName: 'ValueChanged',
+      eventData: { value: 1 }
+    }])
+    expect(await callee.methods.getValue().call()).toBe(1)
+
+    // the callee throws after changing its state and emitting an event, the caller catches it
+    r = await caller.methods.trySetValue(callee.address, 2, true).sendCommit({ from })
+    expect(r.deliver_tx.code).toBeFalsy()
+    expect(r.events.filter(e => e.eventName === 'ValueChanged')).toEqual([])
+
+    expect(await callee.methods.getValue().call()).toBe(1)
+    expect(await caller.methods.getState().call()).toEqual({ calls: 2, error: 'callee failed' })
+  })
+
+  test('uncaught error still fails the whole tx', async () => {
+    const { address: from } = account10k
+    const callee = await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLEE_SRC }, { from })
+    const caller = await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLER_SRC }, { from })
+
+    await expect(caller.methods.setValue(callee.address, 2, true).sendCommit({ from })).rejects.toThrowError('callee failed')
+    expect(await callee.methods.getValue().call()).toBe(undefined)
+    expect(await caller.methods.getState().call()).toEqual({})
+  })
+})
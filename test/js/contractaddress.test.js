@@ -0,0 +1,119 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance, switchEncoding } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { TxOp } = require('../../icetea/helper/txop')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec, ContractMode } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+async function predict (data) {
+  const res = await handler.query({ path: 'predictContractAddress', data: codec.encode(data) })
+  expect(res.code).toBe(0)
+  return codec.decode(res.value)
+}
+
+const CHILD_SRC = `
+  const msg = this.runtime.msg;
+  switch (msg.name) {
+  case 'getValue':
+    return 1;
+  default:
+    return { getValue: { decorators: ['view'] } }
+  }`
+
+const FACTORY_SRC = `
+  const msg = this.runtime.msg;
+  const childSrc = ${JSON.stringify(CHILD_SRC)};
+  switch (msg.name) {
+  case 'deployTwo':
+    return [this.runtime.deployContract(childSrc), this.runtime.deployContract(childSrc)];
+  case 'deploySalted':
+    const predicted = this.runtime.predictContractAddress({ salt: msg.params[0], src: childSrc });
+    const deployed = this.runtime.deployContract(childSrc, { salt: msg.params[0] });
+    return [predicted, deployed];
+  default:
+    return {
+      deployTwo: { decorators: ['transaction'] },
+      deploySalted: { decorators: ['transaction'] }
+    }
+  }`
+
+const deployData = (src, salt) => ({ op: TxOp.DEPLOY_CONTRACT, mode: ContractMode.JS_RAW, src: switchEncoding(src, 'utf8', 'base64'), salt })
+
+describe('contract address', () => {
+  test('addresses follow deploy nonce', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const next = await predict({ deployedBy: from })
+    const ops = [{ data: deployData(CHILD_SRC) }, { data: deployData(CHILD_SRC) }]
+    const { returnValue: [first, second] } = await tweb3.sendTransactionCommit({ from, data: { op: TxOp.BATCH, ops } }, { from })
+    expect(first).toBe(next)
+    expect(second).not.toBe(first)
+
+    expect((await tweb3.getAccountInfo(from)).deployNonce).toBe(2)
+    expect(await predict({ deployedBy: from })).not.toBe(second)
+  })
+
+  test('factory deploys distinct contracts in one call', async () => {
+    const { address: from } = account10k
+
+    const { returnValue: factory } = await tweb3.sendTransactionCommit({ from, data: deployData(FACTORY_SRC) }, { from })
+    const { returnValue: [a, b] } = await tweb3.sendTransactionCommit({
+      from, to: factory, data: { op: TxOp.CALL_CONTRACT, name: 'deployTwo', params: [] }
+    }, { from })
+    expect(a).not.toBe(b)
+    expect((await tweb3.getAccountInfo(a)).deployedBy).toBe(factory)
+    expect((await tweb3.getAccountInfo(b)).deployedBy).toBe(factory)
+
+    const { returnValue: [predicted, deployed] } = await tweb3.sendTransactionCommit({
+      from, to: factory, data: { op: TxOp.CALL_CONTRACT, name: 'deploySalted', params: ['s1'] }
+    }, { from })
+    expect(deployed).toBe(predicted)
+  })
+
+  test('salted addresses', async () => {
+    const { address: from } = account10k
+    const data = deployData(CHILD_SRC, 'salt' + Date.now())
+
+    const predicted = await predict({ deployedBy: from, salt: data.salt, src: data.src })
+    const nonce = (await tweb3.getAccountInfo(from)).deployNonce
+
+    // funds sent before deploying are kept
+    await tweb3.transfer(predicted, 10, { from })
+    const { returnValue: address } = await tweb3.sendTransactionCommit({ from, data }, { from })
+    expect(address).toBe(predicted)
+    expect(Number((await tweb3.getBalance(address)).balance)).toBe(10)
+    expect((await tweb3.getAccountInfo(from)).deployNonce).toBe(nonce)
+
+    await expect(tweb3.sendTransactionCommit({ from, data }, { from }))
+      .rejects.toThrowError('please use another salt')
+
+    // a different source gives a different address
+    const other = deployData(CHILD_SRC + '\n', data.salt)
+    expect(await predict({ deployedBy: from, salt: other.salt, src: other.src })).not.toBe(predicted)
+  })
+})
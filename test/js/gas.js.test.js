@@ -1,8 +1,9 @@
 /* global jest describe test expect beforeAll afterAll */
 
-const { randomAccountWithBalance, sleep } = require('../helper')
+const { randomAccountWithBalance, sleep, switchEncoding } = require('../helper')
 const { startupWith } = require('../../icetea/app/abcihandler')
 const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec, TxOp, ContractMode } = require('@iceteachain/common')
 const server = require('abci')
 const createTempDir = require('tempy').directory
 const { transpile } = global
@@ -11,9 +12,10 @@ jest.setTimeout(30000)
 
 let tweb3
 let account10k // this key should have 10k of coins before running test suite
+let handler
 let instance
 beforeAll(async () => {
-  const handler = await startupWith({ path: createTempDir(), freeGasLimit: 0 })
+  handler = await startupWith({ path: createTempDir(), freeGasLimit: 0 })
   instance = server(handler)
   instance.listen(global.ports.abci)
   await sleep(4000)
@@ -72,6 +74,48 @@ describe('simple store contract', () => {
     expect(setValueResult.hash).toBeDefined()
   })
 
+  test('estimate gas', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const estimate = async tx => {
+      const res = await handler.query({ path: 'estimateGas', data: codec.encode(tx) })
+      expect(res.code).toBe(0)
+      return codec.decode(res.value)
+    }
+
+    const transpiledSrc = await transpile(src)
+    const deployData = {
+      op: TxOp.DEPLOY_CONTRACT,
+      mode: ContractMode.JS_RAW,
+      src: switchEncoding(transpiledSrc, 'utf8', 'base64')
+    }
+    const deployEstimation = await estimate({ from, data: deployData })
+    expect(deployEstimation.success).toBe(true)
+    expect(deployEstimation.deployGas).toBeGreaterThan(0)
+    expect(deployEstimation.gasUsed).toBe(deployEstimation.deployGas + deployEstimation.executionGas)
+    expect(deployEstimation.fee).toBeGreaterThan(0)
+
+    const result = await tweb3.deploy(transpiledSrc, { from, fee: deployEstimation.fee })
+    expect(result.address).toBeDefined()
+
+    const callData = { op: TxOp.CALL_CONTRACT, name: 'setValue', params: [1000] }
+    const callEstimation = await estimate({ from, to: result.address, data: callData })
+    expect(callEstimation.success).toBe(true)
+    expect(callEstimation.deployGas).toBe(0)
+    expect(callEstimation.executionGas).toBeGreaterThan(0)
+
+    const simplestoreContract = tweb3.contract(result.address)
+    await expect(simplestoreContract.methods.setValue(1000).sendCommit({ from, fee: callEstimation.fee - 1 })).rejects.toThrow(Error)
+    const setValueResult = await simplestoreContract.methods.setValue(1000).sendCommit({ from, fee: callEstimation.fee })
+    expect(setValueResult.hash).toBeDefined()
+
+    // failed execution is reported
+    const failedEstimation = await estimate({ from, to: result.address, data: { ...callData, params: [0] } })
+    expect(failedEstimation.success).toBe(false)
+    expect(failedEstimation.error).toContain('Invalid value')
+  })
+
   test('loop many times', async () => {
     const loopSrc = `
       @contract class Loop  {
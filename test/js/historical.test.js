@@ -0,0 +1,81 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+async function query (path, data, height) {
+  const res = await handler.query({ path, data: codec.encode(data), height })
+  expect(res.code).toBe(0)
+  return codec.decode(res.value)
+}
+
+describe('historical queries', () => {
+  test('invokeView at past heights', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const src = await transpile(`
+      @contract class Counter {
+        @state value = 0
+        @transaction increase () { this.value++ }
+        @view getValue () { return this.value }
+      }`)
+    const ct = await tweb3.deploy({ data: src }, { from })
+
+    const r1 = await ct.prepareMethod('increase').sendCommit({ from })
+    const r2 = await ct.prepareMethod('increase').sendCommit({ from })
+    const h1 = +r1.height
+    const h2 = +r2.height
+    expect(h2).toBeGreaterThan(h1)
+
+    // wait for the block containing r2 to be committed
+    await sleep(1500)
+
+    const view = { address: ct.address, name: 'getValue', params: [] }
+    expect(await query('invokeView', view, h1)).toBe(1)
+    expect(await query('invokeView', view, h2)).toBe(2)
+    expect(await query('invokeView', view)).toBe(2)
+
+    const before = await query('account_info', ct.address, h1 - 1)
+    expect(before.hasSrc).toBe(true)
+
+    const storage = await query('storage', { address: ct.address, path: 'value' }, h1)
+    expect(storage).toBe(1)
+  })
+
+  test('height without state', async () => {
+    const res = await handler.query({
+      path: 'invokeView',
+      data: codec.encode({ address: 'system.election', name: 'getCandidates', params: [] }),
+      height: 100000
+    })
+    expect(res.code).toBe(3)
+    expect(res.info).toContain('No state found at height 100000.')
+  })
+})
@@ -0,0 +1,131 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+async function query (path, data) {
+  const res = await handler.query({ path, data: codec.encode(data) })
+  expect(res.code).toBe(0)
+  return codec.decode(res.value)
+}
+
+async function queryAll (path, data) {
+  let items = []
+  let cursor
+  do {
+    const page = await query(path, { ...data, cursor })
+    items = items.concat(page.items)
+    cursor = page.nextCursor
+  } while (cursor)
+  return items
+}
+
+describe('paged queries', () => {
+  test('contracts', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const src = await transpile('@contract class Empty {}')
+    const addresses = []
+    for (let i = 0; i < 3; i++) {
+      addresses.push((await tweb3.deploy({ data: src }, { from })).address)
+    }
+    addresses.sort()
+
+    const first = await query('contracts', { deployedBy: from, limit: 2 })
+    expect(first.total).toBe(3)
+    expect(first.items.map(c => c.address)).toEqual(addresses.slice(0, 2))
+    expect(first.items[0].deployedBy).toBe(from)
+    expect(first.nextCursor).toBeDefined()
+
+    const second = await query('contracts', { deployedBy: from, limit: 2, cursor: first.nextCursor })
+    expect(second.items.map(c => c.address)).toEqual(addresses.slice(2))
+    expect(second.nextCursor).toBeUndefined()
+
+    const desc = await queryAll('contracts', { deployedBy: from, sort: '-address', limit: 1 })
+    expect(desc.map(c => c.address)).toEqual([...addresses].reverse())
+
+    const system = await queryAll('contracts', { system: true })
+    expect(system.map(c => c.address)).toContain('system.election')
+    expect(system.every(c => c.system)).toBe(true)
+
+    // the old reply is kept when no options are given
+    expect(await query('contracts')).toEqual(expect.arrayContaining(addresses))
+
+    const res = await handler.query({ path: 'contracts', data: codec.encode({ sort: 'size' }) })
+    expect(res.info).toContain('Unsupported sort size')
+  })
+
+  test('storage keys', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const src = await transpile(`
+      @contract class Store {
+        @state items = { a: 1, b: 2, c: 3, d: 4, e: 5 }
+      }`)
+    const ct = await tweb3.deploy({ data: src }, { from })
+
+    const page = await query('storageKeys', { address: ct.address, path: 'items', limit: 2, values: true })
+    expect(page.total).toBe(5)
+    expect(page.items).toEqual([{ key: 'a', value: 1 }, { key: 'b', value: 2 }])
+
+    const keys = await queryAll('storageKeys', { address: ct.address, path: 'items', sort: '-key', limit: 2 })
+    expect(keys).toEqual(['e', 'd', 'c', 'b', 'a'].map(key => ({ key })))
+
+    expect((await query('storageKeys', { address: ct.address })).items).toContainEqual({ key: 'items' })
+  })
+
+  test('state', async () => {
+    const { NODE_ENV, DEBUG_STATE } = process.env
+    expect((await query('state', { limit: 1 })).info).toContain('Enable debug')
+
+    process.env.NODE_ENV = 'development'
+    process.env.DEBUG_STATE = '1'
+    try {
+      const page = await query('state', { contract: false, sort: '-balance', limit: 2 })
+      expect(page.items.length).toBe(2)
+      expect(page.items.some(a => a.src)).toBe(false)
+      expect(BigInt(page.items[0].balance) >= BigInt(page.items[1].balance)).toBe(true)
+
+      // accounts are listed without storage, it is read for the accounts of the page
+      const { address: from } = account10k
+      const ct = await tweb3.deploy({ data: await transpile('@contract class Store { @state value = 1 }') }, { from })
+      const contracts = await queryAll('state', { contract: true, deployedBy: from, limit: 2 })
+      expect(contracts.find(a => a.address === ct.address).storage.value).toBe(1)
+    } finally {
+      process.env.NODE_ENV = NODE_ENV
+      if (DEBUG_STATE === undefined) {
+        delete process.env.DEBUG_STATE
+      } else {
+        process.env.DEBUG_STATE = DEBUG_STATE
+      }
+    }
+  })
+})
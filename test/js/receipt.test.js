@@ -0,0 +1,95 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+async function query (path, data) {
+  const res = await handler.query({ path, data: codec.encode(data) })
+  return res.code === 0 ? codec.decode(res.value) : res
+}
+
+describe('receipts', () => {
+  test('receipts and events of txs', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const src = await transpile(`
+      @contract class Token {
+        @transaction send (to: string, amount: number) {
+          this.emitEvent('Sent', { to, amount }, ['to'])
+          return amount
+        }
+        @transaction fail () { throw new Error('always fail') }
+      }`)
+    const ct = await tweb3.deploy({ data: src }, { from })
+
+    const r1 = await ct.methods.send('alice', 1).sendCommit({ from })
+    const r2 = await ct.methods.send('bob', 2).sendCommit({ from })
+    await expect(ct.methods.fail().sendCommit({ from })).rejects.toThrowError('always fail')
+
+    // wait for the blocks to be committed
+    await sleep(1500)
+
+    const receipt = await query('receipt', r1.hash)
+    expect(receipt.status).toBe('success')
+    expect(receipt.data).toBe(1)
+    expect(receipt.height).toBe(+r1.height)
+    expect(receipt.index).toBe(0)
+    expect(receipt.gasUsed).toBeGreaterThan(0)
+    expect(receipt.events.find(e => e.emitter === ct.address)).toEqual({
+      emitter: ct.address, eventName: 'Sent', eventData: { to: 'alice', amount: '1' }, indexes: ['to']
+    })
+
+    const notFound = await query('receipt', 'AB'.repeat(32))
+    expect(notFound.code).toBe(3)
+    expect(notFound.info).toContain('not found')
+
+    const sent = await query('events', { emitter: ct.address, eventName: 'Sent' })
+    expect(sent.map(e => e.eventData.to)).toEqual(['alice', 'bob'])
+    expect(sent[1].txHash).toBe(r2.hash.toUpperCase())
+
+    const toBob = await query('events', { emitter: ct.address, attributes: { to: 'bob' } })
+    expect(toBob.length).toBe(1)
+    expect(toBob[0].height).toBe(+r2.height)
+
+    // amount is not indexed
+    expect(await query('events', { emitter: ct.address, attributes: { amount: '1' } })).toEqual([])
+
+    const inRange = await query('events', { eventName: 'Sent', fromBlock: +r2.height, toBlock: +r2.height })
+    expect(inRange.map(e => e.eventData.to)).toEqual(['bob'])
+
+    expect((await query('events', { emitter: ct.address, limit: 1 })).length).toBe(1)
+
+    const txs = await query('events', { emitter: 'system', eventName: 'tx', attributes: { to: ct.address } })
+    const receipts = await Promise.all(txs.map(e => query('receipt', e.txHash)))
+    const failed = receipts.filter(r => r.status === 'failed')
+    expect(failed.length).toBe(1)
+    expect(failed[0].error).toContain('always fail')
+  })
+})
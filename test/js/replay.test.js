@@ -3,6 +3,7 @@
 const { ecc } = require('@iceteachain/common')
 const { sleep, randomAccountWithBalance } = require('../helper')
 const { startupWith } = require('../../icetea/app/abcihandler')
+const config = require('../../icetea/config')
 const { IceteaWeb3 } = require('@iceteachain/web3')
 const server = require('abci')
 const createTempDir = require('tempy').directory
@@ -61,4 +62,17 @@ describe('replay protection', () => {
     // thrown by icetea, because tendermint has no cache now since it restarted
     await expect(tweb3.sendRawTransaction(txSigned, 'commit')).rejects.toThrowError('This transaction was already included in blockchain, no need to send again.')
   })
+
+  test('transaction out of replay window will throw err', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    const keyInfo = await ecc.newBankKeys()
+    const { window } = config.replay
+
+    const expiredTx = await tweb3.signTransaction({ from, to: keyInfo.address, value: 1, nonce: Date.now() - 2 * window }, { from })
+    await expect(tweb3.sendRawTransaction(expiredTx, 'commit')).rejects.toThrowError('Transaction has expired, please sign it again.')
+
+    const futureTx = await tweb3.signTransaction({ from, to: keyInfo.address, value: 1, nonce: Date.now() + 2 * window }, { from })
+    await expect(tweb3.sendRawTransaction(futureTx, 'commit')).rejects.toThrowError('Transaction nonce is too far in the future')
+  })
 })
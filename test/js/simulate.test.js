@@ -0,0 +1,102 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec, ecc, TxOp } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+async function simulate (tx) {
+  const res = await handler.query({ path: 'simulateTx', data: codec.encode(tx) })
+  expect(res.code).toBe(0)
+  return codec.decode(res.value)
+}
+
+describe('simulateTx', () => {
+  test('simulate contract call', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const src = await transpile(`
+      @contract class Counter {
+        @state value = 0
+        @transaction increase () {
+          this.value++
+          this.emitEvent('Increased', { value: this.value })
+          return this.value
+        }
+        @transaction fail () { throw new Error('always fail') }
+        @view getValue () { return this.value }
+      }`)
+    const ct = await tweb3.deploy({ data: src }, { from })
+
+    // unsigned tx
+    const report = await simulate({ from, to: ct.address, data: { op: TxOp.CALL_CONTRACT, name: 'increase', params: [] } })
+    expect(report.success).toBe(true)
+    expect(report.result).toBe(1)
+    expect(report.gasUsed).toBeGreaterThan(0)
+    expect(report.patch.storages[ct.address].value).toBe(1)
+    expect(report.patch.storageKeys[ct.address]).toEqual(['value'])
+    expect(report.events.some(e => e.type === ct.address)).toBe(true)
+
+    // signed tx
+    const signed = await tweb3.signTransaction({ from, to: ct.address, data: { op: TxOp.CALL_CONTRACT, name: 'increase', params: [] } }, { from })
+    expect((await simulate(signed)).success).toBe(true)
+
+    // state is not changed
+    expect(await ct.methods.getValue().call()).toBe(0)
+
+    const failed = await simulate({ from, to: ct.address, data: { op: TxOp.CALL_CONTRACT, name: 'fail', params: [] } })
+    expect(failed.success).toBe(false)
+    expect(failed.error).toContain('always fail')
+  })
+
+  test('simulate transfer', async () => {
+    const { address: from } = account10k
+    const { address: to } = await ecc.newBankKeys()
+
+    const ok = await simulate({ from, to, value: 100 })
+    expect(ok.success).toBe(true)
+    expect(String(ok.patch.balances[to])).toBe('100')
+    expect(Number((await tweb3.getBalance(to)).balance)).toBe(0)
+
+    const failed = await simulate({ from, to, value: 20000 })
+    expect(failed.success).toBe(false)
+    expect(failed.error).toContain('does not have enough balance')
+    expect(Number((await tweb3.getBalance(from)).balance)).toBe(10000)
+  })
+
+  test('simulate tx with wrong signature', async () => {
+    const { address: from } = account10k
+    const { address: to } = await ecc.newBankKeys()
+    const signed = await tweb3.signTransaction({ from, to, value: 1 }, { from })
+    signed.value = 2
+
+    const report = await simulate(signed)
+    expect(report.success).toBe(false)
+    expect(report.error).toContain('Invalid signature.')
+  })
+})
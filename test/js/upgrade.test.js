@@ -0,0 +1,128 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance, switchEncoding } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { TxOp } = require('../../icetea/helper/txop')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { ecc, ContractMode } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let instance
+beforeAll(async () => {
+  const handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+const counterSrc = step => `
+  const msg = this.runtime.msg;
+  switch (msg.name) {
+  case '__on_received':
+    return msg.value;
+  case '__on_upgraded':
+    this.setState('version', msg.params[0]);
+    break;
+  case 'getValue':
+    return this.getState('value', 0);
+  case 'getVersion':
+    return this.getState('version', 1);
+  case 'increase':
+    this.setState('value', this.getState('value', 0) + ${step});
+    break;
+  default:
+    return {
+      getValue: { decorators: ['view'] },
+      getVersion: { decorators: ['view'] },
+      increase: { decorators: ['transaction'] }
+    }
+  }`
+
+const deployData = src => ({ op: TxOp.DEPLOY_CONTRACT, mode: ContractMode.JS_RAW, src: switchEncoding(src, 'utf8', 'base64') })
+const upgradeData = (src, params) => ({ ...deployData(src), op: TxOp.UPGRADE_CONTRACT, params })
+
+describe('contract upgrade', () => {
+  test('upgrade keeps storage and balance', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const { returnValue: to } = await tweb3.sendTransactionCommit({ from, value: 100, data: deployData(counterSrc(1)) }, { from })
+    await tweb3.sendTransactionCommit({ from, to, data: { op: TxOp.CALL_CONTRACT, name: 'increase', params: [] } }, { from })
+    expect(await tweb3.callReadonlyContractMethod(to, 'getValue')).toBe(1)
+    const before = await tweb3.getAccountInfo(to)
+
+    const result = await tweb3.sendTransactionCommit({ from, to, data: upgradeData(counterSrc(10), [2]) }, { from })
+    expect(result.returnValue).toBe(to)
+
+    const events = tweb3.utils.decodeTxEvents(result)
+    const ev = events.find(e => e.eventName === 'upgrade')
+    expect(ev.emitter).toBe('system')
+    expect(ev.eventData.address).toBe(to)
+
+    // storage & balance are kept, the migration hook is called
+    expect(await tweb3.callReadonlyContractMethod(to, 'getValue')).toBe(1)
+    expect(await tweb3.callReadonlyContractMethod(to, 'getVersion')).toBe(2)
+    expect(Number((await tweb3.getBalance(to)).balance)).toBe(100)
+
+    // new code is used
+    await tweb3.sendTransactionCommit({ from, to, data: { op: TxOp.CALL_CONTRACT, name: 'increase', params: [] } }, { from })
+    expect(await tweb3.callReadonlyContractMethod(to, 'getValue')).toBe(11)
+
+    const info = await tweb3.getAccountInfo(to)
+    expect(info.deployedBy).toBe(from)
+    expect(info.upgradedFrom).toBe(before.codeHash)
+    expect(info.codeHash).toBe(ev.eventData.codeHash)
+    expect(info.codeHash).not.toBe(before.codeHash)
+    expect(info.upgradedAt).toBe(Number(result.height))
+
+    // upgrade without migration
+    await tweb3.sendTransactionCommit({ from, to, data: upgradeData(counterSrc(100)) }, { from })
+    expect(await tweb3.callReadonlyContractMethod(to, 'getVersion')).toBe(2)
+  })
+
+  test('only deployer can upgrade', async () => {
+    const deployer = await randomAccountWithBalance(tweb3, 1000)
+    const other = await randomAccountWithBalance(tweb3, 1000)
+    tweb3.wallet.importAccount(deployer.privateKey)
+    tweb3.wallet.importAccount(other.privateKey)
+    const { address: from } = deployer
+
+    const { returnValue: to } = await tweb3.sendTransactionCommit({ from, data: deployData(counterSrc(1)) }, { from })
+    await expect(tweb3.sendTransactionCommit({ from: other.address, to, data: upgradeData(counterSrc(10)) }, { from: other.address }))
+      .rejects.toThrowError('Permission denied')
+
+    // an owner registered in system.did can
+    await tweb3.contract('system.did').methods.addOwner(from, other.address, 1).sendCommit({ from })
+    await tweb3.sendTransactionCommit({ from: other.address, to, data: upgradeData(counterSrc(10)) }, { from: other.address })
+    expect((await tweb3.getAccountInfo(to)).deployedBy).toBe(from)
+  })
+
+  test('invalid upgrade', async () => {
+    const { address: from } = account10k
+    const { address: bank } = await ecc.newBankKeys()
+
+    await expect(tweb3.sendTransactionCommit({ from, to: 'system.did', data: upgradeData(counterSrc(1)) }, { from }))
+      .rejects.toThrowError('System contracts cannot be upgraded.')
+    await expect(tweb3.sendTransactionCommit({ from, to: bank, data: upgradeData(counterSrc(1)) }, { from }))
+      .rejects.toThrowError('not a valid deployed contract')
+
+    const { returnValue: to } = await tweb3.sendTransactionCommit({ from, data: deployData(counterSrc(1)) }, { from })
+    await expect(tweb3.sendTransactionCommit({ from, to, value: 1, data: upgradeData(counterSrc(1)) }, { from }))
+      .rejects.toThrowError('Contract upgrade transaction value must be zero.')
+    await expect(tweb3.sendTransactionCommit({ from, to, data: { op: TxOp.CALL_CONTRACT, name: '__on_upgraded', params: [3] } }, { from }))
+      .rejects.toThrowError('Calling this method directly is not allowed')
+  })
+})
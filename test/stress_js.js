@@ -60,11 +60,59 @@ async function test (times) {
   tweb3.close()
 }
 
-let times = 50
-if (process.argv.length > 2) {
-  times = parseInt(process.argv[2]) || times
+// contract storage access in process, no node needed: node test/stress_js.js storage [keys] [txs]
+// each tx changes one candidate of a large map, like the election contract does
+function benchStorage (keys = 10000, txs = 1000) {
+  const _ = require('lodash')
+  const { getStateProxy, applyChanges } = require('../icetea/state/stateproxy')
+  const forks = require('../icetea/helper/forks')
+
+  const candidates = {}
+  for (let i = 0; i < keys; i++) {
+    candidates['c' + i] = { operator: 'op' + i, deposit: BigInt(i), votes: ['v' + i] }
+  }
+  const stateTable = { bench: { src: '', storage: { candidates, count: 0 } } }
+
+  const run = (name, fn) => {
+    const start = Date.now()
+    for (let i = 0; i < txs; i++) {
+      fn('c' + (i % keys))
+    }
+    console.log(`${name}: ${txs} txs in ${Date.now() - start}ms`)
+  }
+
+  // what each tx paid before storage drafts: a deep clone of the whole storage on first access
+  run('Deep clone', id => {
+    const storage = _.cloneDeep(stateTable.bench.storage)
+    storage.candidates[id].deposit += BigInt(1)
+  })
+
+  run('Storage draft', id => {
+    const { stateAccess, patch } = getStateProxy(stateTable)
+    const state = stateAccess.forUpdate('bench')
+    state.setState(['candidates', id, 'deposit'], state.getState(['candidates', id, 'deposit']) + BigInt(1))
+    applyChanges(stateTable, patch)
+  })
+
+  // each tx reads the whole map, which getState deep cloned before the frozenState fork
+  const readMap = height => id => {
+    const state = getStateProxy(stateTable, height).stateAccess.forView('bench')
+    return state.getState('candidates')[id].deposit
+  }
+  run('Read map, deep cloned', readMap(0))
+  run('Read map, frozen', readMap(forks.heightOf('frozenState')))
 }
 
-console.log(`Create ${times} transactions...`)
 const START = Date.now()
-test(times)
+if (process.argv[2] === 'storage') {
+  benchStorage(parseInt(process.argv[3]) || undefined, parseInt(process.argv[4]) || undefined)
+  tweb3.close()
+} else {
+  let times = 50
+  if (process.argv.length > 2) {
+    times = parseInt(process.argv[2]) || times
+  }
+
+  console.log(`Create ${times} transactions...`)
+  test(times)
+}
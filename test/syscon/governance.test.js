@@ -0,0 +1,101 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const params = require('../../icetea/helper/params')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+const { election: config } = require('../../icetea/config')
+
+jest.setTimeout(30000)
+
+let tweb3
+let voter
+let outsider
+let instance
+let fixedValidators
+beforeAll(async () => {
+  // keep the validator set as is when votes change
+  fixedValidators = process.env.FIXED_VALIDATORS
+  process.env.FIXED_VALIDATORS = '1'
+
+  const handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    cfg.governance.votingPeriod = 2
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  voter = await randomAccountWithBalance(tweb3, config.minValidatorDeposit * 20)
+  outsider = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+
+  // process.env is shared with the other test files
+  if (fixedValidators === undefined) {
+    delete process.env.FIXED_VALIDATORS
+  } else {
+    process.env.FIXED_VALIDATORS = fixedValidators
+  }
+})
+
+describe('governance', () => {
+  const ms = () => tweb3.contract('system.governance').methods
+
+  test('only stakeholders can propose', async () => {
+    tweb3.wallet.importAccount(outsider.privateKey)
+    await expect(ms().propose({ 'election.minVoterValue': 1 }, 1000).sendCommit({ from: outsider.address }))
+      .rejects.toThrowError('Only those who stake')
+  })
+
+  test('approved changes take effect at activation block', async () => {
+    tweb3.wallet.importAccount(voter.privateKey)
+    const from = voter.address
+
+    // the voter holds most of the stake
+    const [validator] = await tweb3.contract('system.election').methods.getValidators().call()
+    await tweb3.contract('system.election').methods.vote(validator.pubKey.data)
+      .sendCommit({ from, value: config.minValidatorDeposit * 10 })
+
+    await expect(ms().propose({ 'replay.window': 1 }, 1000).sendCommit({ from }))
+      .rejects.toThrowError('cannot be changed by governance')
+    await expect(ms().propose({ 'election.epoch': 0 }, 1000).sendCommit({ from }))
+      .rejects.toThrowError('Invalid value')
+
+    const { height } = await tweb3.transfer(outsider.address, 1, { from })
+    await expect(ms().propose({ 'election.minVoterValue': 1 }, +height + 2).sendCommit({ from }))
+      .rejects.toThrowError('must be activated after voting ends')
+
+    const { returnValue: id } = await ms().propose({ 'election.minVoterValue': 1 }, +height + 5, 'lower voter value').sendCommit({ from })
+    await ms().vote(id, true).sendCommit({ from })
+
+    await expect(ms().vote(id, true).sendCommit({ from: outsider.address }))
+      .rejects.toThrowError('Only those who stake')
+
+    await sleep(8000)
+    const proposal = await ms().getProposal(id).call()
+    expect(proposal.status).toBe('activated')
+    expect(await ms().getParams().call()).toEqual({ 'election.minVoterValue': 1 })
+    expect(params.get('election.minVoterValue')).toBe(1)
+    expect(params.get('election').minValidatorDeposit).toBe(config.minValidatorDeposit)
+
+    await expect(ms().vote(id, false).sendCommit({ from })).rejects.toThrowError('is over')
+  })
+
+  test('proposals without quorum are rejected', async () => {
+    const { address: from } = voter
+    const { returnValue: id } = await ms().propose({ 'gas.minTxGas': 1 }, 10000).sendCommit({ from })
+
+    await sleep(5000)
+    const proposal = await ms().getProposal(id).call()
+    expect(proposal.status).toBe('rejected')
+    expect(params.get('gas.minTxGas')).toBe(0)
+  })
+})
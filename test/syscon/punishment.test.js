@@ -0,0 +1,137 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const app = require('../../icetea/app/app')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { TxOp } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { createHash, randomBytes } = require('crypto')
+
+const { election: config } = require('../../icetea/config')
+
+jest.setTimeout(30000)
+
+let tweb3
+let richAccount
+let instance
+let fixedValidators
+beforeAll(async () => {
+  // candidates in this test are not real validators, do not send them to tendermint
+  fixedValidators = process.env.FIXED_VALIDATORS
+  process.env.FIXED_VALIDATORS = '1'
+
+  const handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    cfg.election.punishment = {
+      byzantine: { slashedRatePerMillion: 500000, jailedBlockCount: 2 },
+      downtime: { maxMissedBlocks: 3, slashedRatePerMillion: 100000, jailedBlockCount: 2 }
+    }
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  richAccount = await randomAccountWithBalance(tweb3, 10e10)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+
+  // process.env is shared with the other test files
+  if (fixedValidators === undefined) {
+    delete process.env.FIXED_VALIDATORS
+  } else {
+    process.env.FIXED_VALIDATORS = fixedValidators
+  }
+})
+
+const toValidatorAddress = pubkey => {
+  return createHash('sha256').update(Buffer.from(pubkey, 'base64')).digest().slice(0, 20).toString('hex')
+}
+
+const activity = ({ byzantine = [], signed = [], missed = [] }) => ({ byzantine, signed, missed })
+
+describe('punishment', () => {
+  const ms = () => tweb3.contract('system.election').methods
+  const getCandidate = async pubkey => {
+    const candidates = await ms().getCandidates(true).call()
+    return candidates.find(c => c.pubKey.data === pubkey)
+  }
+
+  const newCandidate = async (deposit) => {
+    const { privateKey, address: from } = richAccount
+    tweb3.wallet.importAccount(privateKey)
+
+    const pubkey = randomBytes(32).toString('base64')
+    const name = 'validator' + Date.now()
+    await ms().propose(pubkey, name).sendCommit({ from, value: deposit })
+    return { pubkey, name, address: toValidatorAddress(pubkey) }
+  }
+
+  test('downtime', async () => {
+    const { from } = richAccount
+    const deposit = config.minValidatorDeposit * 2
+    const { pubkey, address } = await newCandidate(deposit)
+
+    // read the counter synchronously, it is reset by next blocks since this candidate is not a real validator
+    const missedBlocks = () => app.getStorage({ address: 'system.election', path: ['candidates', pubkey, 'missedBlocks'] })
+
+    app.punishValidators(activity({ missed: [address] }))
+    app.punishValidators(activity({ missed: [address] }))
+    expect(missedBlocks()).toBe(2)
+
+    // signing resets the counter
+    app.punishValidators(activity({ signed: [address] }))
+    expect(missedBlocks()).toBeUndefined()
+
+    app.punishValidators(activity({ missed: [address] }))
+    app.punishValidators(activity({ missed: [address] }))
+    const events = app.punishValidators(activity({ missed: [address] }))
+    expect(events.length).toBe(1)
+    expect(events[0].type).toBe('system.election')
+
+    const c = await getCandidate(pubkey)
+    expect(c.jailed).toBe(true)
+    expect(Number(c.deposit)).toBe(deposit * 0.9)
+    expect(Number(c.slashed)).toBe(deposit * 0.1)
+    expect((await ms().getCandidates().call()).some(c => c.pubKey.data === pubkey)).toBe(false)
+
+    await expect(ms().unjail(pubkey).sendCommit({ from })).rejects.toThrowError('is jailed until block')
+
+    await sleep(4000)
+    await ms().unjail(pubkey).sendCommit({ from })
+    expect((await getCandidate(pubkey)).jailed).toBeUndefined()
+  })
+
+  test('byzantine', async () => {
+    const { from } = richAccount
+    const deposit = config.minValidatorDeposit
+    const { pubkey, name, address } = await newCandidate(deposit)
+
+    app.punishValidators(activity({ byzantine: [address] }))
+    const c = await getCandidate(pubkey)
+    expect(c.jailed).toBe(true)
+    expect(Number(c.deposit)).toBe(deposit / 2)
+
+    // must deposit enough before unjailing
+    await sleep(4000)
+    await expect(ms().unjail(pubkey).sendCommit({ from })).rejects.toThrowError('please call propose')
+    // a top up keeps the candidate name, but the name passed must not be taken, not even by the candidate
+    await ms().propose(pubkey, `${name}-topup`).sendCommit({ from, value: deposit / 2 })
+    await ms().unjail(pubkey).sendCommit({ from })
+    expect((await getCandidate(pubkey)).jailed).toBeUndefined()
+  })
+
+  test('only system can process validator activity', async () => {
+    const { from } = richAccount
+    await expect(tweb3.sendTransactionCommit({
+      from,
+      to: 'system.election',
+      data: { op: TxOp.CALL_CONTRACT, name: '_processValidatorActivity', params: [[], [], []] }
+    }, { from })).rejects.toThrowError('only be called by the system')
+  })
+})
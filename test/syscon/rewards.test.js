@@ -0,0 +1,88 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+const { election: config } = require('../../icetea/config')
+
+jest.setTimeout(30000)
+
+let tweb3
+let voter
+let instance
+let fixedValidators
+beforeAll(async () => {
+  // keep the validator set as is when votes change
+  fixedValidators = process.env.FIXED_VALIDATORS
+  process.env.FIXED_VALIDATORS = '1'
+
+  const handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    cfg.rewards.enabled = true
+    cfg.rewards.inflationPerBlock = 1100000
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  voter = await randomAccountWithBalance(tweb3, config.minVoterValue * 2)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+
+  // process.env is shared with the other test files
+  if (fixedValidators === undefined) {
+    delete process.env.FIXED_VALIDATORS
+  } else {
+    process.env.FIXED_VALIDATORS = fixedValidators
+  }
+})
+
+describe('rewards', () => {
+  test('validators and voters earn rewards', async () => {
+    const operator = process.env.BANK_ADDR
+    tweb3.wallet.importAccount(voter.privateKey)
+    const ms = tweb3.contract('system.election').methods
+
+    const [validator] = await ms.getValidators().call()
+    const pubkey = validator.pubKey.data
+    expect(validator.operator).toBe(operator)
+
+    await ms.vote(pubkey).sendCommit({ from: voter.address, value: config.minVoterValue })
+    await sleep(3000)
+
+    const voterRewards = Number(await ms.getRewards(voter.address).call())
+    const operatorRewards = Number(await ms.getRewards(operator).call())
+    expect(voterRewards).toBeGreaterThan(0)
+    expect(operatorRewards).toBeGreaterThan(voterRewards)
+
+    const before = Number((await tweb3.getBalance(voter.address)).balance)
+    const { returnValue: claimed } = await ms.claimRewards().sendCommit({ from: voter.address })
+    expect(Number(claimed)).toBeGreaterThanOrEqual(voterRewards)
+    expect(Number((await tweb3.getBalance(voter.address)).balance)).toBe(before + Number(claimed))
+
+    await expect(ms.claimRewards().sendCommit({ from: voter.address })).rejects.toThrowError('do not have any reward')
+  })
+
+  test('commission rate', async () => {
+    const operator = process.env.BANK_ADDR
+    const ms = tweb3.contract('system.election').methods
+    const [validator] = await ms.getValidators().call()
+    const pubkey = validator.pubKey.data
+
+    await expect(ms.setCommissionRate(pubkey, 0).sendCommit({ from: voter.address }))
+      .rejects.toThrowError('Permission denied')
+    await expect(ms.setCommissionRate(pubkey, 2000000).sendCommit({ from: operator }))
+      .rejects.toThrowError('Invalid commission rate')
+
+    await ms.setCommissionRate(pubkey, 0).sendCommit({ from: operator })
+    const [updated] = await ms.getValidators().call()
+    expect(updated.commissionRatePerMillion).toBe(0)
+  })
+})
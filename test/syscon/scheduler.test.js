@@ -0,0 +1,106 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { ecc } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let instance
+beforeAll(async () => {
+  const handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+const balanceOf = async addr => Number((await tweb3.getBalance(addr)).balance)
+
+describe('scheduler', () => {
+  test('schedule contract calls', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    const scheduler = tweb3.contract('system.scheduler').methods
+
+    const src = await transpile(`
+      @contract class Counter {
+        @view @state value = 0
+        @transaction increase () { this.value++ }
+        @payable fail () { throw new Error('always fail') }
+      }`)
+    const ct = await tweb3.deploy({ data: src }, { from })
+
+    const at = { timestamp: Date.now() + 2000 }
+    const r1 = await scheduler.schedule(ct.address, 'increase', [], at).sendCommit({ from })
+    const r2 = await scheduler.schedule(ct.address, 'fail', [], at).sendCommit({ from, value: 100 })
+    expect(await balanceOf(from)).toBe(9900)
+    expect(await balanceOf('system.scheduler')).toBe(100)
+
+    await sleep(5000)
+
+    expect(await ct.methods.value().call()).toBe(1)
+    expect(await scheduler.getScheduled(r1.returnValue).call()).toBeUndefined()
+
+    // failed call is removed and its value is refunded
+    expect(await scheduler.getScheduled(r2.returnValue).call()).toBeUndefined()
+    expect(await balanceOf(from)).toBe(10000)
+    expect(await balanceOf('system.scheduler')).toBe(0)
+  })
+
+  test('schedule transfer at block', async () => {
+    const { address: from } = account10k
+    const { address: to } = await ecc.newBankKeys()
+    const scheduler = tweb3.contract('system.scheduler').methods
+
+    const { height } = await tweb3.transfer(to, 1, { from })
+    await scheduler.schedule(to, null, null, { block: +height + 3 }).sendCommit({ from, value: 100 })
+    expect(await balanceOf(to)).toBe(1)
+
+    await sleep(5000)
+    expect(await balanceOf(to)).toBe(101)
+  })
+
+  test('cancel scheduled call', async () => {
+    const { address: from } = account10k
+    const { address: to } = await ecc.newBankKeys()
+    const scheduler = tweb3.contract('system.scheduler').methods
+
+    const before = await balanceOf(from)
+    const { returnValue: id } = await scheduler.schedule(to, null, null, { timestamp: Date.now() + 3600000 })
+      .sendCommit({ from, value: 100 })
+    expect((await scheduler.getScheduledBy(from).call()).map(c => c.id)).toContain(id)
+
+    await scheduler.cancel(id).sendCommit({ from })
+    expect(await scheduler.getScheduled(id).call()).toBeUndefined()
+    expect(await balanceOf(from)).toBe(before)
+  })
+
+  test('invalid schedule', async () => {
+    const { address: from } = account10k
+    const scheduler = tweb3.contract('system.scheduler').methods
+
+    await expect(scheduler.schedule(from, null, null, { block: 1 }).sendCommit({ from }))
+      .rejects.toThrowError('Schedule time must be in the future.')
+    await expect(scheduler.schedule(from, null, null, { block: 1, timestamp: 1 }).sendCommit({ from }))
+      .rejects.toThrowError('Invalid schedule time')
+    await expect(scheduler.schedule(from, null, null, { block: 1e9 }, 10).sendCommit({ from, value: 5 }))
+      .rejects.toThrowError('Invalid fee')
+    // the fee of a call is capped like the fee of a tx
+    await expect(scheduler.schedule(from, null, null, { block: 1e9 }, '10000000000000').sendCommit({ from }))
+      .rejects.toThrowError('is too high')
+  })
+})
@@ -0,0 +1,84 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const errors = require('../../icetea/helper/errors')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec, ecc } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('error catalogue', () => {
+  test('codes are unique', () => {
+    const list = Object.values(errors.list())
+    expect(new Set(list.map(e => e.code)).size).toBe(list.length)
+    list.forEach(({ code }) => {
+      expect(Object.values(errors.GenericCode)).not.toContain(code)
+    })
+  })
+
+  test('errors thrown to contracts before the errorCodes fork', () => {
+    const old = errors.createAt(0, 'OUT_OF_GAS', { gasUsed: 1 }, 'setState x failed: out of gas')
+    expect(errors.is(old)).toBe(false)
+    expect(old.message).toBe('setState x failed: out of gas')
+    expect(errors.is(errors.createAt(1, 'OUT_OF_GAS', { gasUsed: 1 }), 'OUT_OF_GAS')).toBe(true)
+  })
+
+  test('checkTx errors', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    const { address: to } = await ecc.newBankKeys()
+
+    const tx = await tweb3.signTransaction({ from, to, value: 20000 }, { from })
+    const res = await handler.checkTx({ tx: codec.encode(tx) })
+    expect(res.code).toBe(201)
+    expect(res.codespace).toBe('state')
+    expect(res.info).toBe('INSUFFICIENT_BALANCE')
+    expect(res.log).toContain('Not enough balance')
+
+    const data = codec.decode(res.data)
+    expect(data.reason).toBe('INSUFFICIENT_BALANCE')
+    expect(data.address).toBe(from)
+    expect(Number(data.required)).toBe(20000)
+    expect(Number(data.available)).toBe(10000)
+
+    await expect(tweb3.transfer(to, 20000, { from })).rejects.toThrowError('Not enough balance')
+  })
+
+  test('query errors', async () => {
+    const res = await handler.query({
+      path: 'invokeView',
+      data: codec.encode({ address: 'system.election', name: 'noSuchMethod', params: [] })
+    })
+    expect(res.code).toBe(401)
+    expect(res.codespace).toBe('syscon')
+    expect(res.info).toContain("Message 'noSuchMethod' is not supported by this contract.")
+    expect(codec.decode(res.value)).toEqual({ reason: 'INVALID_MESSAGE', name: 'noSuchMethod' })
+
+    // errors not in the catalogue keep the generic code
+    const generic = await handler.query({ path: 'storage', data: codec.encode({ address: 'system.election' }) })
+    expect(generic.code).toBe(errors.GenericCode.QUERY)
+    expect(generic.codespace).toBe('')
+  })
+})
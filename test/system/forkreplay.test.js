@@ -0,0 +1,148 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const app = require('../../icetea/app/app')
+const patricia = require('../../icetea/helper/patricia')
+const config = require('../../icetea/config')
+const { ecc, codec, ContractMode } = require('@iceteachain/common')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const killable = require('killable')
+
+jest.setTimeout(120000)
+
+// a few blocks after the txs sent before the forks
+const FORK_HEIGHT = 30
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    // like a chain started before the forks, which schedules them at a later height
+    cfg.forks = cfg.forks.map(({ name }) => ({ name, height: FORK_HEIGHT }))
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  killable(instance)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+// restart tendermint and the app, tendermint replays the blocks the app does not have on handshake
+const restartAt = height => {
+  return new Promise(resolve => {
+    global.restartNode().then(() => {
+      instance.kill(resolve)
+    })
+  }).then(async () => {
+    await app.rollback(height)
+    instance.listen(global.ports.abci)
+    await sleep(4000)
+  })
+}
+
+const CALLEE_SRC = `
+  const { msg } = this.runtime;
+  switch (msg.name) {
+  case 'getValue':
+    return this.getState('value');
+  case 'setValue':
+    this.setState('value', msg.params[0]);
+    throw new Error('callee failed');
+  }`
+
+const CALLER_SRC = `
+  const { msg, loadContract } = this.runtime;
+  const { name, params } = msg;
+  switch (name) {
+  case 'trySetValue':
+    try {
+      loadContract(params[0]).setValue.invokeUpdate(params[1]);
+    } catch (err) {
+      this.setState('error', err.message);
+    }
+    break;
+  case 'pushTwice':
+    for (let i = 0; i < 2; i++) {
+      const items = this.getState('items', []);
+      items.push(params[0]);
+      this.setState('items', items);
+    }
+    return this.getState('items').length;
+  }`
+
+// number of proof ops of a storage value, 1 if the account leaf has the storage inline
+const storageProofOps = async (address, path) => {
+  const res = await handler.query({ path: 'storage', data: codec.encode({ address, path }), prove: true })
+  return res.proof.ops.length
+}
+
+const waitForHeight = async height => {
+  while ((await patricia.getLastBlock()).number < height) {
+    await sleep(1000)
+  }
+}
+
+const rootsAt = heights => Promise.all(heights.map(async h => (await patricia.getBlockByHeight(h)).stateRoot))
+
+describe('forks at a height', () => {
+  test('change the rules from that height and are replayed the same', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    const { height: startHeight } = await tweb3.transfer(process.env.BANK_ADDR, 1, { from })
+    const callee = await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLEE_SRC }, { from })
+    const caller = await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLER_SRC }, { from })
+    const keyInfo = await ecc.newBankKeys()
+    const signExpired = () => tweb3.signTransaction({ from, to: keyInfo.address, value: 1, nonce: Date.now() - 2 * config.replay.window }, { from })
+
+    // before replayWindow, the nonce is not checked against the block time
+    await tweb3.sendRawTransaction(await signExpired(), 'commit')
+    // before checkpoint, changes made by a failed call are kept when the caller catches its error
+    const { height: beforeHeight } = await caller.methods.trySetValue(callee.address, 1).sendCommit({ from })
+    expect(+beforeHeight).toBeLessThan(FORK_HEIGHT)
+    expect(await callee.methods.getValue().call()).toBe(1)
+    // before contractAddress, the deploy nonce is not kept, the address comes from the number of contracts deployed
+    expect((await tweb3.getAccountInfo(from)).deployNonce).toBe(0)
+    // before storageTrie, contract storage is inline
+    expect(await storageProofOps(caller.address, 'error')).toBe(1)
+    // before frozenState, a value read from storage is a copy the contract could change
+    expect((await caller.methods.pushTwice(1).sendCommit({ from })).returnValue).toBe(2)
+
+    await waitForHeight(FORK_HEIGHT)
+
+    await expect(tweb3.sendRawTransaction(await signExpired(), 'commit')).rejects.toThrow()
+    const { height: afterHeight } = await caller.methods.trySetValue(callee.address, 2).sendCommit({ from })
+    expect(+afterHeight).toBeGreaterThanOrEqual(FORK_HEIGHT)
+    expect(await callee.methods.getValue().call()).toBe(1)
+    await tweb3.deploy({ mode: ContractMode.JS_RAW, data: CALLEE_SRC }, { from })
+    expect((await tweb3.getAccountInfo(from)).deployNonce).toBe(3)
+    expect(await storageProofOps(caller.address, 'error')).toBe(2)
+    await expect(caller.methods.pushTwice(1).sendCommit({ from })).rejects.toThrow('not extensible')
+    await sleep(1500)
+
+    const heights = [+beforeHeight, +afterHeight, (await patricia.getLastBlock()).number]
+    const roots = await rootsAt(heights)
+
+    await restartAt(+startHeight)
+
+    // the replayed blocks on both sides of the fork height have the same app hashes
+    expect(await rootsAt(heights)).toEqual(roots)
+    expect(await callee.methods.getValue().call()).toBe(1)
+    expect(Number((await tweb3.getBalance(keyInfo.address)).balance)).toBe(1)
+
+    // and the chain goes on
+    await tweb3.transfer(process.env.BANK_ADDR, 1, { from })
+  })
+})
@@ -0,0 +1,71 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { sleep, randomAccountWithBalance } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const forks = require('../../icetea/helper/forks')
+const config = require('../../icetea/config')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let handler
+let instance
+let info
+beforeAll(async () => {
+  handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    // after the forks scheduled by default
+    cfg.forks = cfg.forks.concat([{ name: 'genesisFork', height: 1 }, { name: 'futureFork', height: 1e9 }])
+  })
+
+  // what tendermint gets on handshake
+  info = await handler.info()
+
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('fork schedule', () => {
+  test('info reports protocol version', () => {
+    expect(info.version).toBe('0.0.1')
+    // no block yet, so no fork is active
+    expect(info.lastBlockHeight).toBe(0)
+    expect(info.appVersion).toBe(0)
+  })
+
+  test('query forks', async () => {
+    const { privateKey, address: from } = await randomAccountWithBalance(tweb3, 10)
+    tweb3.wallet.importAccount(privateKey)
+    const { height } = await tweb3.transfer(process.env.BANK_ADDR, 1, { from })
+    expect(forks.isActive('genesisFork', +height)).toBe(true)
+    expect(forks.isActive('futureFork', +height)).toBe(false)
+    expect(forks.heightOf('futureFork')).toBe(1e9)
+    expect(forks.versionAt(0)).toBe(0)
+    expect(forks.versionAt(+height)).toBe(config.forks.length - 1)
+    expect(forks.versionAt(1e9)).toBe(config.forks.length)
+    expect(() => forks.isActive('unknown', 1)).toThrowError('not in the fork schedule')
+  })
+
+  test('refuse a fork at a passed height', () => {
+    const schedule = forks.schedule()
+    expect(schedule.futureFork).toBe(1e9)
+    expect(forks.check({}, 0)).toEqual(schedule)
+    // a chain started before the forks were scheduled
+    expect(() => forks.check({}, 10)).toThrowError('already at height 10')
+    // a fork could be moved until the chain reaches it
+    expect(forks.check({ ...schedule, futureFork: 2e9 }, 10)).toEqual(schedule)
+    expect(() => forks.check({ ...schedule, genesisFork: 5 }, 10)).toThrowError('must not move it')
+    expect(() => forks.check({ ...schedule, oldFork: 5 }, 10)).toThrowError('must stay in config.forks')
+  })
+})
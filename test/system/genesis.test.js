@@ -0,0 +1,71 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const patricia = require('../../icetea/helper/patricia')
+const { exportAppState, importAppState, exportValidators, toPortable, fromPortable } = require('../../icetea/helper/genesis')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let instance
+beforeAll(async () => {
+  const handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('genesis', () => {
+  test('portable values', () => {
+    const value = {
+      big: BigInt('123456789012345678901234567890'),
+      buf: Buffer.from('abc'),
+      date: new Date(1000),
+      map: new Map([['a', BigInt(1)]]),
+      set: new Set([1, 2]),
+      re: /a+b/gi,
+      inf: Infinity,
+      list: [1, 'x', null, { nested: BigInt(2) }]
+    }
+    const portable = JSON.parse(JSON.stringify(toPortable(value)))
+    expect(fromPortable(portable)).toEqual(value)
+    expect(toPortable({ a: undefined, b: 1 })).toEqual({ b: 1 })
+  })
+
+  test('export and import state', async () => {
+    const { address } = await randomAccountWithBalance(tweb3, 1000)
+    await sleep(2000)
+
+    const block = await patricia.getLastBlock()
+    const state = await patricia.getStateTable(block.stateRoot)
+    const appState = JSON.parse(JSON.stringify(exportAppState({ state, height: block.number })))
+    expect(appState.exportedAt).toBe(block.number)
+
+    const imported = importAppState(appState)
+    expect(imported).toEqual(state)
+    expect(imported[address].balance).toBe(BigInt(1000))
+    expect(imported['system.election'].storage.candidates).toBeDefined()
+    expect(imported['system.alias'].system).toBe(true)
+
+    expect(importAppState({})).toBeNull()
+    expect(() => importAppState({ version: 0, state: {} })).toThrowError('Unsupported genesis state version')
+  })
+
+  test('export validators', async () => {
+    const validators = await tweb3.contract('system.election').methods.getValidators().call()
+    const exported = exportValidators(validators.map(v => ({ ...v, capacity: BigInt(v.capacity) })))
+    expect(exported[0].pub_key.value).toBe(validators[0].pubKey.data)
+    expect(exported[0].power).toBe(String(validators[0].capacity))
+  })
+})
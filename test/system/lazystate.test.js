@@ -0,0 +1,73 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const patricia = require('../../icetea/helper/patricia')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { ecc } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k
+let instance
+beforeAll(async () => {
+  const handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    // evict everything which is not pinned after each block
+    cfg.state.cacheSize = 1
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('lazy state', () => {
+  test('evicted accounts are read back from the trie', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    const { address: to } = await ecc.newBankKeys()
+
+    const src = await transpile(`
+      @contract class Counter {
+        @state count = 0
+        @transaction inc () { return ++this.count }
+        @view get () { return this.count }
+      }`)
+    const ct = await tweb3.deploy({ data: src }, { from })
+
+    await tweb3.transfer(to, 100, { from })
+    await sleep(1500)
+    expect(Number((await tweb3.getBalance(to)).balance)).toBe(100)
+
+    // each call runs in a later block, after the contract was evicted
+    for (let i = 1; i <= 3; i++) {
+      const r = await ct.methods.inc().sendCommit({ from })
+      expect(r.returnValue).toBe(i)
+      await sleep(1500)
+      expect(await ct.methods.get().call()).toBe(i)
+    }
+
+    await tweb3.transfer(to, 1, { from })
+    await sleep(1500)
+    expect(Number((await tweb3.getBalance(to)).balance)).toBe(101)
+    expect(await tweb3.getContracts()).toContain(ct.address)
+  })
+
+  test('state is not loaded on startup', async () => {
+    const data = await patricia.load()
+    expect(data.state).toBeUndefined()
+    expect(data.root.toString('hex')).toBe(data.block.stateRoot.toString('hex'))
+  })
+})
@@ -0,0 +1,82 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { verifyQueryResponse } = require('../../icetea/helper/proof')
+const patricia = require('../../icetea/helper/patricia')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k // this key should have 10k of coins before running test suite
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('merkle proof', () => {
+  test('prove balance', async () => {
+    const { address } = account10k
+    const res = await handler.query({ path: 'balance', data: codec.encode(address), prove: true })
+    expect(res.code).toBe(0)
+    expect(String(codec.decode(res.value).balance)).toBe('10000')
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address })
+    expect(String(account.balance)).toBe('10000')
+  })
+
+  test('prove contract storage', async () => {
+    const res = await handler.query({
+      path: 'storage',
+      data: codec.encode({ address: 'system.election', path: 'candidates' }),
+      prove: true
+    })
+    expect(res.code).toBe(0)
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address: 'system.election', path: 'candidates' })
+    expect(Object.keys(account.storage.candidates)).toEqual(Object.keys(codec.decode(res.value)))
+  })
+
+  test('reject proof against wrong root', async () => {
+    const { address } = account10k
+    const res = await handler.query({ path: 'balance', data: codec.encode(address), prove: true })
+    expect(res.code).toBe(0)
+
+    await expect(verifyQueryResponse(res, Buffer.alloc(32), { address })).rejects.toThrowError('hash mismatch')
+  })
+
+  test('reject proof of another account or value', async () => {
+    const { address } = account10k
+    const res = await handler.query({ path: 'balance', data: codec.encode(address), prove: true })
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+
+    await expect(verifyQueryResponse(res, stateRoot, { address: process.env.BANK_ADDR }))
+      .rejects.toThrowError(`Proof is for account ${address}`)
+    const forged = Object.assign({}, res, { value: codec.encode({ balance: 1 }) })
+    await expect(verifyQueryResponse(forged, stateRoot, { address }))
+      .rejects.toThrowError('does not match the proof')
+  })
+
+  test('prove unsupported path', async () => {
+    const res = await handler.query({ path: 'contracts', prove: true })
+    expect(res.code).toBe(4)
+  })
+})
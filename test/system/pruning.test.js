@@ -0,0 +1,62 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const patricia = require('../../icetea/helper/patricia')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    cfg.state.pruning = { strategy: 'interval', keepRecent: 2, interval: 5, gcInterval: 2 }
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('pruning', () => {
+  test('pruned heights', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    await tweb3.transfer(process.env.BANK_ADDR, 1, { from })
+
+    // let some collections run
+    await sleep(6000)
+
+    const heights = await patricia.listBlockHeights()
+    const last = heights[heights.length - 1]
+    // blocks might be committed after the last collection
+    heights.forEach(h => {
+      expect(h > last - 2 * 2 || h % 5 === 0).toBe(true)
+    })
+
+    const pruned = [2, 3, 4, 6].find(h => !heights.includes(h))
+    expect(pruned).toBeDefined()
+    const res = await handler.query({ path: 'balance', data: codec.encode(from), height: pruned })
+    expect(res.code).not.toBe(0)
+    expect(res.info).toContain(`State at height ${pruned} was pruned.`)
+
+    // the current state and kept heights are still readable
+    expect(Number((await tweb3.getBalance(from)).balance)).toBe(9999)
+    const kept = await patricia.getBlockByHeight(last)
+    expect(Object.keys(await patricia.getStateTable(kept.stateRoot))).toContain(from)
+  })
+})
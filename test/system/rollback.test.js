@@ -0,0 +1,57 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const app = require('../../icetea/app/app')
+const patricia = require('../../icetea/helper/patricia')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k
+let instance
+beforeAll(async () => {
+  const handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+})
+
+describe('rollback', () => {
+  test('roll back to a past height', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+
+    const { height } = await tweb3.transfer(process.env.BANK_ADDR, 100, { from })
+    await tweb3.transfer(process.env.BANK_ADDR, 200, { from })
+    await sleep(2000)
+
+    // stop the app first, tendermint would replay later blocks on restart
+    instance.close()
+    await sleep(1000)
+
+    const last = await patricia.getLastBlock()
+    expect(last.number).toBeGreaterThan(+height)
+    await expect(app.rollback(last.number + 1)).rejects.toThrowError('Cannot roll back')
+
+    const block = await app.rollback(+height)
+    expect(block.number).toBe(+height)
+    expect((await patricia.getLastBlock()).number).toBe(+height)
+    expect(await patricia.getBlockByHeight(+height + 1)).toBeNull()
+    expect(Number(await app.balanceOf(from))).toBe(9900)
+
+    const { lastBlockHeight, lastBlockAppHash } = await app.activate()
+    expect(lastBlockHeight).toBe(+height)
+    expect(lastBlockAppHash).toEqual(block.stateRoot)
+  })
+})
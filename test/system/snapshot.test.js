@@ -0,0 +1,85 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const { OfferResult, ApplyResult } = require('../../icetea/state/snapshot')
+const patricia = require('../../icetea/helper/patricia')
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const _ = require('lodash')
+
+jest.setTimeout(30000)
+
+let tweb3
+let handler
+let instance
+beforeAll(async () => {
+  handler = await startup(cfg => {
+    cfg.state.path = createTempDir()
+    cfg.state.snapshot.interval = 2
+    // snapshots are taken at epoch ends
+    cfg.election.epoch = 2
+    cfg.state.snapshot.keepRecent = 2
+    // several chunks even for a small state
+    cfg.state.snapshot.chunkSize = 256
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('state-sync snapshot', () => {
+  test('snapshots are taken at interval', async () => {
+    await sleep(3000)
+    const { snapshots } = await handler.listSnapshots()
+    expect(snapshots.length).toBeGreaterThan(0)
+    expect(snapshots.length).toBeLessThanOrEqual(2)
+    snapshots.forEach(s => {
+      expect(s.height % 2).toBe(0)
+      expect(s.chunks).toBeGreaterThan(2)
+    })
+  })
+
+  test('chunks are verified on restore', async () => {
+    const { snapshots } = await handler.listSnapshots()
+    const snapshot = snapshots[snapshots.length - 1]
+    const { stateRoot } = await patricia.getBlockByHeight(snapshot.height)
+
+    const chunks = await Promise.all(_.range(snapshot.chunks).map(async i => {
+      const { chunk } = await handler.loadSnapshotChunk({ height: snapshot.height, format: snapshot.format, chunk: i })
+      expect(chunk.length).toBeGreaterThan(0)
+      return chunk
+    }))
+
+    expect(handler.offerSnapshot({ snapshot: { ...snapshot, format: 99 }, appHash: stateRoot }).result).toBe(OfferResult.REJECT_FORMAT)
+    expect(handler.offerSnapshot({ snapshot, appHash: Buffer.alloc(32) }).result).toBe(OfferResult.REJECT)
+    expect(handler.offerSnapshot({ snapshot, appHash: stateRoot }).result).toBe(OfferResult.ACCEPT)
+
+    // chunks must be applied in order
+    expect((await handler.applySnapshotChunk({ index: 1, chunk: chunks[1] })).result).toBe(ApplyResult.RETRY_SNAPSHOT)
+
+    const tampered = Buffer.from(chunks[0])
+    tampered[tampered.length - 1] ^= 1
+    expect(await handler.applySnapshotChunk({ index: 0, chunk: tampered, sender: 'peer' }))
+      .toEqual({ result: ApplyResult.RETRY, refetchChunks: [0], rejectSenders: ['peer'] })
+
+    // stop before the last chunk, applying it would replace the state of this running node
+    for (let i = 0; i < chunks.length - 1; i++) {
+      expect((await handler.applySnapshotChunk({ index: i, chunk: chunks[i] })).result).toBe(ApplyResult.ACCEPT)
+    }
+    expect((await handler.applySnapshotChunk({ index: chunks.length - 1, chunk: chunks[0] })).result).toBe(ApplyResult.RETRY)
+
+    // a new offer drops the snapshot being restored
+    expect(handler.offerSnapshot({ snapshot: { ...snapshot, format: 99 }, appHash: stateRoot }).result).toBe(OfferResult.REJECT_FORMAT)
+    expect((await handler.applySnapshotChunk({ index: 0, chunk: chunks[0] })).result).toBe(ApplyResult.ABORT)
+  })
+})
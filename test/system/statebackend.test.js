@@ -0,0 +1,78 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startup } = require('../../icetea/app/abcihandler')
+const { verifyQueryResponse } = require('../../icetea/helper/proof')
+const patricia = require('../../icetea/helper/patricia')
+const stateBackend = require('../../icetea/helper/statebackend')
+const newDB = require('../../icetea/helper/db')
+const serializer = require('../../icetea/state/serializer').getSerializer()
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k
+let handler
+let instance
+let statePath
+beforeAll(async () => {
+  statePath = createTempDir()
+  handler = await startup(cfg => {
+    cfg.state.path = statePath
+    cfg.state.backend = 'smt'
+  })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+describe('sparse Merkle trie backend', () => {
+  test('state and proofs', async () => {
+    const { privateKey, address: from } = account10k
+    tweb3.wallet.importAccount(privateKey)
+    await tweb3.transfer(process.env.BANK_ADDR, 1, { from })
+    await sleep(1500)
+
+    const res = await handler.query({ path: 'balance', data: codec.encode(from), prove: true })
+    expect(res.code).toBe(0)
+    expect(res.proof.ops[0].type).toBe('icetea:smt-account')
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address: from })
+    expect(String(account.balance)).toBe('9999')
+    await expect(verifyQueryResponse(res, Buffer.alloc(32, 1), { address: from })).rejects.toThrowError('hash mismatch')
+
+    const state = await patricia.getStateTable(stateRoot)
+    expect(String(state[from].balance)).toBe('9999')
+    expect(state['system.election'].system).toBe(true)
+  })
+
+  test('migrate to patricia', async () => {
+    const target = createTempDir()
+    const { height, oldRoot, newRoot } = await patricia.migrate({ source: statePath, target, backend: 'patricia' })
+
+    const block = await patricia.getBlockByHeight(height)
+    expect(oldRoot.equals(block.stateRoot)).toBe(true)
+    expect(newRoot.equals(oldRoot)).toBe(false)
+
+    const db = newDB.open(target)
+    const value = await stateBackend.get('patricia').get(db, newRoot, account10k.address)
+    expect(String(serializer.deserialize(value).balance)).toBe('9999')
+    await db.close()
+
+    await expect(patricia.migrate({ source: statePath, target: createTempDir(), backend: 'smt' }))
+      .rejects.toThrowError('already built by the smt backend')
+  })
+})
@@ -0,0 +1,106 @@
+/* global describe test expect */
+
+const _ = require('lodash')
+const storageDraft = require('../../icetea/state/storagedraft')
+
+const committed = () => ({ a: { b: { c: 1 } }, d: { e: 2 }, list: [1, 2] })
+
+describe('storage draft', () => {
+  test('copy only the objects along a written path', () => {
+    const base = committed()
+    const draft = storageDraft.create(base)
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 3)
+
+    expect(draft.current.a.b.c).toBe(3)
+    expect(base.a.b.c).toBe(1)
+    expect(draft.current).not.toBe(base)
+    expect(draft.current.a).not.toBe(base.a)
+    // not written, still shared
+    expect(draft.current.d).toBe(base.d)
+    expect(draft.current.list).toBe(base.list)
+  })
+
+  test('change its own copies in place on nested writes', () => {
+    const base = committed()
+    const draft = storageDraft.create(base)
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 3)
+    const root = draft.current
+    const a = draft.current.a
+
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'x'], 4)
+    _.set(draft.writable(['a']), ['a', 'y'], 5)
+    expect(draft.current).toBe(root)
+    expect(draft.current.a).toBe(a)
+    expect(draft.current.a).toEqual({ b: { c: 3, x: 4 }, y: 5 })
+    expect(base).toEqual(committed())
+  })
+
+  test('create the storage of a contract without any', () => {
+    const draft = storageDraft.create()
+    expect(draft.current).toBeUndefined()
+    _.set(draft.writable(['a']), ['a', 'b'], 1)
+    expect(draft.current).toEqual({ a: { b: 1 } })
+  })
+
+  test('keep a finished storage as it is', () => {
+    const draft = storageDraft.create(committed())
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 3)
+    const finished = draft.finish()
+
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 4)
+    expect(draft.current.a.b.c).toBe(4)
+    expect(finished.a.b.c).toBe(3)
+    expect(draft.current.d).toBe(finished.d)
+  })
+
+  test('roll back to a checkpoint', () => {
+    const base = committed()
+    const draft = storageDraft.create(base)
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 3)
+
+    // as stateproxy checkpoint does before a contract call, then after the call throws
+    const saved = draft.finish()
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 4)
+    _.unset(draft.writable(['d']), ['d', 'e'])
+    draft.restore(saved)
+    expect(draft.current).toBe(saved)
+    expect(draft.current).toEqual({ ...committed(), a: { b: { c: 3 } } })
+
+    // the saved storage is not changed by writes after the rollback
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 5)
+    expect(saved.a.b.c).toBe(3)
+
+    // back to the committed storage, e.g. for a draft created inside the call
+    draft.restore()
+    expect(draft.current).toBe(base)
+    expect(base).toEqual(committed())
+  })
+
+  test('share values without copying, and copy them again on write', () => {
+    const base = committed()
+    const draft = storageDraft.create(base)
+    const shared = storageDraft.share(draft.current.a)
+    expect(shared).toBe(base.a)
+    expect(Object.isFrozen(shared)).toBe(true)
+    expect(Object.isFrozen(shared.b)).toBe(true)
+
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 3)
+    expect(draft.current.a.b.c).toBe(3)
+    expect(shared.b.c).toBe(1)
+
+    // own copies handed out are frozen too, later writes copy them again
+    const own = storageDraft.share(draft.current.a)
+    _.set(draft.writable(['a', 'b']), ['a', 'b', 'c'], 4)
+    expect(draft.current.a).not.toBe(own)
+    expect(own.b.c).toBe(3)
+    expect(draft.current.a.b.c).toBe(4)
+  })
+
+  test('clone values which cannot be frozen', () => {
+    const base = { m: { set: new Set([1]) } }
+    const value = storageDraft.share(base.m)
+    expect(value).not.toBe(base.m)
+    value.set.add(2)
+    expect([...base.m.set]).toEqual([1])
+  })
+})
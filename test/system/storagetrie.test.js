@@ -0,0 +1,155 @@
+/* global jest describe test expect beforeAll afterAll */
+
+const { randomAccountWithBalance, sleep } = require('../helper')
+const { startupWith } = require('../../icetea/app/abcihandler')
+const { verifyQueryResponse, verifyAccountProof, verifyStorageProof } = require('../../icetea/helper/proof')
+const patricia = require('../../icetea/helper/patricia')
+const storageTrie = require('../../icetea/helper/storagetrie')
+const serializer = require('../../icetea/state/serializer').getSerializer()
+const { IceteaWeb3 } = require('@iceteachain/web3')
+const { codec } = require('@iceteachain/common')
+const server = require('abci')
+const createTempDir = require('tempy').directory
+const { transpile } = global
+
+jest.setTimeout(30000)
+
+let tweb3
+let account10k
+let handler
+let instance
+let ct
+beforeAll(async () => {
+  handler = await startupWith({ path: createTempDir() })
+  instance = server(handler)
+  instance.listen(global.ports.abci)
+  await sleep(4000)
+
+  tweb3 = new IceteaWeb3(`http://127.0.0.1:${global.ports.rpc}`)
+  account10k = await randomAccountWithBalance(tweb3, 10000)
+
+  const { privateKey, address: from } = account10k
+  tweb3.wallet.importAccount(privateKey)
+  const src = await transpile(`
+    @contract class Counter {
+      @state count = 0
+      @state label = 'counter'
+      @state items = { a: 1, b: 2 }
+      @transaction inc () { return ++this.count }
+    }`)
+  ct = await tweb3.deploy({ data: src }, { from })
+})
+
+afterAll(() => {
+  tweb3.close()
+  instance.close()
+})
+
+const proveStorage = path => handler.query({ path: 'storage', data: codec.encode({ address: ct.address, path }), prove: true })
+
+describe('contract storage trie', () => {
+  test('prove a storage value', async () => {
+    await ct.methods.inc().sendCommit({ from: account10k.address })
+    await sleep(1500)
+
+    const res = await proveStorage('count')
+    expect(res.code).toBe(0)
+    expect(codec.decode(res.value)).toBe(1)
+    expect(res.proof.ops.map(op => op.type)).toEqual(['icetea:storage', 'icetea:account'])
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address: ct.address, path: 'count' })
+    expect(account.storage).toEqual({ count: 1 })
+
+    const [storageProof, accountProof] = res.proof.ops.map(op => codec.decode(op.data))
+    expect(await verifyStorageProof(stateRoot, ct.address, 'count', accountProof, storageProof)).toBe(1)
+    await expect(verifyStorageProof(Buffer.alloc(32), ct.address, 'count', accountProof, storageProof))
+      .rejects.toThrowError('hash mismatch')
+  })
+
+  test('prove a nested path', async () => {
+    const res = await proveStorage('items.b')
+    expect(res.code).toBe(0)
+    expect(codec.decode(res.value)).toBe(2)
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address: ct.address, path: 'items.b' })
+    // map values are entries of their own
+    expect(account.storage).toEqual({ items: { b: 2 } })
+  })
+
+  test('prove a map', async () => {
+    const res = await proveStorage('items')
+    expect(codec.decode(res.value)).toEqual({ a: 1, b: 2 })
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address: ct.address, path: 'items' })
+    expect(account.storage).toEqual({ items: { a: 1, b: 2 } })
+  })
+
+  test('prove a missing key', async () => {
+    const res = await proveStorage('items.c.d')
+    expect(res.code).toBe(0)
+    // the key list of items shows it has no c
+    expect(JSON.parse(res.proof.ops[0].key.toString())).toEqual(['items', 'c'])
+
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyQueryResponse(res, stateRoot, { address: ct.address, path: 'items.c.d' })
+    expect(account.storage).toEqual({})
+  })
+
+  test('a change of a map value rewrites that value only', () => {
+    const items = { a: { n: 1 }, b: { n: 2 }, c: 3 }
+    const changed = { ...items, b: { n: 4 } }
+    delete changed.c
+    const entries = new Map()
+    storageTrie.diffInto(entries, ['items'], { exists: true, value: items }, { exists: true, value: changed })
+    expect([...entries.keys()].sort()).toEqual([
+      storageTrie.mapKey(['items']),
+      storageTrie.valueKey(['items', 'b', 'n']),
+      storageTrie.valueKey(['items', 'c'])
+    ].sort())
+    expect(entries.get(storageTrie.valueKey(['items', 'c']))).toBeNull()
+  })
+
+  test('map keys keep their order', () => {
+    const storage = { z: { y: 1, x: 2 }, a: [1, 2] }
+    const entries = new Map()
+    storageTrie.flattenInto(entries, [], storage)
+    const deserialized = new Map([...entries].map(([key, value]) => [key, serializer.deserialize(value)]))
+    const restored = storageTrie.unflatten(deserialized)
+    expect(restored).toEqual(storage)
+    expect(Object.keys(restored)).toEqual(['z', 'a'])
+    expect(Object.keys(restored.z)).toEqual(['y', 'x'])
+  })
+
+  test('account leaf holds the storage root only', async () => {
+    const res = await proveStorage('count')
+    const { stateRoot } = await patricia.getBlockByHeight(res.height)
+    const account = await verifyAccountProof(stateRoot, ct.address, codec.decode(res.proof.ops[1].data))
+    expect(account.storage).toBeUndefined()
+    expect(Buffer.isBuffer(account.storageRoot)).toBe(true)
+
+    const state = await patricia.getStateTable(stateRoot)
+    expect(state[ct.address].storage).toEqual({ count: 1, label: 'counter', items: { a: 1, b: 2 } })
+    expect(state[ct.address].storageRoot).toBeUndefined()
+  })
+
+  test('unchanged keys keep their values', async () => {
+    const before = await proveStorage('label')
+    await ct.methods.inc().sendCommit({ from: account10k.address })
+    await sleep(1500)
+
+    const after = await proveStorage('label')
+    expect(after.height).toBeGreaterThan(before.height)
+    expect(codec.decode(after.value)).toBe('counter')
+    expect(codec.decode((await proveStorage('count')).value)).toBe(2)
+
+    // the storage root changed with count, label is proved against the new one
+    const [rootBefore, rootAfter] = await Promise.all([before, after].map(async res => {
+      const { stateRoot } = await patricia.getBlockByHeight(res.height)
+      return (await verifyAccountProof(stateRoot, ct.address, codec.decode(res.proof.ops[1].data))).storageRoot
+    }))
+    expect(rootAfter.equals(rootBefore)).toBe(false)
+  })
+})